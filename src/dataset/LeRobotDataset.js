@@ -0,0 +1,415 @@
+/**
+ * LeRobot Episode Dataset Recorder
+ *
+ * Samples teleop sessions at a fixed rate and exports them in the LeRobot v2.1
+ * dataset layout, zipped:
+ *
+ *   meta/info.json                 fps, features (joint names, shapes, dtypes), totals, path templates
+ *   meta/tasks.jsonl               {"task_index", "task"} per task string
+ *   meta/episodes.jsonl            {"episode_index", "tasks", "length"} per episode
+ *   meta/episodes_stats.jsonl      per-episode min/max/mean/std/count of every feature
+ *   data/chunk-000/episode_000000.parquet
+ *
+ * Each parquet row is one frame: observation.state (qpos of each actuated joint),
+ * action (data.ctrl, i.e. the controller's targetJoints), an optional PNG of the
+ * rendered view (observation.images.main), timestamp, frame_index, episode_index,
+ * index and task_index. Images are stored inline (no videos), so the archive
+ * loads with LeRobotDataset without ffmpeg.
+ *
+ * Frames are sampled from a Simulation subscriber whenever simulated time crosses
+ * the next 1/fps boundary, so it works the same with physics on the main thread
+ * or in the worker; at high speed-ups it records at most one frame per render.
+ */
+
+import { zipSync, strToU8 } from 'three/addons/libs/fflate.module.js';
+import { writeParquet } from './parquetWriter.js';
+import { getName } from '../simulation/modelNames.js';
+
+export const LEROBOT_CODEBASE_VERSION = 'v2.1';
+const CHUNKS_SIZE = 1000;
+const IMAGE_KEY = 'observation.images.main';
+
+export class LeRobotDatasetRecorder {
+  /**
+   * @param {import('../simulation/Simulation.js').Simulation} simulation - Simulation to sample
+   * @param {object} options
+   * @param {number} options.fps - Frames per second for new datasets
+   * @param {number} options.imageWidth - Width of recorded camera frames
+   * @param {number} options.imageHeight - Height of recorded camera frames
+   */
+  constructor(simulation, { fps = 30, imageWidth = 320, imageHeight = 240 } = {}) {
+    this.simulation = simulation;
+    this.fps = fps;
+    this.recordImages = false;
+    this.imageWidth = imageWidth;
+    this.imageHeight = imageHeight;
+
+    // Dataset-wide layout, fixed by the first episode: {robot, fps, stateNames, actionNames, qposAdr, images}
+    this.info = null;
+    // Finished episodes: {task, model, frames: [{state, action}], images: Promise<Uint8Array>[], imageStats}
+    this.episodes = [];
+    // Episode being recorded, same shape as above
+    this.current = null;
+
+    this.nextSampleTime = 0;
+    // Frame waiting for the next rendered image (see captureImage)
+    this.imagePending = false;
+    this.imageCanvas = null;
+
+    simulation.subscribe(this.sample.bind(this));
+  }
+
+  /**
+   * Start a new episode
+   * @param {object} meta
+   * @param {string} meta.task - Natural-language task description
+   * @param {string} meta.robot - Robot name, stored as robot_type
+   */
+  startEpisode({ task = '', robot = null } = {}) {
+    const layout = this.getJointLayout(this.simulation.model);
+    if (this.info) {
+      if (this.info.robot !== robot || this.info.actionNames.join() !== layout.actionNames.join()) {
+        throw new Error(`Dataset holds ${this.info.robot ?? 'another robot'} episodes; export or clear it first`);
+      }
+      if (this.info.fps !== this.fps || this.info.images !== this.recordImages) {
+        throw new Error('FPS and image recording are fixed once a dataset has episodes; export or clear it first');
+      }
+    } else {
+      this.info = { robot, fps: this.fps, images: this.recordImages, ...layout };
+    }
+    this.current = { task, model: this.simulation.model, frames: [], images: [], imageStats: createImageStats() };
+    this.nextSampleTime = this.simulation.data.time;
+    this.imagePending = false;
+  }
+
+  /**
+   * Finish the current episode and add it to the dataset
+   * @returns {number} - Number of frames in the episode
+   */
+  stopEpisode() {
+    const episode = this.current;
+    this.current = null;
+    this.imagePending = false;
+    if (!episode || episode.frames.length === 0) return 0;
+    // The last sample may not have been rendered yet
+    if (episode.images.length < episode.frames.length) {
+      episode.frames.length = episode.images.length;
+    }
+    this.episodes.push(episode);
+    return episode.frames.length;
+  }
+
+  /** Drop the current episode */
+  discardEpisode() {
+    this.current = null;
+    this.imagePending = false;
+  }
+
+  /** Drop every episode, allowing a new robot, fps or image setting */
+  clear() {
+    this.discardEpisode();
+    this.episodes = [];
+    this.info = null;
+  }
+
+  /**
+   * @returns {boolean} - True while an episode is being recorded
+   */
+  isRecording() {
+    return this.current !== null;
+  }
+
+  /**
+   * @returns {number} - Frames recorded in the current episode
+   */
+  getFrameCount() {
+    return this.current ? this.current.frames.length : 0;
+  }
+
+  /**
+   * Joint names and qpos addresses for each actuator
+   * @param {object} model - MuJoCo model
+   * @returns {{stateNames: string[], actionNames: string[], qposAdr: number[]}}
+   */
+  getJointLayout(model) {
+    const mujoco = this.simulation.mujoco;
+    const jointTransmission = mujoco.mjtTrn.mjTRN_JOINT.value;
+    const stateNames = [], actionNames = [], qposAdr = [];
+    for (let i = 0; i < model.nu; i++) {
+      const actuatorName = getName(model, model.name_actuatoradr[i]) || `actuator_${i}`;
+      actionNames.push(actuatorName);
+      if (model.actuator_trntype[i] === jointTransmission) {
+        const joint = model.actuator_trnid[2 * i];
+        stateNames.push(getName(model, model.name_jntadr[joint]) || `joint_${joint}`);
+        qposAdr.push(model.jnt_qposadr[joint]);
+      } else {
+        // Tendon/site transmissions have no single joint; use the actuator length instead
+        stateNames.push(`${actuatorName}_length`);
+        qposAdr.push(-1);
+      }
+    }
+    return { stateNames, actionNames, qposAdr };
+  }
+
+  /** Simulation subscriber: take a frame each time simulated time crosses the next 1/fps boundary */
+  sample(model, data) {
+    const episode = this.current;
+    if (!episode) return;
+    if (model !== episode.model) {
+      // Scene reloaded mid-episode; the joints no longer match
+      this.discardEpisode();
+      return;
+    }
+    if (data.time < this.nextSampleTime - 1.0 / this.info.fps) {
+      // Reset or rewind: keep sampling from the new time
+      this.nextSampleTime = data.time;
+    }
+    if (data.time < this.nextSampleTime) return;
+    this.nextSampleTime += (Math.floor((data.time - this.nextSampleTime) * this.info.fps) + 1) / this.info.fps;
+
+    const state = new Float32Array(this.info.qposAdr.length);
+    this.info.qposAdr.forEach((adr, i) => {
+      state[i] = adr >= 0 ? data.qpos[adr] : data.actuator_length[i];
+    });
+    episode.frames.push({ state, action: Float32Array.from(data.ctrl) });
+    if (this.info.images) {
+      this.imagePending = true;
+    } else {
+      episode.images.push(null);
+    }
+  }
+
+  /**
+   * Grab the rendered view for the frame sampled this tick. Call after rendering.
+   * @param {HTMLCanvasElement} canvas - Renderer canvas (needs preserveDrawingBuffer or same-frame call)
+   */
+  captureImage(canvas) {
+    if (!this.imagePending || !this.current) return;
+    this.imagePending = false;
+
+    if (!this.imageCanvas) {
+      this.imageCanvas = document.createElement('canvas');
+    }
+    const target = this.imageCanvas;
+    target.width = this.imageWidth;
+    target.height = this.imageHeight;
+    const ctx = target.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(canvas, 0, 0, target.width, target.height);
+    accumulateImageStats(this.current.imageStats, ctx.getImageData(0, 0, target.width, target.height).data);
+
+    // toBlob copies the bitmap synchronously, so the canvas can be reused right away
+    const image = new Promise((resolve, reject) => {
+      target.toBlob((blob) => {
+        if (!blob) { reject(new Error('Failed to encode camera frame')); return; }
+        blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+      }, 'image/png');
+    });
+    // Normally one frame per render; fill any frame sampled without a render in between
+    while (this.current.images.length < this.current.frames.length) {
+      this.current.images.push(image);
+    }
+  }
+
+  /**
+   * Build the dataset archive
+   * @returns {Promise<Uint8Array>} - Zip file contents
+   */
+  async exportDataset() {
+    if (this.episodes.length === 0) {
+      throw new Error('No episodes recorded');
+    }
+    const info = this.info;
+    const fps = info.fps;
+    const files = {};
+
+    const tasks = [];
+    const taskIndex = (task) => {
+      let index = tasks.indexOf(task);
+      if (index < 0) { index = tasks.length; tasks.push(task); }
+      return index;
+    };
+
+    const episodesLines = [], statsLines = [];
+    let globalIndex = 0;
+    for (let e = 0; e < this.episodes.length; e++) {
+      const episode = this.episodes[e];
+      const task = taskIndex(episode.task);
+      const images = await Promise.all(episode.images);
+      const rows = episode.frames.map((frame, i) => {
+        const row = {
+          'observation.state': frame.state,
+          'action': frame.action,
+          'timestamp': i / fps,
+          'frame_index': i,
+          'episode_index': e,
+          'index': globalIndex + i,
+          'task_index': task
+        };
+        if (info.images) {
+          row[IMAGE_KEY] = { bytes: images[i], path: `frame_${String(i).padStart(6, '0')}.png` };
+        }
+        return row;
+      });
+
+      const chunk = Math.floor(e / CHUNKS_SIZE);
+      const path = `data/chunk-${String(chunk).padStart(3, '0')}/episode_${String(e).padStart(6, '0')}.parquet`;
+      files[path] = [writeParquet(this.getColumns(), rows, { huggingface: JSON.stringify(this.getHuggingFaceFeatures()) }), { level: 0 }];
+
+      episodesLines.push(JSON.stringify({ episode_index: e, tasks: [episode.task], length: rows.length }));
+      const stats = {
+        'observation.state': vectorStats(rows.map((row) => row['observation.state'])),
+        'action': vectorStats(rows.map((row) => row.action))
+      };
+      for (const key of ['timestamp', 'frame_index', 'episode_index', 'index', 'task_index']) {
+        stats[key] = vectorStats(rows.map((row) => [row[key]]));
+      }
+      if (info.images) {
+        stats[IMAGE_KEY] = finishImageStats(episode.imageStats);
+      }
+      statsLines.push(JSON.stringify({ episode_index: e, stats }));
+      globalIndex += rows.length;
+    }
+
+    files['meta/info.json'] = strToU8(JSON.stringify({
+      codebase_version: LEROBOT_CODEBASE_VERSION,
+      robot_type: info.robot,
+      total_episodes: this.episodes.length,
+      total_frames: globalIndex,
+      total_tasks: tasks.length,
+      total_videos: 0,
+      total_chunks: Math.floor((this.episodes.length - 1) / CHUNKS_SIZE) + 1,
+      chunks_size: CHUNKS_SIZE,
+      fps,
+      splits: { train: `0:${this.episodes.length}` },
+      data_path: 'data/chunk-{episode_chunk:03d}/episode_{episode_index:06d}.parquet',
+      video_path: null,
+      features: this.getFeatures()
+    }, null, 4));
+    files['meta/tasks.jsonl'] = strToU8(tasks.map((task, i) => JSON.stringify({ task_index: i, task })).join('\n') + '\n');
+    files['meta/episodes.jsonl'] = strToU8(episodesLines.join('\n') + '\n');
+    files['meta/episodes_stats.jsonl'] = strToU8(statsLines.join('\n') + '\n');
+
+    return zipSync(files);
+  }
+
+  /**
+   * @returns {object} - meta/info.json features
+   */
+  getFeatures() {
+    const info = this.info;
+    const features = {
+      'action': { dtype: 'float32', shape: [info.actionNames.length], names: info.actionNames },
+      'observation.state': { dtype: 'float32', shape: [info.stateNames.length], names: info.stateNames }
+    };
+    if (info.images) {
+      features[IMAGE_KEY] = {
+        dtype: 'image',
+        shape: [this.imageHeight, this.imageWidth, 3],
+        names: ['height', 'width', 'channel']
+      };
+    }
+    features['timestamp'] = { dtype: 'float32', shape: [1], names: null };
+    for (const key of ['frame_index', 'episode_index', 'index', 'task_index']) {
+      features[key] = { dtype: 'int64', shape: [1], names: null };
+    }
+    return features;
+  }
+
+  /**
+   * @returns {object[]} - Parquet column specs, in feature order
+   */
+  getColumns() {
+    const info = this.info;
+    const columns = [
+      { name: 'action', type: 'float_list', length: info.actionNames.length },
+      { name: 'observation.state', type: 'float_list', length: info.stateNames.length }
+    ];
+    if (info.images) {
+      columns.push({ name: IMAGE_KEY, type: 'image' });
+    }
+    columns.push({ name: 'timestamp', type: 'float' });
+    for (const name of ['frame_index', 'episode_index', 'index', 'task_index']) {
+      columns.push({ name, type: 'int64' });
+    }
+    return columns;
+  }
+
+  /**
+   * Hugging Face datasets schema, stored in the parquet metadata so images decode as images
+   * @returns {object}
+   */
+  getHuggingFaceFeatures() {
+    const features = {};
+    for (const column of this.getColumns()) {
+      if (column.type === 'float_list') {
+        features[column.name] = { feature: { dtype: 'float32', _type: 'Value' }, length: column.length, _type: 'Sequence' };
+      } else if (column.type === 'image') {
+        features[column.name] = { _type: 'Image' };
+      } else {
+        features[column.name] = { dtype: column.type === 'float' ? 'float32' : column.type, _type: 'Value' };
+      }
+    }
+    return { info: { features } };
+  }
+}
+
+/**
+ * Per-dimension statistics in the episodes_stats.jsonl format
+ * @param {ArrayLike<number>[]} rows - One vector per frame
+ * @returns {{min: number[], max: number[], mean: number[], std: number[], count: number[]}}
+ */
+function vectorStats(rows) {
+  const n = rows[0].length;
+  const min = new Array(n).fill(Infinity), max = new Array(n).fill(-Infinity);
+  const sum = new Array(n).fill(0), sumSq = new Array(n).fill(0);
+  for (const row of rows) {
+    for (let k = 0; k < n; k++) {
+      const v = row[k];
+      if (v < min[k]) min[k] = v;
+      if (v > max[k]) max[k] = v;
+      sum[k] += v;
+      sumSq[k] += v * v;
+    }
+  }
+  const mean = sum.map((s) => s / rows.length);
+  const std = sumSq.map((s, k) => Math.sqrt(Math.max(0, s / rows.length - mean[k] * mean[k])));
+  return { min, max, mean, std, count: [rows.length] };
+}
+
+function createImageStats() {
+  return {
+    min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity],
+    sum: [0, 0, 0], sumSq: [0, 0, 0], pixels: 0, frames: 0
+  };
+}
+
+/**
+ * Add an RGBA frame to running per-channel statistics (values in [0, 1], every 4th pixel)
+ * @param {object} stats - From createImageStats()
+ * @param {Uint8ClampedArray} rgba - Pixel data
+ */
+function accumulateImageStats(stats, rgba) {
+  for (let p = 0; p < rgba.length; p += 16) {
+    for (let c = 0; c < 3; c++) {
+      const v = rgba[p + c] / 255;
+      if (v < stats.min[c]) stats.min[c] = v;
+      if (v > stats.max[c]) stats.max[c] = v;
+      stats.sum[c] += v;
+      stats.sumSq[c] += v * v;
+    }
+    stats.pixels++;
+  }
+  stats.frames++;
+}
+
+/**
+ * Image statistics in LeRobot's (channel, 1, 1) layout
+ * @param {object} stats - From createImageStats()
+ * @returns {object}
+ */
+function finishImageStats(stats) {
+  const wrap = (values) => values.map((v) => [[v]]);
+  const mean = stats.sum.map((s) => s / stats.pixels);
+  const std = stats.sumSq.map((s, c) => Math.sqrt(Math.max(0, s / stats.pixels - mean[c] * mean[c])));
+  return { min: wrap(stats.min), max: wrap(stats.max), mean: wrap(mean), std: wrap(std), count: [stats.frames] };
+}
@@ -0,0 +1,310 @@
+/**
+ * Minimal Parquet Writer
+ *
+ * Writes a single row group with one uncompressed, PLAIN-encoded data page per
+ * column. That is all LeRobot-style episode tables need, and it keeps the
+ * browser free of a full Arrow/Parquet dependency.
+ *
+ * Supported column types:
+ *   'float' / 'double' / 'int64' / 'bool'  - one value per row
+ *   'float_list'                           - fixed-length float32 list per row (LeRobot vectors)
+ *   'image'                                - {bytes: Uint8Array, path: string} per row
+ *                                            (the Hugging Face Image struct)
+ */
+
+// Parquet physical types
+const BOOLEAN = 0, INT64 = 2, FLOAT = 4, DOUBLE = 5, BYTE_ARRAY = 6;
+// Repetition types
+const REQUIRED = 0, REPEATED = 2;
+// Converted types
+const UTF8 = 0, LIST = 3;
+// Encodings
+const PLAIN = 0, RLE = 3;
+
+const SCALAR_TYPES = {
+  float:  { physical: FLOAT,   size: 4 },
+  double: { physical: DOUBLE,  size: 8 },
+  int64:  { physical: INT64,   size: 8 },
+  bool:   { physical: BOOLEAN, size: 0 }
+};
+
+/** Growable little-endian byte buffer */
+class ByteWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + n) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  byte(value) { this.reserve(1); this.bytes[this.length++] = value; }
+  int32(value) { this.reserve(4); this.view.setInt32(this.length, value, true); this.length += 4; }
+  int64(value) { this.reserve(8); this.view.setBigInt64(this.length, BigInt(value), true); this.length += 8; }
+  float32(value) { this.reserve(4); this.view.setFloat32(this.length, value, true); this.length += 4; }
+  float64(value) { this.reserve(8); this.view.setFloat64(this.length, value, true); this.length += 8; }
+  write(bytes) { this.reserve(bytes.length); this.bytes.set(bytes, this.length); this.length += bytes.length; }
+
+  varint(value) {
+    // Unsigned LEB128; BigInt so i64 fields don't lose precision
+    let v = BigInt(value);
+    while (v >= 0x80n) {
+      this.byte(Number(v & 0x7Fn) | 0x80);
+      v >>= 7n;
+    }
+    this.byte(Number(v));
+  }
+
+  result() { return this.bytes.slice(0, this.length); }
+}
+
+/**
+ * Thrift compact protocol encoder, just enough for the Parquet metadata structs.
+ * Structs are written from [fieldId, type, value] lists; null values are skipped.
+ */
+const T_I32 = 5, T_I64 = 6, T_BINARY = 8, T_LIST = 9, T_STRUCT = 12;
+
+function writeStruct(out, fields) {
+  let lastId = 0;
+  for (const [id, type, value] of fields) {
+    if (value === null || value === undefined) continue;
+    const delta = id - lastId;
+    if (delta > 0 && delta <= 15) {
+      out.byte((delta << 4) | type);
+    } else {
+      out.byte(type);
+      out.varint(zigzag(id));
+    }
+    lastId = id;
+    writeValue(out, type, value);
+  }
+  out.byte(0); // stop
+}
+
+function writeValue(out, type, value) {
+  switch (type) {
+    case T_I32:
+    case T_I64:
+      out.varint(zigzag(value));
+      break;
+    case T_BINARY: {
+      const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+      out.varint(bytes.length);
+      out.write(bytes);
+      break;
+    }
+    case T_LIST: {
+      const [elemType, items] = value;
+      if (items.length < 15) {
+        out.byte((items.length << 4) | elemType);
+      } else {
+        out.byte(0xF0 | elemType);
+        out.varint(items.length);
+      }
+      for (const item of items) writeValue(out, elemType, item);
+      break;
+    }
+    case T_STRUCT:
+      writeStruct(out, value);
+      break;
+  }
+}
+
+function zigzag(value) {
+  const v = BigInt(value);
+  return (v << 1n) ^ (v >> 63n);
+}
+
+/**
+ * RLE/bit-packed hybrid encoding of levels (bit width 1), with the 4-byte length prefix
+ * @param {Array<[number, number]>} runs - [value, count] runs
+ * @returns {Uint8Array}
+ */
+function encodeLevels(runs) {
+  const body = new ByteWriter();
+  for (const [value, count] of runs) {
+    body.varint(count << 1);
+    body.byte(value);
+  }
+  const out = new ByteWriter(body.length + 4);
+  out.int32(body.length);
+  out.write(body.result());
+  return out.result();
+}
+
+/**
+ * Build the leaf columns (schema path, physical type, levels, values) for one logical column
+ * @param {{name: string, type: string, length?: number}} column - Column spec
+ * @param {any[]} values - One value per row
+ * @returns {object[]} - Leaf column descriptions
+ */
+function buildLeaves(column, values) {
+  const numRows = values.length;
+
+  if (column.type in SCALAR_TYPES) {
+    const { physical } = SCALAR_TYPES[column.type];
+    const data = new ByteWriter(numRows * 8 + 16);
+    if (physical === BOOLEAN) {
+      // Bit-packed, LSB first
+      for (let i = 0; i < numRows; i += 8) {
+        let b = 0;
+        for (let k = 0; k < 8 && i + k < numRows; k++) {
+          if (values[i + k]) b |= 1 << k;
+        }
+        data.byte(b);
+      }
+    } else {
+      for (const v of values) {
+        if (physical === FLOAT) data.float32(v);
+        else if (physical === DOUBLE) data.float64(v);
+        else data.int64(v);
+      }
+    }
+    return [{ path: [column.name], physical, numValues: numRows, levels: null, data: data.result() }];
+  }
+
+  if (column.type === 'float_list') {
+    const n = column.length;
+    const data = new ByteWriter(numRows * n * 4 + 16);
+    const repRuns = [];
+    for (const row of values) {
+      if (row.length !== n) {
+        throw new Error(`Column ${column.name}: expected ${n} values per row, got ${row.length}`);
+      }
+      for (let k = 0; k < n; k++) data.float32(row[k]);
+      repRuns.push([0, 1]);
+      if (n > 1) repRuns.push([1, n - 1]);
+    }
+    const numValues = numRows * n;
+    const rep = encodeLevels(repRuns);
+    const def = encodeLevels([[1, numValues]]);
+    const levels = new Uint8Array(rep.length + def.length);
+    levels.set(rep);
+    levels.set(def, rep.length);
+    return [{ path: [column.name, 'list', 'element'], physical: FLOAT, numValues, levels, data: data.result() }];
+  }
+
+  if (column.type === 'image') {
+    const bytes = new ByteWriter(1024);
+    const paths = new ByteWriter(numRows * 8);
+    const encoder = new TextEncoder();
+    for (const image of values) {
+      bytes.int32(image.bytes.length);
+      bytes.write(image.bytes);
+      const path = encoder.encode(image.path ?? '');
+      paths.int32(path.length);
+      paths.write(path);
+    }
+    return [
+      { path: [column.name, 'bytes'], physical: BYTE_ARRAY, numValues: numRows, levels: null, data: bytes.result() },
+      { path: [column.name, 'path'], physical: BYTE_ARRAY, numValues: numRows, levels: null, data: paths.result(), converted: UTF8 }
+    ];
+  }
+
+  throw new Error(`Unsupported column type: ${column.type}`);
+}
+
+/**
+ * Schema elements for one logical column, in depth-first order
+ * @param {{name: string, type: string}} column - Column spec
+ * @returns {Array<Array>} - Thrift SchemaElement field lists
+ */
+function buildSchema(column) {
+  if (column.type in SCALAR_TYPES) {
+    return [[[1, T_I32, SCALAR_TYPES[column.type].physical], [3, T_I32, REQUIRED], [4, T_BINARY, column.name]]];
+  }
+  if (column.type === 'float_list') {
+    return [
+      [[3, T_I32, REQUIRED], [4, T_BINARY, column.name], [5, T_I32, 1], [6, T_I32, LIST]],
+      [[3, T_I32, REPEATED], [4, T_BINARY, 'list'], [5, T_I32, 1]],
+      [[1, T_I32, FLOAT], [3, T_I32, REQUIRED], [4, T_BINARY, 'element']]
+    ];
+  }
+  // image struct
+  return [
+    [[3, T_I32, REQUIRED], [4, T_BINARY, column.name], [5, T_I32, 2]],
+    [[1, T_I32, BYTE_ARRAY], [3, T_I32, REQUIRED], [4, T_BINARY, 'bytes']],
+    [[1, T_I32, BYTE_ARRAY], [3, T_I32, REQUIRED], [4, T_BINARY, 'path'], [6, T_I32, UTF8]]
+  ];
+}
+
+/**
+ * Write a table to Parquet bytes
+ * @param {{name: string, type: string, length?: number}[]} columns - Column specs, in order
+ * @param {object[]} rows - Rows keyed by column name
+ * @param {Object<string, string>} metadata - Optional key/value metadata for the footer
+ * @returns {Uint8Array} - Parquet file contents
+ */
+export function writeParquet(columns, rows, metadata = {}) {
+  const out = new ByteWriter(1 << 16);
+  out.write(new TextEncoder().encode('PAR1'));
+
+  const chunks = [];
+  for (const column of columns) {
+    const values = rows.map((row) => row[column.name]);
+    for (const leaf of buildLeaves(column, values)) {
+      const pageSize = (leaf.levels ? leaf.levels.length : 0) + leaf.data.length;
+      const offset = out.length;
+      writeStruct(out, [
+        [1, T_I32, 0],            // DATA_PAGE
+        [2, T_I32, pageSize],
+        [3, T_I32, pageSize],
+        [5, T_STRUCT, [
+          [1, T_I32, leaf.numValues],
+          [2, T_I32, PLAIN],
+          [3, T_I32, RLE],
+          [4, T_I32, RLE]
+        ]]
+      ]);
+      if (leaf.levels) out.write(leaf.levels);
+      out.write(leaf.data);
+      const chunkSize = out.length - offset;
+      chunks.push({ leaf, offset, chunkSize });
+    }
+  }
+
+  const schema = [[[4, T_BINARY, 'schema'], [5, T_I32, columns.length]]];
+  for (const column of columns) schema.push(...buildSchema(column));
+
+  const totalSize = chunks.reduce((sum, c) => sum + c.chunkSize, 0);
+  const keyValues = Object.entries(metadata).map(([key, value]) => [[1, T_BINARY, key], [2, T_BINARY, value]]);
+  const footer = new ByteWriter(4096);
+  writeStruct(footer, [
+    [1, T_I32, 1],
+    [2, T_LIST, [T_STRUCT, schema]],
+    [3, T_I64, rows.length],
+    [4, T_LIST, [T_STRUCT, [[
+      [1, T_LIST, [T_STRUCT, chunks.map(({ leaf, offset, chunkSize }) => [
+        [2, T_I64, offset],
+        [3, T_STRUCT, [
+          [1, T_I32, leaf.physical],
+          [2, T_LIST, [T_I32, [PLAIN, RLE]]],
+          [3, T_LIST, [T_BINARY, leaf.path]],
+          [4, T_I32, 0],          // UNCOMPRESSED
+          [5, T_I64, leaf.numValues],
+          [6, T_I64, chunkSize],
+          [7, T_I64, chunkSize],
+          [9, T_I64, offset]
+        ]]
+      ])]],
+      [2, T_I64, totalSize],
+      [3, T_I64, rows.length]
+    ]]]],
+    [5, T_LIST, [T_STRUCT, keyValues.length > 0 ? keyValues : []]],
+    [6, T_BINARY, 'MuJoCo-GS-Web parquetWriter']
+  ]);
+
+  const footerBytes = footer.result();
+  out.write(footerBytes);
+  out.int32(footerBytes.length);
+  out.write(new TextEncoder().encode('PAR1'));
+  return out.result();
+}
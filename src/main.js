@@ -3,17 +3,36 @@ import * as THREE           from 'three';
 import { GUI              } from '../node_modules/three/examples/jsm/libs/lil-gui.module.min.js';
 import { OrbitControls    } from '../node_modules/three/examples/jsm/controls/OrbitControls.js';
 import { DragStateManager } from './utils/DragStateManager.js';
-import { setupGUI, downloadDefaultRobot, loadSceneFromURL, loadModularScene, drawTendonsAndFlex, getPosition, getQuaternion, toMujocoPos, standardNormal } from './mujocoUtils.js';
+import { ContactOverlay } from './utils/ContactOverlay.js';
+import { ModelOverlay } from './utils/ModelOverlay.js';
+import { CameraController } from './utils/CameraController.js';
+import { PlotPane } from './utils/PlotPane.js';
+import { PictureInPicture } from './utils/PictureInPicture.js';
+import { RenderOutputs } from './utils/RenderOutputs.js';
+import { SplatCompositor, GradeShader } from './utils/SplatCompositor.js';
+import { SplatAlignment } from './utils/SplatAlignment.js';
+import { ColliderEditor } from './utils/ColliderEditor.js';
+import { getName } from './simulation/modelNames.js';
+import { setupGUI, downloadDefaultRobot, loadSceneFromURL, loadModularScene, drawTendonsAndFlex, getPosition, getQuaternion, toMujocoPos, applyRenderStyle, applyShadowCatcher, SHADOW_CATCHER_LAYER } from './mujocoUtils.js';
 import { keyboardController } from './utils/KeyboardControl.js';
 import   load_mujoco        from '../node_modules/mujoco-js/dist/mujoco_wasm.js';
 import { getSceneManager } from './utils/SceneManager.js';
 import { policyController } from './policy/PolicyController.js';
+import { Simulation, applyBodyPerturbation } from './simulation/Simulation.js';
+import { SimulationWorkerClient } from './simulation/SimulationWorkerClient.js';
+import { SnapshotManager } from './simulation/SnapshotManager.js';
+import { TrajectoryRecorder, TrajectoryPlayer } from './simulation/trajectory.js';
+import { LeRobotDatasetRecorder } from './dataset/LeRobotDataset.js';
+import { MuJoCoEnv } from './simulation/GymEnv.js';
+import { TaskRunner } from './tasks/TaskRunner.js';
+import { DomainRandomizer } from './simulation/DomainRandomizer.js';
 
 // ===== 新增：后处理相关 =====
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
 
 // Load the MuJoCo Module
 const mujoco = await load_mujoco();
@@ -30,32 +49,75 @@ export class MuJoCoDemo {
   constructor() {
     this.mujoco = mujoco;
 
-    // Model and data will be initialized in init() via modular loading
-    this.model = null;
-    this.data = null;
-
     // Define Random State Variables
+    const urlParams = new URLSearchParams(window.location.search);
     this.params = {
       scene: null,
       environment: initialEnvironment,
       robot: initialRobot,
       paused: false,
+      speed: 1.0,
       help: false,
       ctrlnoiserate: 0.0,
       ctrlnoisestd: 0.0,
-      keyframeNumber: 0
+      keyframeNumber: 0,
+      // Run physics and policy inference in a Web Worker (?worker in the URL)
+      physicsWorker: urlParams.has('worker'),
+      // Seeded noise + fixed steps per frame (?seed=N in the URL turns it on)
+      deterministic: urlParams.has('seed'),
+      seed: parseInt(urlParams.get('seed')) || 0,
+      stepsPerTick: 0,
+      // Visible geom groups 0-5 and the collision overlay style (Visualization folder)
+      geomGroups: [true, true, true, false, false, false],
+      collisionOverlay: 'off',
+      // Geom materials: 'pbr', 'toon' (with outlines) or 'flat' (Visualization folder)
+      renderStyle: 'toon',
+      // Color grading of the MuJoCo meshes, also applied in 3DGS mode (Visualization folder)
+      exposure: 1.0,
+      contrast: 1.0,
+      saturation: 1.0,
+      // Shadows of the robot on the 3DGS scene, caught by world collision geoms (Visualization folder)
+      shadowCatcher: true,
+      shadowIntensity: 0.5,
+      shadowSoftness: 4
     };
-    this.mujoco_time = 0.0;
     this.bodies  = {}, this.lights = {};
     this.tmpVec  = new THREE.Vector3();
     this.tmpQuat = new THREE.Quaternion();
     this.updateGUICallbacks = [];
 
-    // Policy control state
-    this.policyEnabled = false;
-    this.policyStepPending = false;
-    this.policyDecimation = 0;
-    this.policySubstep = 0;
+    // Headless simulation core; model and data are loaded in init() via modular loading.
+    // The viewer only applies drag perturbations and mirrors the resulting poses.
+    this.simulation = new Simulation(mujoco, this.params);
+    this.simulation.controller = keyboardController;
+    this.simulation.perturbationCallbacks.push(this.applyDragPerturbation.bind(this));
+    this.simulation.subscribe(this.mirrorSimulation.bind(this));
+
+    // Save slots and rewind history (see callSnapshots)
+    this.snapshots = new SnapshotManager(this.simulation);
+
+    // Trajectory logging and replay (see callTrajectory)
+    this.trajectory = {
+      recorder: new TrajectoryRecorder(this.simulation),
+      player: new TrajectoryPlayer(this.simulation)
+    };
+
+    // Active task, success detection and score (see callTasks)
+    this.tasks = new TaskRunner(this.simulation);
+
+    // Samples model parameters on every reset (see setRandomizationProfile)
+    this.randomizer = new DomainRandomizer(this.simulation);
+
+    // LeRobot episode recorder; samples the (possibly worker-mirrored) data and
+    // grabs camera frames after each render
+    this.dataset = new LeRobotDatasetRecorder(this.simulation);
+
+    // Gym-style reset()/step() API, exposed as window.mujocoEnv
+    this.env = new MuJoCoEnv(this.simulation);
+
+    // Set by setPhysicsWorker(); while present, the worker steps physics and
+    // this.simulation only holds the interpolated frames it streams back
+    this.workerClient = null;
 
     this.container = document.createElement( 'div' );
     this.container.style.cssText = 'position: relative; width: 100%; height: 100%; z-index: 1;';
@@ -86,6 +148,7 @@ export class MuJoCoDemo {
     this.spotlight.shadow.mapSize.height = 1024; // default
     this.spotlight.shadow.camera.near = 0.1; // default
     this.spotlight.shadow.camera.far = 100; // default
+    this.spotlight.shadow.radius = this.params.shadowSoftness;
     this.spotlight.position.set(0, 3, 3);
     const targetObject = new THREE.Object3D();
     this.scene.add(targetObject);
@@ -133,15 +196,173 @@ export class MuJoCoDemo {
     this.controls.screenSpacePanning = true;
     this.controls.update();
 
+    // Free / MJCF / body-tracking views (Camera folder)
+    this.cameraController = new CameraController(this.camera, this.controls);
+
     window.addEventListener('resize', this.onWindowResize.bind(this));
 
     // Initialize the Drag State Manager.
     this.dragStateManager = new DragStateManager(this.scene, this.renderer, this.camera, this.container.parentElement, this.controls);
 
+    // Transform of the 3DGS scene in the MuJoCo world, saved per scene (3DGS Alignment folder)
+    this.splatAlignment = new SplatAlignment(this.camera, this.renderer.domElement, this.scene, this.controls);
+
+    // Box / cylinder / plane colliders authored over the splats, exported as collision.xml (Collision Editor folder)
+    this.colliderEditor = new ColliderEditor(this.camera, this.renderer.domElement, this.scene, this.controls);
+    this.dragStateManager.isPointerCaptured = () =>
+      this.splatAlignment.isPointerCaptured() || this.colliderEditor.isPointerCaptured();
+
+    // Contact points, normals and forces (toggled under Visualization → Contacts)
+    this.contactOverlay = new ContactOverlay();
+    this.scene.add(this.contactOverlay.group);
+
+    // Body / site frames, joint axes, COM, inertia boxes and transmissions (Visualization → Model)
+    this.modelOverlay = new ModelOverlay();
+    this.scene.add(this.modelOverlay.group);
+
+    // Rolling signal plots (Sensors → Plot); sensorReadout is set while the Sensors folder is open
+    this.plotPane = new PlotPane(this.container);
+    this.sensorReadout = false;
+
+    // Offscreen view from an MJCF camera or a body / site (Camera → Picture-in-Picture)
+    this.pictureInPicture = new PictureInPicture(this.renderer, this.scene, this.container);
+    this.pictureInPicture.hiddenObjects = [this.contactOverlay.group, this.modelOverlay.group,
+      this.splatAlignment.getHelper(), this.colliderEditor.group, this.colliderEditor.getHelper()];
+
+    // Depth / segmentation captures, taken after the next rendered frame (window.mujocoEnv.render())
+    this.renderOutputs = new RenderOutputs(this.renderer);
+    this.pendingCaptures = [];
+    this.env.renderHook = (options) => this.captureRenderOutputs(options);
+
     // ===== 新增：Toon 后处理 =====
     this.setupToonRendering();
   }
 
+  get model() { return this.simulation.model; }
+  set model(model) { this.simulation.model = model; }
+  get data() { return this.simulation.data; }
+  set data(data) { this.simulation.data = data; }
+  get policyEnabled() { return (this.workerClient ?? this.simulation).policyEnabled; }
+
+  /**
+   * Start or stop the physics worker. The caller reloads the scene afterwards
+   * so the worker (or the main thread) picks up the current model.
+   * @param {boolean} enabled - Whether physics should run in the worker
+   */
+  setPhysicsWorker(enabled) {
+    if (enabled === !!this.workerClient) return;
+    if (this.simulation.policyEnabled) {
+      this.simulation.disablePolicy();
+    }
+    if (enabled) {
+      this.env.release();
+      this.env.unavailableReason = 'The environment API needs physics on the main thread; untick Simulation → Physics in Worker';
+      // Resolved relative to this module so it works from both src/ and build/
+      const worker = new Worker(new URL('./simulation/simulationWorker.js', import.meta.url), { type: 'module' });
+      this.workerClient = new SimulationWorkerClient(worker, mujoco, this.simulation, this.getDragPerturbation.bind(this));
+      // Show the worker's randomized colors and lights; light_xdir follows light_dir after mj_forward
+      this.workerClient.onRandomized = (visual) => {
+        this.randomizer.applyVisual(this.model, visual);
+        mujoco.mj_forward(this.model, this.data);
+      };
+    } else {
+      this.workerClient.terminate();
+      this.workerClient = null;
+      this.env.unavailableReason = null;
+    }
+    this.snapshots.recording = !enabled;
+    this.params.physicsWorker = enabled;
+  }
+
+  /**
+   * Run a SnapshotManager method on whichever thread owns the physics
+   * @param {string} method - e.g. 'save', 'load', 'rewind'
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>}
+   */
+  async callSnapshots(method, ...args) {
+    if (this.workerClient) {
+      return this.workerClient.callSnapshots(method, args);
+    }
+    return this.snapshots[method](...args);
+  }
+
+  /**
+   * Run a trajectory recorder / player method on whichever thread owns the physics
+   * @param {'recorder'|'player'} target - Which object
+   * @param {string} method - e.g. 'start', 'load', 'play'
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>}
+   */
+  async callTrajectory(target, method, ...args) {
+    if (this.workerClient) {
+      return this.workerClient.callTrajectory(target, method, args);
+    }
+    return this.trajectory[target][method](...args);
+  }
+
+  /**
+   * Run a TaskRunner method on whichever thread owns the physics
+   * @param {string} method - e.g. 'setTask', 'getStatus'
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>}
+   */
+  async callTasks(method, ...args) {
+    if (this.workerClient) {
+      return this.workerClient.callTasks(method, args);
+    }
+    return this.tasks[method](...args);
+  }
+
+  /**
+   * Set the domain randomization profile on the main thread and, if it runs, in the worker.
+   * Takes effect on the next reset.
+   * @param {object|string} profile - Profile object or JSON text (see DomainRandomizer.js)
+   * @returns {Promise<object>} - The complete profile
+   */
+  async setRandomizationProfile(profile) {
+    const parsed = this.randomizer.setProfile(profile);
+    if (this.workerClient) {
+      await this.workerClient.callRandomizer('setProfile', [parsed]);
+    }
+    return parsed;
+  }
+
+  /**
+   * Switch the geom materials between 'pbr' (MeshPhysicalMaterial from the MJCF materials, lit by a
+   * room environment map), 'toon' (cel shading plus the outline pass) and 'flat' (unlit colors)
+   * @param {'pbr'|'toon'|'flat'} style
+   */
+  setRenderStyle(style) {
+    this.params.renderStyle = style;
+    this.outlinePass.enabled = style === 'toon';
+    if (style === 'pbr' && !this.environmentMap) {
+      const pmrem = new THREE.PMREMGenerator(this.renderer);
+      this.environmentMap = pmrem.fromScene(new RoomEnvironment(), 0.04).texture;
+      pmrem.dispose();
+    }
+    this.scene.environment = style === 'pbr' ? this.environmentMap : null;
+    applyRenderStyle(this.mujocoRoot, this.model, style);
+  }
+
+  /**
+   * Switch to PCF shadows while a 3DGS scene is shown: unlike PCFSoftShadowMap they honor
+   * shadow.radius, the softness of the shadows caught over the splats
+   * @param {boolean} splats - Whether a 3DGS scene is shown
+   */
+  updateShadowMapType(splats) {
+    const type = splats ? THREE.PCFShadowMap : THREE.PCFSoftShadowMap;
+    if (this.renderer.shadowMap.type === type) return;
+    this.renderer.shadowMap.type = type;
+    // Compiled materials keep their shadow code until recompiled
+    this.scene.traverse((object) => {
+      for (const material of [object.material].flat()) {
+        if (material) material.needsUpdate = true;
+      }
+    });
+    applyShadowCatcher(this.scene, this.params);
+  }
+
   // ===== 新增：Toon 渲染设置方法 =====
   setupToonRendering() {
     // 创建支持 alpha 的渲染目标
@@ -163,6 +384,10 @@ export class MuJoCoDemo {
     renderPass.clearAlpha = 0;  // 透明背景
     this.composer.addPass(renderPass);
 
+    // Exposure / color grading, shared with the 3DGS compositor
+    this.gradePass = new ShaderPass(GradeShader);
+    this.composer.addPass(this.gradePass);
+
     // 描边 Shader
     const OutlineShader = {
       uniforms: {
@@ -218,6 +443,9 @@ export class MuJoCoDemo {
 
     // 输出 Pass
     this.composer.addPass(new OutputPass());
+
+    // 3DGS mode: the same styling applied to the MuJoCo meshes only, composited with the splats
+    this.splatCompositor = new SplatCompositor(this.renderer, this.scene, this.camera);
   }
 
   async init() {
@@ -253,10 +481,13 @@ export class MuJoCoDemo {
       return false;
     }
     try {
+      if (this.workerClient) {
+        await this.workerClient.loadPolicy(new URL(policyPath, window.location.href).href);
+        console.log('Policy loaded and enabled in physics worker');
+        return true;
+      }
       await policyController.loadPolicy(policyPath, this.model, this.data, this.mujoco);
-      this.policyEnabled = true;
-      this.policyDecimation = policyController.decimation;
-      this.policySubstep = this.policyDecimation; // Trigger first policy step
+      this.simulation.enablePolicy(policyController);
       console.log('Policy loaded and enabled');
       return true;
     } catch (err) {
@@ -266,28 +497,20 @@ export class MuJoCoDemo {
   }
 
   disablePolicy() {
-    this.policyEnabled = false;
-    policyController.disable();
+    (this.workerClient ?? this.simulation).disablePolicy();
     console.log('Policy disabled');
   }
 
   resetPolicy() {
-    if (policyController.enabled) {
-      policyController.reset();
-      this.policySubstep = this.policyDecimation; // Trigger new policy step
-    }
+    (this.workerClient ?? this.simulation).resetPolicy();
   }
 
   getAvailableMotions() {
-    return policyController.getAvailableMotions();
+    return (this.workerClient ?? policyController).getAvailableMotions();
   }
 
   requestMotion(name) {
-    return policyController.requestMotion(name);
-  }
-
-  getPlaybackState() {
-    return policyController.getPlaybackState();
+    return (this.workerClient ?? policyController).requestMotion(name);
   }
 
   syncGUIFromControls() {
@@ -311,144 +534,8 @@ export class MuJoCoDemo {
     }
   }
 
-  render(timeMS) {
-    this.controls.update();
-
-    // Skip physics if model not yet loaded
-    if (!this.model || !this.data) {
-      this.renderer.render(this.scene, this.camera);
-      return;
-    }
-
-    if (!this.params["paused"]) {
-      let timestep = this.model.opt.timestep;
-      if (timeMS - this.mujoco_time > 35.0) { this.mujoco_time = timeMS; }
-
-      // Policy control mode
-      if (this.policyEnabled && policyController.enabled) {
-        while (this.mujoco_time < timeMS) {
-          // Check if we need a new policy step
-          if (this.policySubstep >= this.policyDecimation) {
-            // Run policy inference (async, but we handle it)
-            if (!this.policyStepPending) {
-              this.policyStepPending = true;
-              policyController.step().then((decimation) => {
-                this.policyDecimation = decimation;
-                this.policySubstep = 0;
-                this.policyStepPending = false;
-              }).catch((err) => {
-                console.error('Policy step error:', err);
-                this.policyStepPending = false;
-              });
-            }
-            // Skip physics while waiting for policy
-            break;
-          }
-
-          // Apply PD control from policy
-          policyController.applyControl();
-
-          // Clear old perturbations, apply new ones.
-          for (let i = 0; i < this.data.qfrc_applied.length; i++) { this.data.qfrc_applied[i] = 0.0; }
-
-          // Apply drag forces (same as normal mode)
-          let dragged = this.dragStateManager.physicsObject;
-          if (dragged && dragged.bodyID) {
-            for (let b = 0; b < this.model.nbody; b++) {
-              if (this.bodies[b]) {
-                getPosition  (this.data.xpos , b, this.bodies[b].position);
-                getQuaternion(this.data.xquat, b, this.bodies[b].quaternion);
-                this.bodies[b].updateWorldMatrix();
-              }
-            }
-            let bodyID = dragged.bodyID;
-            this.dragStateManager.update();
-            let force = toMujocoPos(this.dragStateManager.currentWorld.clone().sub(this.dragStateManager.worldHit).multiplyScalar(this.model.body_mass[bodyID] * 250));
-            let point = toMujocoPos(this.dragStateManager.worldHit.clone());
-            this.mujoco.mj_applyFT(this.model, this.data, [force.x, force.y, force.z], [0, 0, 0], [point.x, point.y, point.z], bodyID, this.data.qfrc_applied);
-          }
-
-          this.mujoco.mj_step(this.model, this.data);
-          this.policySubstep++;
-          this.mujoco_time += timestep * 1000.0;
-        }
-        
-        // Sync GUI slider values to match policy control (read-only display)
-        this.syncGUIFromControls();
-      } else {
-        // Normal keyboard control mode
-        while (this.mujoco_time < timeMS) {
-
-          // Jitter the control state with gaussian random noise
-          if (this.params["ctrlnoisestd"] > 0.0) {
-            let rate  = Math.exp(-timestep / Math.max(1e-10, this.params["ctrlnoiserate"]));
-            let scale = this.params["ctrlnoisestd"] * Math.sqrt(1 - rate * rate);
-            let currentCtrl = this.data.ctrl;
-            for (let i = 0; i < currentCtrl.length; i++) {
-              currentCtrl[i] = rate * currentCtrl[i] + scale * standardNormal();
-            }
-          }
-
-          // Clear old perturbations, apply new ones.
-          for (let i = 0; i < this.data.qfrc_applied.length; i++) { this.data.qfrc_applied[i] = 0.0; }
-          let dragged = this.dragStateManager.physicsObject;
-          if (dragged && dragged.bodyID) {
-            for (let b = 0; b < this.model.nbody; b++) {
-              if (this.bodies[b]) {
-                getPosition  (this.data.xpos , b, this.bodies[b].position);
-                getQuaternion(this.data.xquat, b, this.bodies[b].quaternion);
-                this.bodies[b].updateWorldMatrix();
-              }
-            }
-            let bodyID = dragged.bodyID;
-            this.dragStateManager.update();
-            let force = toMujocoPos(this.dragStateManager.currentWorld.clone().sub(this.dragStateManager.worldHit).multiplyScalar(this.model.body_mass[bodyID] * 250));
-            let point = toMujocoPos(this.dragStateManager.worldHit.clone());
-            this.mujoco.mj_applyFT(this.model, this.data, [force.x, force.y, force.z], [0, 0, 0], [point.x, point.y, point.z], bodyID, this.data.qfrc_applied);
-          }
-
-          // Update keyboard controls
-          keyboardController.step();
-
-          this.mujoco.mj_step(this.model, this.data);
-
-          this.mujoco_time += timestep * 1000.0;
-        }
-
-        // Sync GUI slider values to match current control values (for keyboard/slider hybrid control)
-        this.syncGUIFromControls();
-      }
-
-    } else if (this.params["paused"]) {
-      this.dragStateManager.update();
-      let dragged = this.dragStateManager.physicsObject;
-      if (dragged && dragged.bodyID) {
-        let b = dragged.bodyID;
-        getPosition  (this.data.xpos , b, this.tmpVec , false);
-        getQuaternion(this.data.xquat, b, this.tmpQuat, false);
-
-        let offset = toMujocoPos(this.dragStateManager.currentWorld.clone()
-          .sub(this.dragStateManager.worldHit).multiplyScalar(0.3));
-        if (this.model.body_mocapid[b] >= 0) {
-          let addr = this.model.body_mocapid[b] * 3;
-          let pos  = this.data.mocap_pos;
-          pos[addr+0] += offset.x;
-          pos[addr+1] += offset.y;
-          pos[addr+2] += offset.z;
-        } else {
-          let root = this.model.body_rootid[b];
-          let addr = this.model.jnt_qposadr[this.model.body_jntadr[root]];
-          let pos  = this.data.qpos;
-          pos[addr+0] += offset.x;
-          pos[addr+1] += offset.y;
-          pos[addr+2] += offset.z;
-        }
-      }
-
-      this.mujoco.mj_forward(this.model, this.data);
-    }
-
-    // Update body transforms.
+  /** Sync the Three.js body transforms with the MuJoCo body poses */
+  updateBodyTransforms() {
     for (let b = 0; b < this.model.nbody; b++) {
       if (this.bodies[b]) {
         getPosition  (this.data.xpos , b, this.bodies[b].position);
@@ -456,31 +543,170 @@ export class MuJoCoDemo {
         this.bodies[b].updateWorldMatrix();
       }
     }
+  }
+
+  /**
+   * Current mouse-drag perturbation in MuJoCo coordinates
+   * @returns {{bodyID: number, force: number[], point: number[], offset: number[]}|null}
+   */
+  getDragPerturbation() {
+    this.dragStateManager.update();
+    let dragged = this.dragStateManager.physicsObject;
+    if (!dragged || !dragged.bodyID) return null;
+
+    let bodyID = dragged.bodyID;
+    let delta  = this.dragStateManager.currentWorld.clone().sub(this.dragStateManager.worldHit);
+    let force  = toMujocoPos(delta.clone().multiplyScalar(this.model.body_mass[bodyID] * 250));
+    let point  = toMujocoPos(this.dragStateManager.worldHit.clone());
+    let offset = toMujocoPos(delta.multiplyScalar(0.3));
+    return {
+      bodyID,
+      force : [force.x , force.y , force.z ],
+      point : [point.x , point.y , point.z ],
+      offset: [offset.x, offset.y, offset.z]
+    };
+  }
+
+  /** Simulation perturbation callback: drag forces while running, direct pose edits while paused */
+  applyDragPerturbation(model, data, paused) {
+    if (!paused && this.dragStateManager.physicsObject) {
+      // Drag anchors follow the bodies, so sync them before every substep
+      this.updateBodyTransforms();
+    }
+    applyBodyPerturbation(this.mujoco, model, data, this.getDragPerturbation(), paused);
+  }
+
+  /** Simulation subscriber: mirror bodies, lights, tendons and controls into the viewer */
+  mirrorSimulation(model, data) {
+    // Update body transforms.
+    this.updateBodyTransforms();
 
     // Update light transforms.
-    for (let l = 0; l < this.model.nlight; l++) {
+    for (let l = 0; l < model.nlight; l++) {
       if (this.lights[l]) {
-        getPosition(this.data.light_xpos, l, this.lights[l].position);
-        getPosition(this.data.light_xdir, l, this.tmpVec);
+        getPosition(data.light_xpos, l, this.lights[l].position);
+        getPosition(data.light_xdir, l, this.tmpVec);
         this.lights[l].lookAt(this.tmpVec.add(this.lights[l].position));
       }
     }
 
     // Draw Tendons and Flex verts
-    drawTendonsAndFlex(this.mujocoRoot, this.model, this.data);
+    drawTendonsAndFlex(this.mujocoRoot, model, data);
+
+    // Worker frames carry only poses and controls, so recompute contacts, sensors, actuator
+    // forces and the remaining kinematics from the mirrored state while something displays them
+    if (this.workerClient && (this.contactOverlay.isActive() || this.modelOverlay.isActive() ||
+        this.cameraController.isActive() || this.pictureInPicture.isActive() ||
+        this.plotPane.isActive() || this.sensorReadout)) {
+      this.mujoco.mj_forward(model, data);
+    }
+    this.contactOverlay.update(this.mujoco, model, data, this.dragStateManager.previouslySelected?.bodyID ?? null);
+    this.modelOverlay.update(this.mujoco, model, data);
+    this.plotPane.sample(model, data);
+
+    // Sync GUI slider values to match current control values (keyboard/slider hybrid and policy control)
+    if (!this.params.paused) {
+      this.syncGUIFromControls();
+    }
+  }
+
+  render(timeMS) {
+    this.controls.update();
+
+    // Skip physics if model not yet loaded
+    if (!this.model || !this.data) {
+      this.renderer.render(this.scene, this.camera);
+      return;
+    }
+
+    // Step the simulation (or interpolate the worker's frames); subscribers mirror the result into the scene.
+    // While a script drives window.mujocoEnv, only env.step() advances physics.
+    if (this.workerClient) {
+      this.workerClient.update(timeMS);
+    } else if (!this.env.acquired) {
+      this.simulation.update(timeMS);
+    }
+
+    // Follow the tracked body or MJCF camera (overrides the orbit pose set above)
+    this.cameraController.update(this.model, this.data);
+    this.pictureInPicture.render(this.model, this.data);
 
     // Render the scene
+    const { exposure, contrast, saturation } = this.params;
     if (this.gsController && this.gsController.enabled) {
-      // When 3DGS is enabled, bypass post-processing and render directly
-      // SplatMesh is in the same scene, no camera sync needed
-      // Z-buffer automatically handles depth occlusion between GS and MuJoCo meshes
-      this.renderer.setClearColor(0x000000, 0);
-      this.renderer.clear();
-      this.renderer.render(this.scene, this.camera);
+      // When 3DGS is enabled, the meshes are post-processed as their own layer and the
+      // splats drawn against its depth, so occlusion works as in a single pass
+      this.splatCompositor.render(this.gsController.splatMesh, {
+        outline: this.params.renderStyle === 'toon', exposure, contrast, saturation,
+        shadowCatcherLayer: this.params.shadowCatcher ? SHADOW_CATCHER_LAYER : null
+      });
     } else {
       // Render with toon post-processing
+      const uniforms = this.gradePass.uniforms;
+      uniforms.exposure.value = exposure;
+      uniforms.contrast.value = contrast;
+      uniforms.saturation.value = saturation;
       this.composer.render();
     }
+
+    this.dataset.captureImage(this.renderer.domElement);
+
+    for (const { view, resolve, reject } of this.pendingCaptures.splice(0)) {
+      try {
+        resolve(this.captureView(view));
+      } catch (error) {
+        reject(error);
+      }
+    }
+  }
+
+  /**
+   * Capture RGB, linear depth and geom / body segmentation after the next rendered frame
+   * @param {object} options
+   * @param {string} options.view - 'main' for the viewer camera, or the name of an MJCF camera
+   * @returns {Promise<object>} - See captureView()
+   */
+  captureRenderOutputs({ view = 'main' } = {}) {
+    return new Promise((resolve, reject) => this.pendingCaptures.push({ view, resolve, reject }));
+  }
+
+  /**
+   * Render the outputs of a view now; the main view must have just been rendered
+   * @param {string} view - 'main' or an MJCF camera name
+   * @returns {object} - {view, time, width, height, fovy, rgb: ImageData, depth, geom, body, geomNames, bodyNames}
+   */
+  captureView(view) {
+    const model = this.model, data = this.data;
+    if (!model) throw new Error('No model loaded');
+    let camera, rgb;
+    if (view === 'main') {
+      camera = this.camera;
+      const canvas = this.renderer.domElement;
+      const copy = document.createElement('canvas');
+      copy.width = canvas.width;
+      copy.height = canvas.height;
+      const ctx = copy.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(canvas, 0, 0);
+      rgb = ctx.getImageData(0, 0, copy.width, copy.height);
+    } else {
+      let id = -1;
+      for (let c = 0; c < model.ncam && id < 0; c++) {
+        if (getName(model, model.name_camadr[c]) === view) id = c;
+      }
+      if (id < 0) throw new Error(`Unknown camera: ${view}`);
+      // Worker frames don't carry cam_xpos / cam_xmat
+      if (this.workerClient) this.mujoco.mj_forward(model, data);
+      this.pictureInPicture.renderFrame(model, data, `camera:${id}`);
+      const frame = this.pictureInPicture.imageData;
+      rgb = new ImageData(new Uint8ClampedArray(frame.data), frame.width, frame.height);
+      camera = this.pictureInPicture.camera;
+    }
+    const labels = this.renderOutputs.renderLabels(this.mujocoRoot, camera, rgb.width, rgb.height);
+    const names = (count, adr) => Array.from({ length: count }, (_, i) => getName(model, adr[i]));
+    return {
+      view, time: data.time, fovy: camera.fov, rgb, ...labels,
+      geomNames: names(model.ngeom, model.name_geomadr), bodyNames: names(model.nbody, model.name_bodyadr)
+    };
   }
 
 }
@@ -488,6 +714,9 @@ export class MuJoCoDemo {
 let demo = new MuJoCoDemo();
 await demo.init();
 
+// Programmatic access for scripts, Playwright checks and browser-side agents
+window.mujocoEnv = demo.env;
+
 // ============================================================================
 // Gaussian Splatting Environment Controller (Same-Scene SplatMesh)
 // ============================================================================
@@ -502,6 +731,8 @@ class GaussianSplatController {
     this.savedBackground = null;
     this.savedFog = null;
     this.SparkModule = null;
+    // Called with the new state after the splats are shown or removed
+    this.onChange = null;
   }
 
   async enable(spzUrl = './assets/scene.spz') {
@@ -543,15 +774,10 @@ class GaussianSplatController {
 
       // Hide floor/ground meshes to show GS environment
       this.hiddenMeshes = [];
-      this.scene.traverse((obj) => {
-        if (obj.isMesh && obj.name && (obj.name.toLowerCase().includes('floor') || obj.name.toLowerCase().includes('ground') || obj.name.toLowerCase().includes('plane'))) {
-          obj.visible = false;
-          this.hiddenMeshes.push(obj);
-          console.log('Hidden mesh for GS:', obj.name);
-        }
-      });
+      this.hideGroundMeshes();
 
       this.enabled = true;
+      this.onChange?.(true);
       console.log('3D Gaussian Splatting environment enabled (same-scene)');
     } catch (err) {
       console.error('Failed to load 3DGS:', err);
@@ -588,15 +814,35 @@ class GaussianSplatController {
     // Restore hidden meshes
     if (this.hiddenMeshes) {
       this.hiddenMeshes.forEach(mesh => {
-        mesh.visible = true;
+        mesh.hiddenForSplats = false;
+        mesh.visible = mesh.visibleBeforeSplats;
       });
       this.hiddenMeshes = null;
     }
 
     this.enabled = false;
+    this.onChange?.(false);
     console.log('3D Gaussian Splatting environment disabled');
   }
 
+  /**
+   * Hide the floor / ground meshes, which would cover the splats' own floor. Call again after
+   * the MuJoCo scene is reloaded under the splats.
+   */
+  hideGroundMeshes() {
+    if (!this.hiddenMeshes) return;
+    this.scene.traverse((obj) => {
+      if (obj.isMesh && obj.name && !obj.hiddenForSplats && (obj.name.toLowerCase().includes('floor') || obj.name.toLowerCase().includes('ground') || obj.name.toLowerCase().includes('plane'))) {
+        // Flagged so applyGeomVisibility keeps it hidden
+        obj.hiddenForSplats = true;
+        obj.visibleBeforeSplats = obj.visible;
+        obj.visible = false;
+        this.hiddenMeshes.push(obj);
+        console.log('Hidden mesh for GS:', obj.name);
+      }
+    });
+  }
+
   async toggle(spzUrl) {
     if (this.enabled) {
       this.disable();
@@ -614,6 +860,10 @@ class GaussianSplatController {
 // Create controller and UI button
 const gsController = new GaussianSplatController(demo.container, demo.scene);
 demo.gsController = gsController;  // Attach to demo for render loop access
+gsController.onChange = (enabled) => {
+  demo.updateShadowMapType(enabled);
+  demo.splatAlignment.setSplat(enabled ? gsController.splatMesh : null, demo.sceneManager.getSpzKey());
+};
 
 // GitHub button
 const githubBtn = document.createElement('button');
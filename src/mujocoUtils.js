@@ -4,6 +4,28 @@ import { MuJoCoDemo } from './main.js';
 import { keyboardController } from './utils/KeyboardControl.js';
 import { getSceneManager } from './utils/SceneManager.js';
 import { policyController } from './policy/PolicyController.js';
+import { TASK_CONFIGS } from './tasks/taskConfigs.js';
+import { listSensors, listSignals } from './simulation/signals.js';
+import { formatValue } from './utils/PlotPane.js';
+import { getName } from './simulation/modelNames.js';
+import { PIP_RESOLUTIONS } from './utils/PictureInPicture.js';
+import { bundleRenderOutputs } from './utils/RenderOutputs.js';
+import { collectSplatCenters, voxelizeColliders } from './utils/SplatAnalysis.js';
+
+/**
+ * Offer text or binary data as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|BlobPart} contents - File contents
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, contents, type = 'application/octet-stream') {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
 /**
  * Load a modular scene (environment + robot + objects)
@@ -72,13 +94,24 @@ export async function reloadFunc() {
 /** @param {MuJoCoDemo} parentContext*/
 export async function setupGUI(parentContext) {
 
-  // Make sure we reset the camera when the scene is changed or reloaded.
+  // Start from the model's default view and reset it when the scene is changed or reloaded.
+  parentContext.cameraController.setModel(parentContext.model);
   parentContext.updateGUICallbacks.length = 0;
   parentContext.updateGUICallbacks.push((model, data, params) => {
-    // TODO: Use free camera parameters from MuJoCo
-    parentContext.camera.position.set(0.5, 1.7, -3);
-    parentContext.controls.target.set(0, 0.7, 0);
-    parentContext.controls.update(); });
+    parentContext.cameraController.setModel(model); });
+
+  // Mirror every (re)loaded scene into the physics worker. Registered early so the
+  // worker has the model before later callbacks (e.g. policy autoload) use it.
+  const loadSceneInWorker = async (model, data, params) => {
+    if (parentContext.workerClient) {
+      await parentContext.workerClient.load(params.scene, params.robot);
+    }
+  };
+  parentContext.updateGUICallbacks.push(loadSceneInWorker);
+  if (parentContext.params.physicsWorker) {
+    parentContext.setPhysicsWorker(true);
+    await loadSceneInWorker(parentContext.model, parentContext.data, parentContext.params);
+  }
 
   // Initialize modular scene params
   parentContext.params.environment = parentContext.params.environment || 'tabletop';
@@ -366,6 +399,215 @@ export async function setupGUI(parentContext) {
   };
   parentContext.gui.add(uploadCollisionBtn, 'uploadCollision').name('Upload Collision (.xml)');
 
+  // Add the 3DGS alignment editor.
+  // Parameters:
+  //  "3DGS Alignment" folder. "Gizmo" attaches translate / rotate / scale handles to the splats.
+  //  "X", "Y", "Z" (meters), "Roll", "Pitch", "Yaw" (degrees about the world axes) and "Scale" place
+  //  the splats in the MuJoCo frame. "Snap Floor to z=0" moves the splats' lowest dense layer onto
+  //  the MuJoCo floor. "Auto-Align Ground" fits the dominant ground plane (RANSAC), levels it and
+  //  moves it to z=0; "Align Uploads" does so for uploaded scenes without a saved transform.
+  //  The transform is saved per scene and restored whenever it is loaded.
+  const splatAlignment = parentContext.splatAlignment;
+  const alignmentFolder = parentContext.gui.addFolder("3DGS Alignment");
+  const applyAlignment = () => splatAlignment.apply();
+  alignmentFolder.add(splatAlignment, 'gizmo', { 'Off': 'off', 'Translate': 'translate', 'Rotate': 'rotate', 'Scale': 'scale' })
+    .name('Gizmo').onChange((mode) => splatAlignment.setGizmo(mode)).listen();
+  for (const [property, name, min, max, step] of [
+    ['x', 'X (m)', -20, 20, 0.01], ['y', 'Y (m)', -20, 20, 0.01], ['z', 'Z (m)', -20, 20, 0.01],
+    ['roll', 'Roll (deg)', -180, 180, 0.5], ['pitch', 'Pitch (deg)', -90, 90, 0.5], ['yaw', 'Yaw (deg)', -180, 180, 0.5],
+    ['scale', 'Scale', 0.01, 10, 0.01]
+  ]) {
+    alignmentFolder.add(splatAlignment, property, min, max, step).name(name).onChange(applyAlignment).listen();
+  }
+  const alignmentActions = {
+    snapFloor: async () => {
+      try {
+        if (await splatAlignment.snapFloor() === null) {
+          alert('Enable 3DGS first; no splats to find a floor in.');
+        }
+      } catch (err) {
+        console.error('Failed to snap the 3DGS floor:', err);
+        alert('Failed to snap floor: ' + err.message);
+      }
+    },
+    alignGround: async () => {
+      try {
+        if (!splatAlignment.splatMesh) {
+          alert('Enable 3DGS first; no splats to find a floor in.');
+        } else if (await splatAlignment.alignGround() === null) {
+          alert('No ground plane found. Rotate the splats roughly upright first.');
+        }
+      } catch (err) {
+        console.error('Failed to align the 3DGS ground:', err);
+        alert('Failed to align ground: ' + err.message);
+      }
+    },
+    reset: () => splatAlignment.reset()
+  };
+  alignmentFolder.add(alignmentActions, 'snapFloor').name('Snap Floor to z=0');
+  alignmentFolder.add(alignmentActions, 'alignGround').name('Auto-Align Ground');
+  alignmentFolder.add(splatAlignment, 'autoAlign').name('Align Uploads');
+  alignmentFolder.add(alignmentActions, 'reset').name('Reset Transform');
+  alignmentFolder.close();
+
+  // Add the collision editor.
+  // Parameters:
+  //  "Collision Editor" folder. "Show" displays the colliders as translucent previews over the scene.
+  //  "Add Box", "Add Cylinder" and "Add Plane" create a collider at the orbit target; "Load from Scene"
+  //  replaces the list with the static box, cylinder and plane colliders of the loaded environment
+  //  (the robot's own, like Panda's pedestal, are skipped). Collider names never reuse a robot or
+  //  environment name; a clashing one gets a numeric suffix.
+  //  "Selected" subfolder edits one collider: gizmo mode, name, pose (MuJoCo frame), MJCF size,
+  //  sliding friction and geom group. "Apply to Physics" rebuilds the custom 3DGS scene with the
+  //  colliders as its collision.xml ("Live Physics" does so after every edit, which resets the
+  //  simulation); "Export collision.xml" downloads that file.
+  //  "Estimate from Splats" levels the splats on their ground plane, voxelizes the space above it
+  //  ("Voxel Size", voxels need "Min Splats" centers) into box colliders and applies them.
+  const colliderEditor = parentContext.colliderEditor;
+  const colliderFolder = parentContext.gui.addFolder("Collision Editor");
+  const colliderView = {
+    get visible() { return colliderEditor.group.visible; },
+    set visible(value) { colliderEditor.setVisible(value); },
+    get selected() { return colliderEditor.colliders.indexOf(colliderEditor.selected); },
+    set selected(index) { colliderEditor.select(colliderEditor.colliders[index] ?? null); },
+    live: false,
+    voxelSize: 0.1,
+    minPoints: 8
+  };
+  // Keep collider names clear of the bodies and geoms the scene defines outside collision.xml
+  const reserveSceneNames = () => {
+    const { environment, robot } = getSceneManager(parentContext.mujoco).getDefinedNames();
+    colliderEditor.setReservedNames(new Set([...environment, ...robot]));
+    return robot;
+  };
+  let applyingColliders = false;
+  let collidersPending = false;
+  const applyColliders = async (interactive) => {
+    const sceneManager = getSceneManager(parentContext.mujoco);
+    reserveSceneNames();
+    sceneManager.setCustomCollision(colliderEditor.toXML());
+    if (!sceneManager.hasCustomSpz()) {
+      if (interactive) alert('Collision XML stored. Upload a SPZ file to create the scene.');
+      return;
+    }
+    // One rebuild at a time; edits made meanwhile are applied by one more rebuild
+    if (applyingColliders) {
+      collidersPending = true;
+      return;
+    }
+    applyingColliders = true;
+    try {
+      removeOldScene();
+      const robotName = parentContext.params.robot;
+      const scenePath = await sceneManager.loadCustomSpzWithRobot(robotName);
+      await loadSceneAndUpdate(scenePath, robotName);
+      parentContext.gsController?.hideGroundMeshes();
+    } catch (err) {
+      console.error('Failed to apply colliders:', err);
+      alert('Failed to apply colliders: ' + err.message);
+    } finally {
+      applyingColliders = false;
+    }
+    if (collidersPending) {
+      collidersPending = false;
+      await applyColliders(false);
+    }
+  };
+  let selectorController = null;
+  const updateColliderSelector = () => {
+    selectorController?.destroy();
+    selectorController = selectedFolder.add(colliderView, 'selected', colliderEditor.getChoices()).name('Collider').listen();
+    selectedFolder.$children.prepend(selectorController.domElement);
+  };
+  const collidersChanged = () => {
+    updateColliderSelector();
+    if (colliderView.live) applyColliders(false);
+  };
+  colliderEditor.onChange = collidersChanged;
+  const orbitTarget = () => {
+    const target = parentContext.controls.target;
+    return [target.x, -target.z, target.y];
+  };
+  const addCollider = (type) => {
+    reserveSceneNames();
+    colliderEditor.add(type, { pos: orbitTarget() });
+    colliderEditor.setVisible(true);
+    collidersChanged();
+  };
+  const colliderActions = {
+    addBox: () => addCollider('box'),
+    addCylinder: () => addCollider('cylinder'),
+    addPlane: () => addCollider('plane'),
+    loadFromScene: () => {
+      const count = colliderEditor.loadFromModel(parentContext.model, parentContext.data, reserveSceneNames());
+      colliderEditor.setVisible(true);
+      if (count === 0) alert('The scene has no static box, cylinder or finite plane colliders.');
+      collidersChanged();
+    },
+    estimate: async () => {
+      const splatMesh = parentContext.splatAlignment.splatMesh;
+      if (!splatMesh) {
+        alert('Enable 3DGS first; no splats to estimate collision from.');
+        return;
+      }
+      try {
+        if (await parentContext.splatAlignment.alignGround() === null) {
+          console.warn('No ground plane found; voxelizing above the current z=0');
+        }
+        const boxes = voxelizeColliders(collectSplatCenters(splatMesh), {
+          voxelSize: colliderView.voxelSize, minPoints: colliderView.minPoints
+        });
+        colliderEditor.clear();
+        reserveSceneNames();
+        boxes.forEach((box, i) => colliderEditor.add('box', { name: `voxel_${i + 1}`, pos: box.pos, size: box.size }));
+        colliderEditor.setVisible(true);
+        updateColliderSelector();
+        await applyColliders(true);
+      } catch (err) {
+        console.error('Failed to estimate collision:', err);
+        alert('Failed to estimate collision: ' + err.message);
+      }
+    },
+    remove: () => { colliderEditor.removeSelected(); collidersChanged(); },
+    apply: () => applyColliders(true),
+    exportXML: () => {
+      reserveSceneNames();
+      downloadFile('collision.xml', colliderEditor.toXML(), 'application/xml');
+    }
+  };
+  colliderFolder.add(colliderView, 'visible').name('Show').listen();
+  colliderFolder.add(colliderActions, 'addBox').name('Add Box');
+  colliderFolder.add(colliderActions, 'addCylinder').name('Add Cylinder');
+  colliderFolder.add(colliderActions, 'addPlane').name('Add Plane');
+  colliderFolder.add(colliderActions, 'loadFromScene').name('Load from Scene');
+  const estimateFolder = colliderFolder.addFolder("Estimate from Splats");
+  estimateFolder.add(colliderView, 'voxelSize', 0.02, 0.5, 0.01).name('Voxel Size (m)');
+  estimateFolder.add(colliderView, 'minPoints', 1, 100, 1).name('Min Splats');
+  estimateFolder.add(colliderActions, 'estimate').name('Estimate from Splats');
+  estimateFolder.close();
+  const selectedFolder = colliderFolder.addFolder("Selected");
+  selectedFolder.add(colliderEditor, 'gizmo', { 'Off': 'off', 'Translate': 'translate', 'Rotate': 'rotate', 'Scale': 'scale' })
+    .name('Gizmo').onChange((mode) => colliderEditor.setGizmo(mode));
+  const applyCollider = () => colliderEditor.apply();
+  selectedFolder.add(colliderEditor, 'name').name('Name').onFinishChange(() => { applyCollider(); collidersChanged(); }).listen();
+  for (const [property, name, min, max, step] of [
+    ['x', 'X (m)', -20, 20, 0.01], ['y', 'Y (m)', -20, 20, 0.01], ['z', 'Z (m)', -20, 20, 0.01],
+    ['roll', 'Roll (deg)', -180, 180, 0.5], ['pitch', 'Pitch (deg)', -90, 90, 0.5], ['yaw', 'Yaw (deg)', -180, 180, 0.5],
+    ['sizeX', 'Size 1 (m)', 0.001, 10, 0.001], ['sizeY', 'Size 2 (m)', 0.001, 10, 0.001], ['sizeZ', 'Size 3 (m, box)', 0.001, 10, 0.001],
+    ['friction', 'Friction', 0, 2, 0.01]
+  ]) {
+    selectedFolder.add(colliderEditor, property, min, max, step).name(name)
+      .onChange(applyCollider).onFinishChange(collidersChanged).listen();
+  }
+  selectedFolder.add(colliderEditor, 'colliderGroup', 0, 5, 1).name('Group')
+    .onChange(applyCollider).onFinishChange(collidersChanged).listen();
+  selectedFolder.add(colliderActions, 'remove').name('Delete');
+  updateColliderSelector();
+  colliderFolder.add(colliderView, 'live').name('Live Physics');
+  colliderFolder.add(colliderActions, 'apply').name('Apply to Physics');
+  colliderFolder.add(colliderActions, 'exportXML').name('Export collision.xml');
+  colliderFolder.close();
+
   // Add a help menu.
   // Parameters:
   //  Name: "Help".
@@ -468,9 +710,11 @@ export async function setupGUI(parentContext) {
   //  When paused, a "pause" text in white is displayed in the top left corner.
   //  Can also be triggered by pressing the spacebar.
   const pauseSimulation = simulationFolder.add(parentContext.params, 'paused').name('Pause Simulation');
+  // Kept by reference: the plot pane and picture-in-picture panel are appended to the same container
+  let pausedText = null;
   pauseSimulation.onChange((value) => {
-    if (value) {
-      const pausedText = document.createElement('div');
+    if (value && !pausedText) {
+      pausedText = document.createElement('div');
       pausedText.style.position = 'absolute';
       pausedText.style.top = '10px';
       pausedText.style.left = '10px';
@@ -478,8 +722,11 @@ export async function setupGUI(parentContext) {
       pausedText.style.font = 'normal 18px Arial';
       pausedText.innerHTML = 'pause';
       parentContext.container.appendChild(pausedText);
-    } else {
-      parentContext.container.removeChild(parentContext.container.lastChild);
+    } else if (!value) {
+      pausedText?.remove();
+      pausedText = null;
+      // Running again continues from the rewound state
+      parentContext.params.rewindSeconds = 0;
     }
   });
   document.addEventListener('keydown', (event) => {
@@ -492,6 +739,22 @@ export async function setupGUI(parentContext) {
   actionInnerHTML += 'Play / Pause<br>';
   keyInnerHTML += 'Space<br>';
 
+  // Add real-time factor slider and the achieved factor next to it.
+  // Parameters:
+  //  Under "Simulation" folder.
+  //  Name: "Speed" (0.1x slow motion to 8x fast-forward).
+  //  "Achieved RTF" is flagged when physics can't keep up with the requested speed.
+  simulationFolder.add(parentContext.params, 'speed', 0.1, 8.0, 0.1).name('Speed (RTF)');
+  const rtfDisplay = {
+    get achieved() {
+      if (parentContext.params.paused) { return 'paused'; }
+      const rtf = parentContext.simulation.getRealTimeFactor();
+      const behind = rtf < 0.9 * parentContext.params.speed ? "  (can't keep up)" : '';
+      return rtf.toFixed(2) + 'x' + behind;
+    }
+  };
+  simulationFolder.add(rtfDisplay, 'achieved').name('Achieved RTF').disable().listen();
+
   // Add reload model button.
   // Parameters:
   //  Under "Simulation" folder.
@@ -511,8 +774,7 @@ export async function setupGUI(parentContext) {
   //  When pressed, resets the simulation to the initial state.
   //  Can also be triggered by pressing backspace.
   const resetSimulation = () => {
-    parentContext.mujoco.mj_resetData(parentContext.model, parentContext.data);
-    parentContext.mujoco.mj_forward(parentContext.model, parentContext.data);
+    (parentContext.workerClient ?? parentContext.simulation).reset();
   };
   simulationFolder.add({reset: () => { resetSimulation(); }}, 'reset').name('Reset');
   document.addEventListener('keydown', (event) => {
@@ -520,13 +782,443 @@ export async function setupGUI(parentContext) {
   actionInnerHTML += 'Reset simulation<br>';
   keyInnerHTML += 'Backspace<br>';
 
+  // Add single-step controls.
+  // Parameters:
+  //  Under "Simulation" folder.
+  //  "Step 1" / "Step N" advance that many physics steps, "Step Policy Tick" runs to the
+  //  end of the current policy action (decimation substeps; one step without a policy).
+  //  Keyboard and policy control apply exactly as in the running loop.
+  //  Pauses the simulation first if it is running.
+  //  Can also be triggered by pressing Right arrow (with Shift for N, Ctrl for a policy tick).
+  parentContext.params.stepCount = 10;
+  let stepping = false;
+  const stepSimulation = async (action) => {
+    if (stepping || !parentContext.model) { return; }
+    if (!parentContext.params.paused) {
+      parentContext.params.paused = true;
+      pauseSimulation.setValue(true);
+    }
+    stepping = true;
+    try {
+      await action(parentContext.workerClient ?? parentContext.simulation);
+    } catch (err) {
+      console.error('Step failed:', err);
+    }
+    stepping = false;
+  };
+  const stepOne        = () => stepSimulation((sim) => sim.run(1));
+  const stepN          = () => stepSimulation((sim) => sim.run(parentContext.params.stepCount));
+  const stepPolicyTick = () => stepSimulation((sim) => sim.stepPolicyTick());
+  const stepFolder = simulationFolder.addFolder("Step");
+  stepFolder.add({ stepOne }, 'stepOne').name('Step 1');
+  stepFolder.add(parentContext.params, 'stepCount', 1, 1000, 1).name('N');
+  stepFolder.add({ stepN }, 'stepN').name('Step N');
+  stepFolder.add({ stepPolicyTick }, 'stepPolicyTick').name('Step Policy Tick');
+  stepFolder.close();
+  document.addEventListener('keydown', (event) => {
+    if (event.code !== 'ArrowRight') { return; }
+    if (event.ctrlKey) {
+      stepPolicyTick();
+    } else if (event.shiftKey) {
+      stepN();
+    } else {
+      stepOne();
+    }
+    event.preventDefault();
+  });
+  actionInnerHTML += 'Step 1<br>Step N<br>Step policy tick<br>';
+  keyInnerHTML += 'Right<br>Shift Right<br>Ctrl Right<br>';
+
+  // Add snapshot controls.
+  // Parameters:
+  //  Under "Simulation" folder, "Snapshots" subfolder.
+  //  "Save" / "Load" / "Delete" act on the slot named in "Name"; "Saved" lists the slots.
+  //  Snapshots hold the full state including keyboard IK targets and policy internals.
+  //  "Rewind (s)" pauses and scrubs back through the last 10 s; resuming discards the rewound future.
+  const snapshotFolder = simulationFolder.addFolder("Snapshots");
+  parentContext.params.snapshotName = 'slot 1';
+  parentContext.params.snapshotList = '';
+  parentContext.params.rewindSeconds = 0;
+  const snapshotAction = async (method, ...args) => {
+    try {
+      const result = await parentContext.callSnapshots(method, ...args);
+      parentContext.params.snapshotList = (await parentContext.callSnapshots('list')).join(', ');
+      return result;
+    } catch (err) {
+      console.error(`Snapshot ${method} failed:`, err);
+    }
+  };
+  snapshotFolder.add(parentContext.params, 'snapshotName').name('Name');
+  snapshotFolder.add({ save: () => snapshotAction('save', parentContext.params.snapshotName) }, 'save').name('Save');
+  snapshotFolder.add({ load: () => snapshotAction('load', parentContext.params.snapshotName) }, 'load').name('Load');
+  snapshotFolder.add({ remove: () => snapshotAction('remove', parentContext.params.snapshotName) }, 'remove').name('Delete');
+  snapshotFolder.add(parentContext.params, 'snapshotList').name('Saved').disable().listen();
+  let rewinding = null;
+  snapshotFolder.add(parentContext.params, 'rewindSeconds', 0, parentContext.snapshots.historySeconds, 0.05)
+    .name('Rewind (s)').listen().onChange((value) => {
+      if (!parentContext.params.paused) {
+        pauseSimulation.setValue(true);
+        parentContext.params.rewindSeconds = value;
+      }
+      // Coalesce slider drags: only the latest position is restored once the previous one finishes
+      const previous = rewinding;
+      rewinding = (async () => {
+        await previous;
+        if (parentContext.params.rewindSeconds === value) {
+          await snapshotAction('rewind', value);
+        }
+      })();
+    });
+  snapshotFolder.close();
+
+  // Add trajectory recording and playback.
+  // Parameters:
+  //  Under "Simulation" folder, "Trajectory" subfolder.
+  //  "Record" starts logging every physics step; pressing it again stops and downloads a .jsonl file
+  //  (format documented in simulation/trajectory.js). "Load" reads such a file for the current scene.
+  //  "Mode" replays kinematically or re-simulates from the logged controls; "Position" seeks.
+  const trajectoryFolder = simulationFolder.addFolder("Trajectory");
+  parentContext.params.trajectoryStatus = 'Idle';
+  parentContext.params.trajectoryMode = 'kinematic';
+  let trajectoryRange = null;
+  let recordingTrajectory = false;
+  const trajectoryAction = async (target, method, ...args) => {
+    try {
+      return await parentContext.callTrajectory(target, method, ...args);
+    } catch (err) {
+      console.error(`Trajectory ${method} failed:`, err);
+      alert('Trajectory: ' + err.message);
+      return null;
+    }
+  };
+  const recordTrajectory = async () => {
+    const params = parentContext.params;
+    if (!recordingTrajectory) {
+      await trajectoryAction('recorder', 'start', { robot: params.robot, environment: params.environment, scene: params.scene });
+      recordingTrajectory = true;
+      recordController.name('Stop & Download');
+      params.trajectoryStatus = 'Recording';
+    } else {
+      const text = await trajectoryAction('recorder', 'stop');
+      recordingTrajectory = false;
+      recordController.name('Record');
+      params.trajectoryStatus = 'Idle';
+      if (text) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadFile(`trajectory_${params.robot}_${params.environment}_${stamp}.jsonl`, text, 'application/x-ndjson');
+      }
+    }
+  };
+  const loadTrajectory = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.jsonl,.json';
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const header = await trajectoryAction('player', 'load', await file.text());
+      if (!header) return;
+      trajectoryRange = await trajectoryAction('player', 'getRange');
+      const duration = (trajectoryRange.end - trajectoryRange.start).toFixed(1);
+      parentContext.params.trajectoryStatus = `Loaded ${header.robot ?? ''} ${duration}s`;
+    };
+    input.click();
+  };
+  const playTrajectory = async () => {
+    if (!trajectoryRange) return;
+    if (parentContext.params.paused) { pauseSimulation.setValue(false); }
+    await trajectoryAction('player', 'play', parentContext.params.trajectoryMode);
+    parentContext.params.trajectoryStatus = 'Playing (' + parentContext.params.trajectoryMode + ')';
+  };
+  const stopTrajectory = async () => {
+    await trajectoryAction('player', 'stop');
+    if (trajectoryRange) { parentContext.params.trajectoryStatus = 'Stopped'; }
+  };
+  // Position follows data.time, which mirrors the worker too
+  const trajectoryPosition = {
+    get position() {
+      if (!trajectoryRange || trajectoryRange.end <= trajectoryRange.start) return 0;
+      const t = (parentContext.data.time - trajectoryRange.start) / (trajectoryRange.end - trajectoryRange.start);
+      return Math.min(1, Math.max(0, t));
+    },
+    set position(value) {
+      if (trajectoryRange) { trajectoryAction('player', 'seek', value); }
+    }
+  };
+  const recordController = trajectoryFolder.add({ recordTrajectory }, 'recordTrajectory').name('Record');
+  trajectoryFolder.add({ loadTrajectory }, 'loadTrajectory').name('Load (.jsonl)');
+  trajectoryFolder.add(parentContext.params, 'trajectoryMode', { 'Kinematic': 'kinematic', 'Re-simulate': 'resimulate' }).name('Mode');
+  trajectoryFolder.add({ playTrajectory }, 'playTrajectory').name('Play');
+  trajectoryFolder.add({ stopTrajectory }, 'stopTrajectory').name('Stop');
+  trajectoryFolder.add(trajectoryPosition, 'position', 0, 1, 0.001).name('Position').listen();
+  trajectoryFolder.add(parentContext.params, 'trajectoryStatus').name('Status').disable().listen();
+  trajectoryFolder.close();
+  parentContext.updateGUICallbacks.push((model, data, params) => {
+    // A new scene invalidates the loaded trajectory and any recording in progress
+    parentContext.trajectory.player.stop();
+    parentContext.trajectory.recorder.stop();
+    recordingTrajectory = false;
+    recordController.name('Record');
+    trajectoryRange = null;
+    params.trajectoryStatus = 'Idle';
+  });
+
+  // Add task selection and scoring.
+  // Parameters:
+  //  Under "Simulation" folder, "Task" subfolder.
+  //  "Task" picks one of TASK_CONFIGS (tasks/taskConfigs.js) for the current robot and starts a
+  //  randomized episode; Reset (Backspace) also starts a new one. "Status" shows the outcome and
+  //  elapsed time, "Score" the successes so far. With "Auto Reset" the next episode starts 1 s
+  //  after each success or failure. The target region of placement tasks is drawn on the table.
+  const taskFolder = simulationFolder.addFolder("Task");
+  const taskOptions = { 'None': '' };
+  for (const [id, config] of Object.entries(TASK_CONFIGS)) { taskOptions[config.label] = id; }
+  parentContext.params.task = '';
+  parentContext.params.taskAutoReset = true;
+  const taskAction = async (method, ...args) => {
+    try {
+      return await parentContext.callTasks(method, ...args);
+    } catch (err) {
+      console.error(`Task ${method} failed:`, err);
+      alert('Task: ' + err.message);
+      return null;
+    }
+  };
+  // Status is polled (at most one request in flight) so it works with the physics worker too
+  let taskStatus = null;
+  let taskStatusPending = false;
+  const taskMarker = new THREE.Mesh(
+    new THREE.RingGeometry(0.85, 1.0, 48),
+    new THREE.MeshBasicMaterial({ color: 0x33ff66, transparent: true, opacity: 0.6, side: THREE.DoubleSide, depthWrite: false }));
+  taskMarker.rotation.x = -Math.PI / 2;
+  taskMarker.visible = false;
+  parentContext.scene.add(taskMarker);
+  const refreshTaskStatus = () => {
+    if (taskStatusPending || !parentContext.params.task) return;
+    taskStatusPending = true;
+    parentContext.callTasks('getStatus').then((status) => {
+      taskStatus = status;
+      const marker = status.markers[0];
+      taskMarker.visible = !!marker;
+      if (marker) {
+        taskMarker.position.set(marker.pos[0], marker.pos[2] + 0.002, -marker.pos[1]);
+        taskMarker.scale.setScalar(marker.radius);
+        taskMarker.material.color.set(status.state === 'success' ? 0x33ff66 : status.state === 'failure' ? 0xff4433 : 0xffcc33);
+      }
+    }).catch(() => {}).finally(() => { taskStatusPending = false; });
+  };
+  const taskDisplay = {
+    get status() {
+      refreshTaskStatus();
+      if (!parentContext.params.task || !taskStatus?.label) return 'No task';
+      const state = { running: 'Running', success: 'Success', failure: 'Failed', idle: 'Idle' }[taskStatus.state];
+      return `${state} ${taskStatus.elapsed.toFixed(1)}s`;
+    },
+    get score() {
+      if (!parentContext.params.task || !taskStatus?.label) return '-';
+      const mean = taskStatus.meanSuccessTime !== null ? ` (avg ${taskStatus.meanSuccessTime.toFixed(1)}s)` : '';
+      return `${taskStatus.successes}/${taskStatus.attempts}${mean}`;
+    }
+  };
+  const taskController = taskFolder.add(parentContext.params, 'task', taskOptions).name('Task');
+  taskController.onChange(async (value) => {
+    taskStatus = null;
+    taskMarker.visible = false;
+    const label = await taskAction('setTask', value || null, parentContext.params.robot);
+    if (value && label === null) {
+      // Not available for this robot/scene
+      parentContext.params.task = '';
+      taskController.updateDisplay();
+    }
+  });
+  taskFolder.add(parentContext.params, 'taskAutoReset').name('Auto Reset').onChange((value) => {
+    taskAction('configure', { autoReset: value });
+  });
+  taskFolder.add({ newEpisode: () => taskAction('startEpisode') }, 'newEpisode').name('New Episode');
+  taskFolder.add({ resetScore: () => taskAction('resetStats') }, 'resetScore').name('Reset Score');
+  taskFolder.add(taskDisplay, 'status').name('Status').disable().listen();
+  taskFolder.add(taskDisplay, 'score').name('Score').disable().listen();
+  taskFolder.close();
+  parentContext.updateGUICallbacks.push((model, data, params) => {
+    // The runner drops its task when the scene changes
+    params.task = '';
+    taskController.updateDisplay();
+    taskStatus = null;
+    taskMarker.visible = false;
+    taskAction('configure', { autoReset: params.taskAutoReset });
+  });
+
+  // Add domain randomization.
+  // Parameters:
+  //  Under "Simulation" folder, "Randomization" subfolder.
+  //  While "Enabled", every reset (button, Backspace, task episodes, env.reset()) samples the ticked
+  //  categories around the scene's own values: "±" spreads are relative scales for friction, mass
+  //  (with inertia) and actuator gains, meters / degrees for free object poses, RGB offsets for colors
+  //  and degrees of tilt for lights. Profiles load and save as JSON (format in simulation/DomainRandomizer.js).
+  const randomizationFolder = simulationFolder.addFolder("Randomization");
+  const randomizationProfile = () => parentContext.randomizer.profile;
+  const syncRandomization = async () => {
+    try {
+      await parentContext.setRandomizationProfile(randomizationProfile());
+    } catch (err) {
+      console.error('Randomization profile rejected:', err);
+      alert('Randomization: ' + err.message);
+    }
+  };
+  // Bind GUI fields to the current profile, which setRandomizationProfile() replaces
+  const randomizationView = {};
+  const bindRandomization = (key, get, set) => {
+    Object.defineProperty(randomizationView, key, {
+      get, set: (value) => { set(randomizationProfile(), value); syncRandomization(); } });
+  };
+  bindRandomization('enabled', () => randomizationProfile().enabled, (profile, value) => { profile.enabled = value; });
+  const randomizationCategories = {
+    friction: 'Friction', mass: 'Mass / Inertia', actuatorGain: 'Actuator Gain',
+    objectPose: 'Object Pose', color: 'Color', light: 'Light Direction'
+  };
+  for (const category in randomizationCategories) {
+    bindRandomization(category, () => randomizationProfile()[category].enabled,
+      (profile, value) => { profile[category].enabled = value; });
+  }
+  // Scale ranges are edited as a symmetric spread around 1; JSON profiles may use any [low, high]
+  for (const category of ['friction', 'mass', 'actuatorGain']) {
+    bindRandomization(category + 'Spread', () => {
+      const [low, high] = randomizationProfile()[category].scale;
+      return (high - low) / 2;
+    }, (profile, value) => { profile[category].scale = [Math.max(0, 1 - value), 1 + value]; });
+  }
+  bindRandomization('position', () => randomizationProfile().objectPose.position, (profile, value) => { profile.objectPose.position = value; });
+  bindRandomization('yaw', () => randomizationProfile().objectPose.yaw, (profile, value) => { profile.objectPose.yaw = value; });
+  bindRandomization('rgb', () => randomizationProfile().color.rgb, (profile, value) => { profile.color.rgb = value; });
+  bindRandomization('direction', () => randomizationProfile().light.direction, (profile, value) => { profile.light.direction = value; });
+  const loadRandomizationProfile = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      try {
+        await parentContext.setRandomizationProfile(await file.text());
+      } catch (err) {
+        console.error('Failed to load randomization profile:', err);
+        alert('Randomization: ' + err.message);
+      }
+      randomizationFolder.controllersRecursive().forEach((controller) => controller.updateDisplay());
+    };
+    input.click();
+  };
+  const saveRandomizationProfile = () => {
+    downloadFile('randomization.json', parentContext.randomizer.exportProfile(), 'application/json');
+  };
+  randomizationFolder.add(randomizationView, 'enabled').name('Enabled');
+  randomizationFolder.add(randomizationView, 'friction').name(randomizationCategories.friction);
+  randomizationFolder.add(randomizationView, 'frictionSpread', 0, 1, 0.01).name('Friction ±');
+  randomizationFolder.add(randomizationView, 'mass').name(randomizationCategories.mass);
+  randomizationFolder.add(randomizationView, 'massSpread', 0, 1, 0.01).name('Mass ±');
+  randomizationFolder.add(randomizationView, 'actuatorGain').name(randomizationCategories.actuatorGain);
+  randomizationFolder.add(randomizationView, 'actuatorGainSpread', 0, 1, 0.01).name('Gain ±');
+  randomizationFolder.add(randomizationView, 'objectPose').name(randomizationCategories.objectPose);
+  randomizationFolder.add(randomizationView, 'position', 0, 0.2, 0.005).name('Position ± (m)');
+  randomizationFolder.add(randomizationView, 'yaw', 0, 180, 1).name('Yaw ± (deg)');
+  randomizationFolder.add(randomizationView, 'color').name(randomizationCategories.color);
+  randomizationFolder.add(randomizationView, 'rgb', 0, 0.5, 0.01).name('Color ±');
+  randomizationFolder.add(randomizationView, 'light').name(randomizationCategories.light);
+  randomizationFolder.add(randomizationView, 'direction', 0, 90, 1).name('Light Tilt (deg)');
+  randomizationFolder.add({ randomize: () => { resetSimulation(); } }, 'randomize').name('Randomize (Reset)');
+  randomizationFolder.add({ loadRandomizationProfile }, 'loadRandomizationProfile').name('Load Profile (.json)');
+  randomizationFolder.add({ saveRandomizationProfile }, 'saveRandomizationProfile').name('Save Profile (.json)');
+  randomizationFolder.close();
+  // Redraw sampled colors; geoms with a material show the material's color, as in loadSceneFromURL
+  parentContext.randomizer.applyCallbacks.push((model) => {
+    parentContext.scene.getObjectByName("MuJoCo Root")?.traverse((object) => {
+      if (object.geomID === undefined || !object.material?.color) return;
+      const matId = model.geom_matid[object.geomID];
+      const rgba = matId < 0 ? model.geom_rgba : model.mat_rgba;
+      const i = (matId < 0 ? object.geomID : matId) * 4;
+      object.material.color.setRGB(rgba[i], rgba[i + 1], rgba[i + 2]);
+    });
+  });
+  parentContext.updateGUICallbacks.push(async () => {
+    // A new worker starts with the default profile
+    if (parentContext.workerClient) { await syncRandomization(); }
+  });
+
+  // Add LeRobot dataset recording.
+  // Parameters:
+  //  Under "Simulation" folder, "Dataset" subfolder.
+  //  "Start Episode" samples joint positions, actions (data.ctrl) and optionally the rendered view at
+  //  "FPS"; pressing it again keeps the episode, "Discard Episode" drops it. "Export" downloads every
+  //  kept episode as a LeRobot v2.1 dataset zip (layout documented in dataset/LeRobotDataset.js).
+  const datasetFolder = simulationFolder.addFolder("Dataset");
+  const dataset = parentContext.dataset;
+  parentContext.params.datasetTask = 'Pick up the cube';
+  const toggleEpisode = () => {
+    if (!dataset.isRecording()) {
+      try {
+        dataset.startEpisode({ task: parentContext.params.datasetTask, robot: parentContext.params.robot });
+      } catch (err) {
+        console.error('Failed to start episode:', err);
+        alert('Dataset: ' + err.message);
+        return;
+      }
+      if (parentContext.params.paused) { pauseSimulation.setValue(false); }
+      episodeController.name('Stop & Keep Episode');
+    } else {
+      dataset.stopEpisode();
+      episodeController.name('Start Episode');
+    }
+  };
+  const discardEpisode = () => {
+    dataset.discardEpisode();
+    episodeController.name('Start Episode');
+  };
+  const exportDataset = async () => {
+    if (dataset.isRecording()) { toggleEpisode(); }
+    try {
+      const zip = await dataset.exportDataset();
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      downloadFile(`lerobot_${parentContext.params.robot}_${stamp}.zip`, zip, 'application/zip');
+    } catch (err) {
+      console.error('Dataset export failed:', err);
+      alert('Dataset: ' + err.message);
+    }
+  };
+  const clearDataset = () => {
+    if (dataset.episodes.length > 0 && !confirm(`Delete ${dataset.episodes.length} recorded episodes?`)) return;
+    dataset.clear();
+    episodeController.name('Start Episode');
+  };
+  const datasetStatus = {
+    get status() {
+      const frames = dataset.episodes.reduce((sum, episode) => sum + episode.frames.length, 0);
+      const saved = `${dataset.episodes.length} ep / ${frames} fr`;
+      return dataset.isRecording() ? `Rec ${dataset.getFrameCount()} fr (${saved})` : saved;
+    }
+  };
+  datasetFolder.add(parentContext.params, 'datasetTask').name('Task');
+  datasetFolder.add(dataset, 'fps', [10, 15, 20, 30, 50, 60]).name('FPS');
+  datasetFolder.add(dataset, 'recordImages').name('Record Images');
+  const episodeController = datasetFolder.add({ toggleEpisode }, 'toggleEpisode').name('Start Episode');
+  datasetFolder.add({ discardEpisode }, 'discardEpisode').name('Discard Episode');
+  datasetFolder.add({ exportDataset }, 'exportDataset').name('Export (.zip)');
+  datasetFolder.add({ clearDataset }, 'clearDataset').name('Clear Dataset');
+  datasetFolder.add(datasetStatus, 'status').name('Status').disable().listen();
+  datasetFolder.close();
+  parentContext.updateGUICallbacks.push(() => {
+    // Episodes can't span scenes
+    discardEpisode();
+  });
+
   // Add keyframe slider.
   let nkeys = parentContext.model.nkey;
   let keyframeGUI = simulationFolder.add(parentContext.params, "keyframeNumber", 0, nkeys - 1, 1).name('Load Keyframe').listen();
   keyframeGUI.onChange((value) => {
     if (value < parentContext.model.nkey) {
-      parentContext.data.qpos.set(parentContext.model.key_qpos.slice(
-        value * parentContext.model.nq, (value + 1) * parentContext.model.nq)); }});
+      const qpos = parentContext.model.key_qpos.slice(
+        value * parentContext.model.nq, (value + 1) * parentContext.model.nq);
+      parentContext.data.qpos.set(qpos);
+      parentContext.workerClient?.setQpos(qpos); }});
   parentContext.updateGUICallbacks.push((model, data, params) => {
     let nkeys = parentContext.model.nkey;
     console.log("new model loaded. has " + nkeys + " keyframes.");
@@ -544,6 +1236,23 @@ export async function setupGUI(parentContext) {
   simulationFolder.add(parentContext.params, 'ctrlnoiserate', 0.0, 2.0, 0.01).name('Noise rate' );
   simulationFolder.add(parentContext.params, 'ctrlnoisestd' , 0.0, 2.0, 0.01).name('Noise scale');
 
+  // Add deterministic mode controls. Turning it on or changing the seed resets the
+  // simulation, so the run starts from a known state.
+  const deterministicFolder = simulationFolder.addFolder("Deterministic");
+  const resetIfDeterministic = () => {
+    if (parentContext.params.deterministic) { resetSimulation(); }
+  };
+  deterministicFolder.add(parentContext.params, 'deterministic').name('Enabled').onChange(resetIfDeterministic);
+  deterministicFolder.add(parentContext.params, 'seed').step(1).name('Seed').onFinishChange(resetIfDeterministic);
+  deterministicFolder.add(parentContext.params, 'stepsPerTick', 0, 100, 1).name('Steps / Tick (0 = auto)');
+  deterministicFolder.close();
+
+  // Add physics worker checkbox. Moving physics between threads reloads the scene.
+  simulationFolder.add(parentContext.params, 'physicsWorker').name('Physics in Worker').onChange(async (value) => {
+    parentContext.setPhysicsWorker(value);
+    await reloadFunc.call(parentContext);
+  });
+
   let textDecoder = new TextDecoder("utf-8");
   let nullChar    = textDecoder.decode(new ArrayBuffer(1));
 
@@ -591,6 +1300,7 @@ export async function setupGUI(parentContext) {
         const rounded = Math.round(value * 100) / 100;
         parentContext.params[name] = rounded;
         data.ctrl[i] = rounded;
+        parentContext.workerClient?.setCtrl(i, rounded);
       });
       
       // Disable after onChange to ensure it's applied
@@ -694,8 +1404,7 @@ export async function setupGUI(parentContext) {
       parentContext.resetPolicy();
       // Also reset the simulation
       if (parentContext.data && parentContext.mujoco) {
-        parentContext.mujoco.mj_resetData(parentContext.model, parentContext.data);
-        parentContext.mujoco.mj_forward(parentContext.model, parentContext.data);
+        (parentContext.workerClient ?? parentContext.simulation).reset();
       }
     }
   };
@@ -792,18 +1501,227 @@ export async function setupGUI(parentContext) {
     await setupKeyboardControls(model, data, params);
   });
 
+  // Add the camera selector.
+  // Parameters:
+  //  "Camera" folder. "View" picks the free orbit camera, "Track Body" (orbit controls stay
+  //  centered on "Body" while it moves, e.g. a mobile base or pelvis) or any camera defined in the
+  //  MJCF. "Reset View" (Ctrl+A) returns to the model's statistic / visual global view.
+  //  "Picture-in-Picture" renders an MJCF camera, or a camera on a site or body (looking along its
+  //  -z axis, "FOV" degrees), offscreen at "Resolution" into a resizable panel.
+  //  "Render Outputs" downloads RGB, linear depth and geom / body segmentation of the main view or an
+  //  MJCF camera (at the picture-in-picture resolution) as a zip of PNGs and .npy arrays.
+  const cameraFolder = parentContext.gui.addFolder("Camera");
+  const cameraController = parentContext.cameraController;
+  const cameraView = {
+    get view() { return cameraController.mode; },
+    set view(value) { cameraController.setMode(value); },
+    get body() { return cameraController.trackBody; },
+    set body(value) { cameraController.setTrackBody(value); },
+    reset: () => cameraController.resetView()
+  };
+  const pip = parentContext.pictureInPicture;
+  const pipView = {
+    get visible() { return pip.visible; },
+    set visible(value) {
+      if (value && !pip.source) pip.setSource(Object.values(pip.getSources())[0] ?? null);
+      pip.setVisible(value);
+    },
+    get source() { return pip.source ?? ''; },
+    set source(value) { pip.setSource(value); },
+    get resolution() { return pip.resolution; },
+    set resolution(value) { pip.setResolution(value); }
+  };
+  let viewController = null;
+  let bodyController = null;
+  let sourceController = null;
+  const setupCameras = () => {
+    viewController?.destroy();
+    bodyController?.destroy();
+    viewController = cameraFolder.add(cameraView, 'view', cameraController.getViews()).name('View').listen();
+    bodyController = cameraFolder.add(cameraView, 'body', cameraController.getBodies()).name('Body').listen();
+    pip.setModel(parentContext.model);
+    sourceController?.destroy();
+    sourceController = pipFolder.add(pipView, 'source', pip.getSources()).name('Source').listen();
+    const outputViews = { 'Main': 'main' };
+    for (let c = 0; c < parentContext.model.ncam; c++) {
+      const name = getName(parentContext.model, parentContext.model.name_camadr[c]);
+      if (name) outputViews[`Camera: ${name}`] = name;
+    }
+    if (!Object.values(outputViews).includes(outputView.view)) outputView.view = 'main';
+    outputViewController?.destroy();
+    outputViewController = outputsFolder.add(outputView, 'view', outputViews).name('View');
+    // Recreated controllers land at the end of their folder; move the fixed ones back after them
+    cameraFolder.$children.appendChild(resetController.domElement);
+    cameraFolder.$children.appendChild(pipFolder.domElement);
+    pipFolder.$children.appendChild(fovController.domElement);
+    pipFolder.$children.appendChild(resolutionController.domElement);
+    cameraFolder.$children.appendChild(outputsFolder.domElement);
+    outputsFolder.$children.appendChild(downloadController.domElement);
+  };
+  const resetController = cameraFolder.add(cameraView, 'reset').name('Reset View');
+  const pipFolder = cameraFolder.addFolder("Picture-in-Picture");
+  pipFolder.add(pipView, 'visible').name('Show').listen();
+  const fovController = pipFolder.add(pip, 'fovy', 10, 120, 1).name('FOV (body / site)');
+  const resolutionController = pipFolder.add(pipView, 'resolution', PIP_RESOLUTIONS).name('Resolution');
+  const outputsFolder = cameraFolder.addFolder("Render Outputs");
+  const outputView = { view: 'main' };
+  let outputViewController = null;
+  const downloadOutputs = async () => {
+    try {
+      const frame = await parentContext.captureRenderOutputs({ view: outputView.view });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      downloadFile(`render_${frame.view}_${stamp}.zip`, await bundleRenderOutputs(frame), 'application/zip');
+    } catch (error) {
+      console.error('Render output capture failed:', error);
+      alert(`Render output capture failed: ${error.message}`);
+    }
+  };
+  const downloadController = outputsFolder.add({ downloadOutputs }, 'downloadOutputs').name('Download (.zip)');
+  setupCameras();
+  parentContext.updateGUICallbacks.push(() => { setupCameras(); });
+  cameraFolder.close();
+
+  // Add the render style and visualization overlays.
+  // Parameters:
+  //  "Visualization" folder. "Render Style" picks physically based materials from the MJCF material
+  //  properties (best with 3DGS backgrounds), toon shading with outlines, or flat unlit colors.
+  //  "Exposure", "Contrast" and "Saturation" grade the rendered image; with a 3DGS scene they (and the
+  //  toon outline) apply to the MuJoCo meshes only, leaving the splats as captured.
+  //  "3DGS Shadows" subfolder. Collision geoms fixed to the world catch the robot's shadows over the
+  //  splats: "Intensity" is their darkness, "Softness" the blur radius in shadow map texels.
+  //  "Contacts" subfolder.
+  //  "Points", "Normals" and "Forces" draw each active contact's position, normal and contact force
+  //  (on geom2, "Force Scale" meters per newton). "Selected Body Only" keeps the contacts of the
+  //  body selected by double-clicking it.
+  const visualizationFolder = parentContext.gui.addFolder("Visualization");
+  visualizationFolder.add(parentContext.params, 'renderStyle', { 'PBR': 'pbr', 'Toon': 'toon', 'Flat': 'flat' })
+    .name('Render Style').onChange((style) => parentContext.setRenderStyle(style));
+  visualizationFolder.add(parentContext.params, 'exposure', 0.25, 4.0, 0.05).name('Exposure');
+  visualizationFolder.add(parentContext.params, 'contrast', 0.5, 2.0, 0.05).name('Contrast');
+  visualizationFolder.add(parentContext.params, 'saturation', 0.0, 2.0, 0.05).name('Saturation');
+  const shadowFolder = visualizationFolder.addFolder("3DGS Shadows");
+  const updateShadowCatcher = () => applyShadowCatcher(parentContext.scene, parentContext.params);
+  shadowFolder.add(parentContext.params, 'shadowCatcher').name('Enabled');
+  shadowFolder.add(parentContext.params, 'shadowIntensity', 0.0, 1.0, 0.05).name('Intensity').onChange(updateShadowCatcher);
+  shadowFolder.add(parentContext.params, 'shadowSoftness', 1, 16, 0.5).name('Softness').onChange(updateShadowCatcher);
+  shadowFolder.close();
+  const contactFolder = visualizationFolder.addFolder("Contacts");
+  const contactOverlay = parentContext.contactOverlay;
+  const contactStatus = { get count() { return contactOverlay.isActive() ? contactOverlay.count : 0; } };
+  contactFolder.add(contactOverlay, 'showPoints').name('Points');
+  contactFolder.add(contactOverlay, 'showNormals').name('Normals');
+  contactFolder.add(contactOverlay, 'showForces').name('Forces');
+  contactFolder.add(contactOverlay, 'forceScale', 0.001, 0.1, 0.001).name('Force Scale (m/N)');
+  contactFolder.add(contactOverlay, 'selectedOnly').name('Selected Body Only');
+  contactFolder.add(contactStatus, 'count').name('Shown').disable().listen();
+
+  // Add model structure overlays.
+  // Parameters:
+  //  "Visualization" folder, "Model" subfolder.
+  //  "Body Frames" / "Site Frames" draw RGB (x, y, z) axes, "Joints" the hinge and slide axes with
+  //  the range of limited joints, "Center of Mass" a sphere per body sized by its mass, "Inertia"
+  //  the uniform box with the body's mass and inertia, and "Actuators" the joint axis or site each
+  //  actuator drives. "Size" scales everything relative to the model's mean body size.
+  const modelOverlayFolder = visualizationFolder.addFolder("Model");
+  const modelOverlay = parentContext.modelOverlay;
+  modelOverlayFolder.add(modelOverlay, 'showBodyFrames').name('Body Frames');
+  modelOverlayFolder.add(modelOverlay, 'showSiteFrames').name('Site Frames');
+  modelOverlayFolder.add(modelOverlay, 'showJoints').name('Joints');
+  modelOverlayFolder.add(modelOverlay, 'showCOM').name('Center of Mass');
+  modelOverlayFolder.add(modelOverlay, 'showInertia').name('Inertia');
+  modelOverlayFolder.add(modelOverlay, 'showActuators').name('Actuators');
+  modelOverlayFolder.add(modelOverlay, 'scale', 0.1, 5, 0.1).name('Size');
+
+  // Add geom group toggles and the collision overlay.
+  // Parameters:
+  //  "Visualization" folder, "Geom Groups" subfolder.
+  //  "Group 0" - "Group 5" show or hide the geoms of each group, as in simulate (0-2 are on by
+  //  default; scene collision boxes usually sit in group 3). "Collision Overlay" draws every geom
+  //  with contype / conaffinity set, in any group, as an orange wireframe or translucent shell,
+  //  e.g. to line collision boxes up with a 3DGS scene.
+  const geomGroupFolder = visualizationFolder.addFolder("Geom Groups");
+  const updateGeomVisibility = () => applyGeomVisibility(parentContext.mujocoRoot, parentContext.params);
+  for (let group = 0; group < parentContext.params.geomGroups.length; group++) {
+    geomGroupFolder.add(parentContext.params.geomGroups, group).name(`Group ${group}`).onChange(updateGeomVisibility);
+  }
+  geomGroupFolder.add(parentContext.params, 'collisionOverlay', { 'Off': 'off', 'Wireframe': 'wireframe', 'Translucent': 'translucent' })
+    .name('Collision Overlay').onChange(updateGeomVisibility);
+  visualizationFolder.close();
+
+  // Add sensor readouts and signal plots.
+  // Parameters:
+  //  "Sensors" folder. "Readings" lists every sensor of the model by name and type with its current
+  //  value. "Plot" adds sensor components, 1-DoF joint qpos / qvel or actuator ctrl / force to a pane
+  //  of rolling time series ("Window" seconds of simulated time), docked at the bottom, left or right.
+  //  Clicking a legend entry removes that series.
+  const sensorsFolder = parentContext.gui.addFolder("Sensors");
+  const plotPane = parentContext.plotPane;
+  const plotFolder = sensorsFolder.addFolder("Plot");
+  const plotView = {
+    get visible() { return plotPane.visible; },
+    set visible(value) { plotPane.setVisible(value); },
+    get dock() { return plotPane.dock; },
+    set dock(value) { plotPane.setDock(value); },
+    signal: ''
+  };
+  plotFolder.add(plotView, 'visible').name('Show Plot').listen();
+  plotFolder.add(plotPane, 'window', 1, 60, 1).name('Window (s)');
+  plotFolder.add(plotView, 'dock', { 'Bottom': 'bottom', 'Left': 'left', 'Right': 'right' }).name('Dock').listen();
+  plotFolder.add({ clearPlot: () => plotPane.clearSeries() }, 'clearPlot').name('Clear');
+  let signalController = null;
+  let readingsFolder = null;
+  const updateSensorReadout = () => {
+    parentContext.sensorReadout = !sensorsFolder._closed && parentContext.model.nsensor > 0;
+  };
+  sensorsFolder.$title.addEventListener('click', updateSensorReadout);
+  const setupSensors = (model) => {
+    plotPane.setModel(parentContext.mujoco, model);
+
+    // The signal list depends on the model; options() re-adds the dropdown at the end of the folder
+    const signalOptions = { 'Add signal...': '' };
+    for (const signal of listSignals(parentContext.mujoco, model)) { signalOptions[signal.label] = signal.id; }
+    plotView.signal = '';
+    signalController = signalController ? signalController.options(signalOptions) :
+      plotFolder.add(plotView, 'signal', signalOptions);
+    signalController.name('Add').onChange((id) => {
+      if (!id) return;
+      plotPane.addSeries(id);
+      if (!plotPane.visible) { plotPane.setVisible(true); }
+      plotView.signal = '';
+      signalController.updateDisplay();
+    });
+
+    readingsFolder?.destroy();
+    readingsFolder = sensorsFolder.addFolder("Readings");
+    const sensors = listSensors(parentContext.mujoco, model);
+    if (sensors.length === 0) {
+      readingsFolder.add({ info: 'This model has no sensors' }, 'info').name('').disable();
+    }
+    for (const sensor of sensors) {
+      const reading = {
+        get value() {
+          const data = parentContext.data;
+          if (!data || parentContext.model !== model) return '';
+          return Array.from(data.sensordata.subarray(sensor.adr, sensor.adr + sensor.dim), formatValue).join(', ');
+        }
+      };
+      readingsFolder.add(reading, 'value').name(`${sensor.name} (${sensor.type})`).disable().listen();
+    }
+    updateSensorReadout();
+  };
+  sensorsFolder.close();
+  setupSensors(parentContext.model);
+  parentContext.updateGUICallbacks.push((model) => { setupSensors(model); });
+
   // Add function that resets the camera to the default position.
   // Can be triggered by pressing ctrl + A.
   document.addEventListener('keydown', (event) => {
     if (event.ctrlKey && event.code === 'KeyA') {
-      // TODO: Use free camera parameters from MuJoCo
-      parentContext.camera.position.set(0.5, 1.7, -3);
-      parentContext.controls.target.set(0, 0.7, 0);
-      parentContext.controls.update(); 
+      parentContext.cameraController.resetView();
       event.preventDefault();
     }
   });
-  actionInnerHTML += 'Reset free camera<br>';
+  actionInnerHTML += 'Reset camera view<br>';
   keyInnerHTML += 'Ctrl A<br>';
 
   parentContext.gui.open();
@@ -816,13 +1734,6 @@ export async function setupGUI(parentContext) {
  * @param {MuJoCoDemo} parent The three.js Scene Object to add the MuJoCo model elements to
  */
 export async function loadSceneFromURL(mujoco, filename, parent) {
-    // Free the old data.
-    if (parent.data != null) {
-      parent.data.delete();
-      parent.model = null;
-      parent.data  = null;
-    }
-
     // Load in the state from XML.
     const xmlPath = "/working/"+filename;
     console.log('Loading MuJoCo model from:', xmlPath);
@@ -836,7 +1747,8 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
     }
 
     try {
-      parent.model = mujoco.MjModel.loadFromXML(xmlPath);
+      // The simulation core frees the old data and owns the new model/data.
+      parent.simulation.loadFromXML(xmlPath);
     } catch (e) {
       console.error('MuJoCo XML load error:', e);
       console.error('Error message:', e.message);
@@ -846,7 +1758,6 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
       }
       throw e;
     }
-    parent.data  = new mujoco.MjData(parent.model);
 
     let model = parent.model;
     let data = parent.data;
@@ -866,6 +1777,8 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
     let bodies = {};
     /** @type {Object.<number, THREE.BufferGeometry>} */
     let meshes = {};
+    /** @type {Object.<number, THREE.BufferGeometry>} */
+    let heightfields = {};
     /** @type {THREE.Light[]} */
     let lights = [];
 
@@ -875,9 +1788,8 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
     
     // Loop through the MuJoCo geoms and recreate them in three.js.
     for (let g = 0; g < model.ngeom; g++) {
-      // Only visualize geom groups up to 2 (same default behavior as simulate).
-      if (!(model.geom_group[g] < 3)) { continue; }
-
+      // Every geom gets a mesh; applyGeomVisibility() shows the enabled groups
+      // (0-2 by default, same as simulate).
       // Get the body ID and type of the geom.
       let b    = model.geom_bodyid[g];
       let type = model.geom_type  [g];
@@ -908,7 +1820,11 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
       if (type == mujoco.mjtGeom.mjGEOM_PLANE.value) {
         // Special handling for plane later.
       } else if (type == mujoco.mjtGeom.mjGEOM_HFIELD.value) {
-        // TODO: Implement this.
+        let hfieldID = model.geom_dataid[g];
+        if (!(hfieldID in heightfields)) {
+          heightfields[hfieldID] = createHeightfieldGeometry(model, hfieldID);
+        }
+        geometry = heightfields[hfieldID];
       } else if (type == mujoco.mjtGeom.mjGEOM_SPHERE.value) {
         geometry = new THREE.SphereGeometry(size[0]);
       } else if (type == mujoco.mjtGeom.mjGEOM_CAPSULE.value) {
@@ -925,7 +1841,8 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
         if (!(meshID in meshes)) {
           geometry = new THREE.BufferGeometry();
 
-          let vertex_buffer = model.mesh_vert.subarray(
+          // Swizzle copies: MuJoCo collides with model.mesh_vert, which must stay in its own frame
+          let vertex_buffer = model.mesh_vert.slice(
              model.mesh_vertadr[meshID] * 3,
             (model.mesh_vertadr[meshID]  + model.mesh_vertnum[meshID]) * 3);
           for (let v = 0; v < vertex_buffer.length; v+=3){
@@ -935,7 +1852,7 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
             vertex_buffer[v + 2] = -temp;
           }
 
-          let normal_buffer = model.mesh_normal.subarray(
+          let normal_buffer = model.mesh_normal.slice(
              model.mesh_normaladr[meshID] * 3,
             (model.mesh_normaladr[meshID]  + model.mesh_normalnum[meshID]) * 3);
           for (let v = 0; v < normal_buffer.length; v+=3){
@@ -1005,18 +1922,8 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
 
       // Set the Material Properties of incoming bodies
       let texture = undefined;
-      let color = [
-        model.geom_rgba[(g * 4) + 0],
-        model.geom_rgba[(g * 4) + 1],
-        model.geom_rgba[(g * 4) + 2],
-        model.geom_rgba[(g * 4) + 3]];
       if (model.geom_matid[g] != -1) {
         let matId = model.geom_matid[g];
-        color = [
-          model.mat_rgba[(matId * 4) + 0],
-          model.mat_rgba[(matId * 4) + 1],
-          model.mat_rgba[(matId * 4) + 2],
-          model.mat_rgba[(matId * 4) + 3]];
 
         // Construct Texture from model.tex_data
         texture = undefined;
@@ -1055,13 +1962,7 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
         }
       }
 
-      // ===== 修改：使用 Toon 材质实现 NPR 风格 =====
-      let currentMaterial = new THREE.MeshToonMaterial({
-        color: new THREE.Color(color[0], color[1], color[2]),
-        transparent: color[3] < 1.0,
-        opacity: color[3] < 1.0 ? color[3] : 1.0,
-        map: texture
-      });
+      let currentMaterial = createGeomMaterial(model, g, texture, parent.params.renderStyle);
 
       let mesh;// = new THREE.Mesh();
       if (type == 0) {
@@ -1074,10 +1975,43 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
       mesh.castShadow = g == 0 ? false : true;
       mesh.receiveShadow = type != 7;
       mesh.bodyID = b;
+      mesh.geomID = g;
+      mesh.geomGroup = model.geom_group[g];
+      mesh.geomTexture = texture;
       bodies[b].add(mesh);
       getPosition  (model.geom_pos, g, mesh.position  );
       if (type != 0) { getQuaternion(model.geom_quat, g, mesh.quaternion); }
       if (type == 4) { mesh.scale.set(size[0], size[2], size[1]); } // Stretch the Ellipsoid
+
+      // Collision overlay: a second mesh with the shared overlay material for every geom
+      // that takes part in collisions, whatever its group
+      if (model.geom_contype[g] || model.geom_conaffinity[g]) {
+        let overlayGeometry = geometry;
+        if (type == 0) {
+          // Infinite planes (size 0) are drawn 10 m wide
+          overlayGeometry = new THREE.PlaneGeometry(size[0] > 0 ? size[0] * 2 : 10, size[1] > 0 ? size[1] * 2 : 10);
+        }
+        let overlay = new THREE.Mesh(overlayGeometry, collisionOverlayMaterial);
+        overlay.isCollisionOverlay = true;
+        overlay.renderOrder = 5;
+        overlay.position.copy(mesh.position);
+        overlay.quaternion.copy(mesh.quaternion);
+        overlay.scale.copy(mesh.scale);
+        bodies[b].add(overlay);
+
+        // Shadow catcher: collision geoms fixed to the world (floor, table boxes) only receive
+        // shadows. They live on their own layer, which the 3DGS compositor draws over the splats.
+        if (model.body_weldid[b] === 0) {
+          let catcher = new THREE.Mesh(overlayGeometry, shadowCatcherMaterial);
+          catcher.isShadowCatcher = true;
+          catcher.receiveShadow = true;
+          catcher.layers.set(SHADOW_CATCHER_LAYER);
+          catcher.position.copy(mesh.position);
+          catcher.quaternion.copy(mesh.quaternion);
+          catcher.scale.copy(mesh.scale);
+          bodies[b].add(catcher);
+        }
+      }
     }
 
     // Parse tendons.
@@ -1121,6 +2055,7 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
       light.shadow.mapSize.height = 1024; // default
       light.shadow.camera.near = 0.1; // default
       light.shadow.camera.far = 10; // default
+      light.shadow.radius = parent.params.shadowSoftness;
       //bodies[model.light_bodyid()].add(light);
       if (bodies[0]) {
         bodies[0].add(light);
@@ -1148,10 +2083,201 @@ export async function loadSceneFromURL(mujoco, filename, parent) {
     }
   
     parent.mujocoRoot = mujocoRoot;
+    applyGeomVisibility(mujocoRoot, parent.params);
 
     return [model, data, bodies, lights];
 }
 
+// Shared by every collision overlay mesh; applyGeomVisibility() switches its style
+const collisionOverlayMaterial = new THREE.MeshBasicMaterial({
+  color: 0xff8800, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide });
+
+// Layer of the shadow catchers; cameras only see layer 0, so they are invisible unless drawn explicitly
+export const SHADOW_CATCHER_LAYER = 1;
+
+// Shared by every shadow catcher; applyShadowCatcher() sets its darkness
+const shadowCatcherMaterial = new THREE.ShadowMaterial({ opacity: 0.5, depthWrite: false });
+
+/**
+ * Set the darkness of the shadow catchers and the blur of the shadows falling on them
+ * @param {THREE.Scene} scene - Scene with the shadow-casting lights
+ * @param {object} params - {shadowIntensity: 0-1, shadowSoftness: shadow.radius in shadow map texels}
+ */
+export function applyShadowCatcher(scene, params) {
+  shadowCatcherMaterial.opacity = params.shadowIntensity;
+  scene.traverse((object) => {
+    if (object.isLight && object.shadow) object.shadow.radius = params.shadowSoftness;
+  });
+}
+
+/**
+ * Show the meshes of the enabled geom groups and the collision overlay
+ * @param {THREE.Group} mujocoRoot - Root created by loadSceneFromURL
+ * @param {object} params - {geomGroups: boolean[6], collisionOverlay: 'off' | 'wireframe' | 'translucent'}
+ */
+export function applyGeomVisibility(mujocoRoot, params) {
+  const groups = params.geomGroups ?? [true, true, true, false, false, false];
+  const overlay = params.collisionOverlay ?? 'off';
+  collisionOverlayMaterial.wireframe = overlay === 'wireframe';
+  collisionOverlayMaterial.opacity = overlay === 'wireframe' ? 0.9 : 0.35;
+  mujocoRoot?.traverse((object) => {
+    let visible;
+    if (object.isCollisionOverlay) {
+      visible = overlay !== 'off';
+    } else if (object.geomGroup !== undefined) {
+      // Groups outside 0-5 are never shown, as in simulate
+      visible = !!groups[object.geomGroup];
+    } else {
+      return;
+    }
+    // Ground hidden under 3DGS splats stays hidden; this is restored when the splats are removed
+    if (object.hiddenForSplats) {
+      object.visibleBeforeSplats = visible;
+    } else {
+      object.visible = visible;
+    }
+  });
+}
+
+/**
+ * Material of a geom in a render style. 'pbr' maps the MJCF material onto MeshPhysicalMaterial:
+ * roughness / metallic when the material sets them (else roughness = 1 - shininess), specular
+ * (0.5 in MuJoCo = three.js' default intensity), reflectance as a clear coat and emission as
+ * emissive color. 'toon' is the cel-shaded look used with the outline pass, 'flat' is unlit.
+ * @param {mujoco.Model} model - MuJoCo model
+ * @param {number} g - Geom id
+ * @param {THREE.Texture|undefined} texture - RGB texture of the geom's material
+ * @param {'pbr'|'toon'|'flat'} style
+ * @returns {THREE.Material}
+ */
+export function createGeomMaterial(model, g, texture, style = 'toon') {
+  const matId = model.geom_matid[g];
+  const rgba = matId >= 0 ? model.mat_rgba.subarray(matId * 4, matId * 4 + 4) : model.geom_rgba.subarray(g * 4, g * 4 + 4);
+  const parameters = {
+    color: new THREE.Color(rgba[0], rgba[1], rgba[2]),
+    transparent: rgba[3] < 1.0,
+    opacity: rgba[3] < 1.0 ? rgba[3] : 1.0,
+    map: texture
+  };
+  if (style === 'flat') {
+    return new THREE.MeshBasicMaterial(parameters);
+  }
+  if (style !== 'pbr') {
+    return new THREE.MeshToonMaterial(parameters);
+  }
+  // MuJoCo's defaults for geoms without a material
+  let specular = 0.5, shininess = 0.5, reflectance = 0, emission = 0, metallic = -1, roughness = -1;
+  if (matId >= 0) {
+    specular = model.mat_specular[matId];
+    shininess = model.mat_shininess[matId];
+    reflectance = model.mat_reflectance[matId];
+    emission = model.mat_emission[matId];
+    metallic = model.mat_metallic?.[matId] ?? -1;
+    roughness = model.mat_roughness?.[matId] ?? -1;
+  }
+  return new THREE.MeshPhysicalMaterial({
+    ...parameters,
+    roughness: roughness >= 0 ? roughness : 1 - shininess,
+    metalness: metallic >= 0 ? metallic : 0,
+    specularIntensity: Math.min(1, specular * 2),
+    clearcoat: reflectance,
+    clearcoatRoughness: 0.05,
+    emissive: parameters.color.clone(),
+    emissiveIntensity: emission,
+    emissiveMap: emission > 0 && texture ? texture : null
+  });
+}
+
+/**
+ * Rebuild the materials of every geom mesh for a render style; colors come from the model,
+ * so randomized colors carry over
+ * @param {THREE.Group} mujocoRoot - Root created by loadSceneFromURL
+ * @param {mujoco.Model} model - MuJoCo model
+ * @param {'pbr'|'toon'|'flat'} style
+ */
+export function applyRenderStyle(mujocoRoot, model, style) {
+  mujocoRoot?.traverse((object) => {
+    // Reflector floors keep their mirror material
+    if (object.geomID === undefined || object.isCollisionOverlay || object.isReflector) return;
+    object.material.dispose();
+    object.material = createGeomMaterial(model, object.geomID, object.geomTexture, style);
+  });
+}
+
+/**
+ * Build the geometry of a heightfield: the elevation surface plus side walls and a
+ * bottom face down to the base, like MuJoCo's own renderer. Vertices are swizzled
+ * into three.js coordinates like mesh geoms.
+ * @param {object} model - MuJoCo model
+ * @param {number} hfieldID - Heightfield id (geom_dataid of the geom)
+ * @returns {THREE.BufferGeometry}
+ */
+function createHeightfieldGeometry(model, hfieldID) {
+  const nrow = model.hfield_nrow[hfieldID];
+  const ncol = model.hfield_ncol[hfieldID];
+  // (radius x, radius y, elevation z, base z)
+  const [rx, ry, elevation, base] = model.hfield_size.subarray(hfieldID * 4, hfieldID * 4 + 4);
+  const heights = model.hfield_data.subarray(model.hfield_adr[hfieldID], model.hfield_adr[hfieldID] + nrow * ncol);
+
+  const positions = [];
+  const uvs = [];
+  const indices = [];
+  // MuJoCo (x, y, z) -> three.js (x, z, -y)
+  const addVertex = (x, y, z, u = 0, v = 0) => {
+    positions.push(x, z, -y);
+    uvs.push(u, v);
+    return positions.length / 3 - 1;
+  };
+  const pointAt = (r, c) => [-rx + 2 * rx * c / (ncol - 1), -ry + 2 * ry * r / (nrow - 1), heights[r * ncol + c] * elevation];
+
+  // Elevation surface; rows run along y, columns along x
+  for (let r = 0; r < nrow; r++) {
+    for (let c = 0; c < ncol; c++) {
+      const [x, y, z] = pointAt(r, c);
+      addVertex(x, y, z, c / (ncol - 1), r / (nrow - 1));
+    }
+  }
+  for (let r = 0; r < nrow - 1; r++) {
+    for (let c = 0; c < ncol - 1; c++) {
+      const i00 = r * ncol + c, i01 = i00 + 1, i10 = i00 + ncol, i11 = i10 + 1;
+      indices.push(i00, i01, i11, i00, i11, i10);
+    }
+  }
+
+  // Side walls from the surface edge down to the base, each with its own vertices so
+  // their normals aren't smoothed into the surface. Edges run counter-clockwise seen from above.
+  const edges = [
+    Array.from({ length: ncol }, (_, c) => [0, c]),
+    Array.from({ length: nrow }, (_, r) => [r, ncol - 1]),
+    Array.from({ length: ncol }, (_, c) => [nrow - 1, ncol - 1 - c]),
+    Array.from({ length: nrow }, (_, r) => [nrow - 1 - r, 0])
+  ];
+  for (const edge of edges) {
+    let previous = null;
+    for (const [r, c] of edge) {
+      const [x, y, z] = pointAt(r, c);
+      const top = addVertex(x, y, z);
+      const bottom = addVertex(x, y, -base);
+      if (previous) {
+        indices.push(previous.bottom, bottom, top, previous.bottom, top, previous.top);
+      }
+      previous = { top, bottom };
+    }
+  }
+
+  // Bottom face, pointing down
+  const b0 = addVertex(-rx, -ry, -base), b1 = addVertex(rx, -ry, -base);
+  const b2 = addVertex(rx, ry, -base), b3 = addVertex(-rx, ry, -base);
+  indices.push(b0, b2, b1, b0, b3, b2);
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute("uv"      , new THREE.Float32BufferAttribute(uvs, 2));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
 export function drawTendonsAndFlex(mujocoRoot, model, data) {
   // Update tendon transforms.
   let identityQuat = new THREE.Quaternion();
@@ -1363,8 +2489,3 @@ export function getQuaternion(buffer, index, target, swizzle = true) {
  * @param {THREE.Vector3} target */
 export function toMujocoPos(target) { return target.set(target.x, -target.z, target.y); }
 
-/** Standard normal random number generator using Box-Muller transform */
-export function standardNormal() {
-  return Math.sqrt(-2.0 * Math.log( Math.random())) *
-         Math.cos ( 2.0 * Math.PI * Math.random()); }
-
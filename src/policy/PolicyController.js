@@ -110,6 +110,10 @@ export class PolicyController {
     // Decimation
     this.decimation = 1;
     this.timestep = 0.002;
+
+    // Base URL for relative asset paths in policy configs (defaults to the page URL).
+    // Set explicitly when running in a worker, whose location is the worker script.
+    this.baseUrl = null;
   }
 
   /**
@@ -138,6 +142,10 @@ export class PolicyController {
       throw new Error(`Failed to load policy config from ${policyPath}: ${response.status}`);
     }
     const config = await response.json();
+    const baseUrl = this.baseUrl ?? globalThis.location.href;
+    if (config.onnx?.path) {
+      config.onnx = { ...config.onnx, path: new URL(config.onnx.path, baseUrl).toString() };
+    }
     this.config = config;
 
     // Load tracking config if present
@@ -145,7 +153,7 @@ export class PolicyController {
     if (config.tracking) {
       trackingConfig = { ...config.tracking };
       if (trackingConfig.motions_path && !trackingConfig.motions) {
-        const motionsUrl = new URL(trackingConfig.motions_path, window.location.href);
+        const motionsUrl = new URL(trackingConfig.motions_path, baseUrl);
         const motionResponse = await fetch(motionsUrl);
         if (!motionResponse.ok) {
           throw new Error(`Failed to load tracking motions from ${motionsUrl}: ${motionResponse.status}`);
@@ -367,6 +375,33 @@ export class PolicyController {
     this.actionTarget = null;
   }
 
+  /**
+   * Capture the current action target and runner internals for snapshots
+   * @returns {object|null}
+   */
+  getState() {
+    if (!this.policyRunner) {
+      return null;
+    }
+    return {
+      policyPath: this.currentPolicyPath,
+      actionTarget: this.actionTarget ? this.actionTarget.slice() : null,
+      runner: this.policyRunner.getState()
+    };
+  }
+
+  /**
+   * Restore state from getState(). Ignored if a different policy is loaded.
+   * @param {object|null} state
+   */
+  setState(state) {
+    if (!this.policyRunner || !state || state.policyPath !== this.currentPolicyPath) {
+      return;
+    }
+    this.actionTarget = state.actionTarget ? state.actionTarget.slice() : null;
+    this.policyRunner.setState(state.runner);
+  }
+
   /**
    * Disable the policy
    */
@@ -1,4 +1,6 @@
-import * as THREE from 'three';
+// Relative path (same module as the 'three' import map entry) so this also loads in the physics worker,
+// where import maps don't apply.
+import * as THREE from '../../node_modules/three/build/three.module.js';
 import {
   normalizeQuat,
   quatMultiply,
@@ -74,6 +76,16 @@ class JointPos {
     this.history[0].set(state.jointPos);
   }
 
+  getState() {
+    return this.history.map((entry) => entry.slice());
+  }
+
+  setState(history) {
+    for (let i = 0; i < this.history.length; i++) {
+      this.history[i].set(history[i]);
+    }
+  }
+
   compute() {
     const out = new Float32Array(this.posSteps.length * this.numJoints);
     let offset = 0;
@@ -249,6 +261,16 @@ class PrevActions {
     this.actionBuffer[0].set(source);
   }
 
+  getState() {
+    return this.actionBuffer.map((entry) => entry.slice());
+  }
+
+  setState(actionBuffer) {
+    for (let i = 0; i < this.actionBuffer.length; i++) {
+      this.actionBuffer[i].set(actionBuffer[i]);
+    }
+  }
+
   get size() {
     return this.steps * this.numActions;
   }
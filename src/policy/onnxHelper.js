@@ -1,5 +1,5 @@
-// ort is loaded globally via script tag in index.html
-const ort = window.ort;
+// ort is loaded globally via script tag in index.html (the physics worker sets it before importing)
+const ort = globalThis.ort;
 
 export class ONNXModule {
   constructor(config) {
@@ -1,5 +1,5 @@
-// ort is loaded globally via script tag in index.html
-const ort = window.ort;
+// ort is loaded globally via script tag in index.html (the physics worker sets it before importing)
+const ort = globalThis.ort;
 import { ONNXModule } from './onnxHelper.js';
 import { Observations } from './observationHelpers.js';
 import { TrackingHelper } from './trackingHelper.js';
@@ -121,6 +121,30 @@ export class PolicyRunner {
     }
   }
 
+  // Capture recurrent inputs, action history and tracking playback for snapshots.
+  // ONNX tensors are replaced after every inference, never mutated, so the input dict is copied shallowly.
+  getState() {
+    return {
+      inputDict: { ...this.inputDict },
+      lastActions: this.lastActions.slice(),
+      tracking: this.tracking ? this.tracking.getState() : null,
+      obs: this.obsModules.map((obs) => (typeof obs.getState === 'function' ? obs.getState() : null))
+    };
+  }
+
+  setState(state) {
+    this.inputDict = { ...state.inputDict };
+    this.lastActions.set(state.lastActions);
+    if (this.tracking && state.tracking) {
+      this.tracking.setState(state.tracking);
+    }
+    this.obsModules.forEach((obs, i) => {
+      if (typeof obs.setState === 'function' && state.obs[i]) {
+        obs.setState(state.obs[i]);
+      }
+    });
+  }
+
   // Get available motions from tracking helper
   getAvailableMotions() {
     if (this.tracking) {
@@ -1,4 +1,6 @@
-import * as THREE from 'three';
+// Relative path (same module as the 'three' import map entry) so this also loads in the physics worker,
+// where import maps don't apply.
+import * as THREE from '../../node_modules/three/build/three.module.js';
 import {
   quatMultiply,
   quatInverse,
@@ -119,6 +121,26 @@ export class TrackingHelper {
     this.requestMotion('default', state);
   }
 
+  // Playback position for snapshots. Reference arrays are replaced, never
+  // mutated, so they are shared rather than copied.
+  getState() {
+    return {
+      currentName: this.currentName,
+      currentDone: this.currentDone,
+      refIdx: this.refIdx,
+      refLen: this.refLen,
+      transitionLen: this.transitionLen,
+      motionLen: this.motionLen,
+      refJointPos: this.refJointPos,
+      refRootQuat: this.refRootQuat,
+      refRootPos: this.refRootPos
+    };
+  }
+
+  setState(state) {
+    Object.assign(this, state);
+  }
+
   requestMotion(name, state) {
     if (!this.motions[name]) {
       return false;
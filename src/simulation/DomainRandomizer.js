@@ -0,0 +1,371 @@
+/**
+ * Domain Randomization
+ *
+ * Samples physical and visual model parameters on every Simulation.reset() and
+ * writes them into the live model arrays, to check how policies and teleop cope
+ * with parameter shifts. Samples are always taken relative to the values the
+ * model was loaded with, so repeated resets never compound.
+ *
+ * Profile format (JSON, see parseProfile()):
+ *   {
+ *     "format": "mujoco-gs-randomization", "version": 1, "enabled": true,
+ *     "friction":     { "enabled": true, "scale": [0.7, 1.3], "match": "" },     // geom_friction, per geom
+ *     "mass":         { "enabled": true, "scale": [0.8, 1.2], "match": "" },     // body_mass and body_inertia, per body
+ *     "actuatorGain": { "enabled": true, "scale": [0.8, 1.2], "match": "" },     // actuator_gainprm (+ affine biasprm), per actuator
+ *     "objectPose":   { "enabled": true, "position": 0.03, "yaw": 30, "match": "" }, // free bodies outside the robot: ± m on x/y, ± deg yaw
+ *     "color":        { "enabled": true, "rgb": 0.1, "match": "" },              // ± per channel on geom_rgba / mat_rgba
+ *     "light":        { "enabled": true, "direction": 15, "match": "" }          // light_dir tilted by up to this many degrees
+ *   }
+ * "match" is an optional regular expression over geom / body / actuator / light
+ * names; empty matches everything. Omitted categories keep their defaults.
+ */
+
+import { mulberry32 } from '../utils/math/random.js';
+import { getName } from './modelNames.js';
+
+export const RANDOMIZATION_FORMAT = 'mujoco-gs-randomization';
+export const RANDOMIZATION_VERSION = 1;
+
+// Model arrays a profile may change; restored from the nominal copies before each sample
+const RANDOMIZED_FIELDS = [
+  'geom_friction', 'body_mass', 'body_inertia', 'actuator_gainprm', 'actuator_biasprm',
+  'geom_rgba', 'mat_rgba', 'light_dir'
+];
+// Fields the viewer needs to redraw; mirrored from the physics worker after each sample
+const VISUAL_FIELDS = ['geom_rgba', 'mat_rgba', 'light_dir'];
+
+// Stride of actuator_gainprm / actuator_biasprm (mjNGAIN, mjNBIAS)
+const NPRM = 10;
+const AFFINE_BIAS = 1;
+
+/**
+ * Profile with every category disabled
+ * @returns {object}
+ */
+export function createDefaultProfile() {
+  return {
+    format: RANDOMIZATION_FORMAT,
+    version: RANDOMIZATION_VERSION,
+    enabled: false,
+    friction: { enabled: false, scale: [0.7, 1.3], match: '' },
+    mass: { enabled: false, scale: [0.8, 1.2], match: '' },
+    actuatorGain: { enabled: false, scale: [0.8, 1.2], match: '' },
+    objectPose: { enabled: false, position: 0.03, yaw: 30, match: '' },
+    color: { enabled: false, rgb: 0.1, match: '' },
+    light: { enabled: false, direction: 15, match: '' }
+  };
+}
+
+/**
+ * Validate a profile and fill in defaults
+ * @param {object|string} source - Profile object or its JSON text
+ * @returns {object} - Complete profile
+ */
+export function parseProfile(source) {
+  const input = typeof source === 'string' ? JSON.parse(source) : source;
+  if (!input || input.format !== RANDOMIZATION_FORMAT) {
+    throw new Error(`Not a randomization profile (expected format "${RANDOMIZATION_FORMAT}")`);
+  }
+  if (input.version !== RANDOMIZATION_VERSION) {
+    throw new Error(`Unsupported randomization profile version: ${input.version}`);
+  }
+
+  const profile = createDefaultProfile();
+  profile.enabled = input.enabled !== false;
+  for (const category of Object.keys(profile)) {
+    const defaults = profile[category];
+    if (typeof defaults !== 'object' || input[category] === undefined) continue;
+    const merged = { ...defaults, ...input[category] };
+    merged.enabled = !!merged.enabled;
+    if (typeof merged.match !== 'string') {
+      throw new Error(`${category}.match must be a string`);
+    }
+    new RegExp(merged.match); // Throws on an invalid pattern
+    for (const [key, value] of Object.entries(merged)) {
+      if (key === 'scale') {
+        if (!Array.isArray(value) || value.length !== 2 || !(value[0] >= 0) || !(value[1] >= value[0])) {
+          throw new Error(`${category}.scale must be [low, high] with 0 <= low <= high`);
+        }
+      } else if (key !== 'enabled' && key !== 'match' && !(value >= 0)) {
+        throw new Error(`${category}.${key} must be a non-negative number`);
+      }
+    }
+    profile[category] = merged;
+  }
+  return profile;
+}
+
+export class DomainRandomizer {
+  /**
+   * @param {import('./Simulation.js').Simulation} simulation - Simulation whose resets are randomized
+   */
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.profile = createDefaultProfile();
+
+    // Model the nominal copies were taken from
+    this.model = null;
+    this.nominal = {};
+    // Whether the model currently holds sampled values
+    this.randomized = false;
+    // Resets since the model or seed changed; seeds the sampler in deterministic mode
+    this.resets = 0;
+    this.seed = null;
+    this.rng = null;
+
+    // Called after the model arrays change: (model)
+    this.applyCallbacks = [];
+
+    simulation.resetCallbacks.push(this.apply.bind(this));
+  }
+
+  /**
+   * Replace the profile. Takes effect on the next reset.
+   * @param {object|string} profile - Profile object or JSON text (see parseProfile)
+   * @returns {object} - The complete profile
+   */
+  setProfile(profile) {
+    this.profile = parseProfile(profile);
+    return this.profile;
+  }
+
+  /**
+   * @returns {string} - The current profile as JSON
+   */
+  exportProfile() {
+    return JSON.stringify(this.profile, null, 2);
+  }
+
+  /**
+   * Reset callback: restore the nominal parameters and sample the enabled categories.
+   * Runs after mj_resetData and before mj_forward.
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   */
+  apply(model, data) {
+    if (model !== this.model) {
+      this.model = model;
+      this.nominal = {};
+      for (const field of RANDOMIZED_FIELDS) {
+        this.nominal[field] = model[field].slice();
+      }
+      this.randomized = false;
+      this.resets = 0;
+    }
+    const profile = this.profile;
+    if (!profile.enabled && !this.randomized) return;
+
+    for (const field of RANDOMIZED_FIELDS) {
+      model[field].set(this.nominal[field]);
+    }
+
+    const params = this.simulation.params;
+    if (params.deterministic) {
+      if (this.seed !== params.seed) {
+        this.seed = params.seed;
+        this.resets = 0;
+      }
+      this.rng = mulberry32(params.seed + this.resets);
+    } else {
+      this.rng = null;
+    }
+    this.resets++;
+
+    if (profile.enabled) {
+      if (profile.friction.enabled) this.sampleFriction(model, profile.friction);
+      if (profile.mass.enabled) this.sampleMass(model, profile.mass);
+      if (profile.actuatorGain.enabled) this.sampleActuatorGain(model, profile.actuatorGain);
+      if (profile.color.enabled) this.sampleColor(model, profile.color);
+      if (profile.light.enabled) this.sampleLight(model, profile.light);
+    }
+    // Body masses feed derived constants (subtree masses, M0, actuator_acc0); this
+    // also recomputes kinematics from qpos0, so it runs before poses are sampled
+    this.simulation.mujoco.mj_setConst(model, data);
+    if (profile.enabled && profile.objectPose.enabled) {
+      this.sampleObjectPoses(model, data, profile.objectPose);
+    }
+    this.randomized = profile.enabled;
+
+    for (let i = 0; i < this.applyCallbacks.length; i++) {
+      this.applyCallbacks[i](model);
+    }
+  }
+
+  /**
+   * Copy of the visual arrays, for mirroring into a viewer's model
+   * @param {object} model - MuJoCo model
+   * @returns {object} - {geom_rgba, mat_rgba, light_dir}
+   */
+  getVisual(model) {
+    const visual = {};
+    for (const field of VISUAL_FIELDS) {
+      visual[field] = model[field].slice();
+    }
+    return visual;
+  }
+
+  /**
+   * Write visual arrays from getVisual() into a model (e.g. the viewer's copy while
+   * physics runs in the worker) and run the apply callbacks
+   * @param {object} model - MuJoCo model
+   * @param {object} visual - {geom_rgba, mat_rgba, light_dir}
+   */
+  applyVisual(model, visual) {
+    for (const field of VISUAL_FIELDS) {
+      // Stale message from a previous scene
+      if (visual[field].length !== model[field].length) return;
+    }
+    for (const field of VISUAL_FIELDS) {
+      model[field].set(visual[field]);
+    }
+    for (let i = 0; i < this.applyCallbacks.length; i++) {
+      this.applyCallbacks[i](model);
+    }
+  }
+
+  /** Uniform random number in [0, 1), seeded per reset in deterministic mode */
+  random() {
+    return this.rng ? this.rng() : Math.random();
+  }
+
+  /**
+   * @param {number} low
+   * @param {number} high
+   * @returns {number} - Uniform sample in [low, high)
+   */
+  uniform(low, high) {
+    return low + (high - low) * this.random();
+  }
+
+  /**
+   * Ids of the named elements of one kind that match a category's pattern
+   * @param {object} model - MuJoCo model
+   * @param {number} count - Number of elements
+   * @param {Int32Array} nameAdr - e.g. model.name_geomadr
+   * @param {string} match - Regular expression; empty matches all
+   * @param {number} first - First id to consider (1 skips the world body)
+   * @returns {number[]}
+   */
+  select(model, count, nameAdr, match, first = 0) {
+    const pattern = match ? new RegExp(match) : null;
+    const ids = [];
+    for (let i = first; i < count; i++) {
+      if (!pattern || pattern.test(getName(model, nameAdr[i]))) ids.push(i);
+    }
+    return ids;
+  }
+
+  sampleFriction(model, { scale, match }) {
+    const friction = model.geom_friction;
+    for (const g of this.select(model, model.ngeom, model.name_geomadr, match)) {
+      const s = this.uniform(scale[0], scale[1]);
+      for (let k = 0; k < 3; k++) friction[g * 3 + k] *= s;
+    }
+  }
+
+  sampleMass(model, { scale, match }) {
+    for (const b of this.select(model, model.nbody, model.name_bodyadr, match, 1)) {
+      // Scaling inertia with mass keeps the body's shape (radius of gyration) unchanged
+      const s = this.uniform(scale[0], scale[1]);
+      model.body_mass[b] *= s;
+      for (let k = 0; k < 3; k++) model.body_inertia[b * 3 + k] *= s;
+    }
+  }
+
+  sampleActuatorGain(model, { scale, match }) {
+    for (const i of this.select(model, model.nu, model.name_actuatoradr, match)) {
+      const s = this.uniform(scale[0], scale[1]);
+      model.actuator_gainprm[i * NPRM] *= s;
+      if (model.actuator_biastype[i] === AFFINE_BIAS) {
+        // Position / velocity servos: scale kp and kv on the bias side too
+        model.actuator_biasprm[i * NPRM + 1] *= s;
+        model.actuator_biasprm[i * NPRM + 2] *= s;
+      }
+    }
+  }
+
+  sampleColor(model, { rgb, match }) {
+    const jitter = (array, offset) => {
+      for (let k = 0; k < 3; k++) {
+        array[offset + k] = Math.min(1, Math.max(0, array[offset + k] + this.uniform(-rgb, rgb)));
+      }
+    };
+    // Geoms with a material are drawn in the material's color; shared materials are sampled once
+    const materials = new Set();
+    for (const g of this.select(model, model.ngeom, model.name_geomadr, match)) {
+      const matId = model.geom_matid[g];
+      if (matId < 0) {
+        jitter(model.geom_rgba, g * 4);
+      } else if (!materials.has(matId)) {
+        materials.add(matId);
+        jitter(model.mat_rgba, matId * 4);
+      }
+    }
+  }
+
+  sampleLight(model, { direction, match }) {
+    const maxAngle = direction * Math.PI / 180;
+    const dirs = model.light_dir;
+    for (const l of this.select(model, model.nlight, model.name_lightadr, match)) {
+      const v = [dirs[l * 3], dirs[l * 3 + 1], dirs[l * 3 + 2]];
+      const length = Math.hypot(v[0], v[1], v[2]);
+      if (length < 1e-10) continue;
+      for (let k = 0; k < 3; k++) v[k] /= length;
+      // Orthonormal basis around the direction, then tilt toward a random azimuth
+      const a = Math.abs(v[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+      const e1 = normalize(cross(a, v));
+      const e2 = cross(v, e1);
+      const azimuth = this.uniform(0, 2 * Math.PI);
+      const angle = this.uniform(0, maxAngle);
+      for (let k = 0; k < 3; k++) {
+        const w = Math.cos(azimuth) * e1[k] + Math.sin(azimuth) * e2[k];
+        dirs[l * 3 + k] = length * (Math.cos(angle) * v[k] + Math.sin(angle) * w);
+      }
+    }
+  }
+
+  sampleObjectPoses(model, data, { position, yaw, match }) {
+    const freeJoint = this.simulation.mujoco.mjtJoint.mjJNT_FREE.value;
+    const maxYaw = yaw * Math.PI / 180;
+    const robotRoots = getRobotRoots(model, this.simulation.mujoco);
+    for (const b of this.select(model, model.nbody, model.name_bodyadr, match, 1)) {
+      const joint = model.body_jntadr[b];
+      if (joint < 0 || model.jnt_type[joint] !== freeJoint || robotRoots.has(model.body_rootid[b])) continue;
+      const qadr = model.jnt_qposadr[joint];
+      const qpos = data.qpos;
+      qpos[qadr] += this.uniform(-position, position);
+      qpos[qadr + 1] += this.uniform(-position, position);
+      // Yaw about world z: q' = [cos(h), 0, 0, sin(h)] * q
+      const half = this.uniform(-maxYaw, maxYaw) / 2;
+      const c = Math.cos(half), s = Math.sin(half);
+      const [w, x, y, z] = qpos.slice(qadr + 3, qadr + 7);
+      qpos.set([c * w - s * z, c * x - s * y, c * y + s * x, c * z + s * w], qadr + 3);
+    }
+  }
+}
+
+/**
+ * Root bodies of kinematic trees driven by joint actuators (the robot)
+ * @param {object} model - MuJoCo model
+ * @param {object} mujoco - MuJoCo WASM module
+ * @returns {Set<number>}
+ */
+function getRobotRoots(model, mujoco) {
+  const roots = new Set();
+  const jointTransmission = mujoco.mjtTrn.mjTRN_JOINT.value;
+  for (let i = 0; i < model.nu; i++) {
+    if (model.actuator_trntype[i] === jointTransmission) {
+      roots.add(model.body_rootid[model.jnt_bodyid[model.actuator_trnid[2 * i]]]);
+    }
+  }
+  return roots;
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v) {
+  const length = Math.hypot(v[0], v[1], v[2]);
+  return [v[0] / length, v[1] / length, v[2] / length];
+}
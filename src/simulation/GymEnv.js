@@ -0,0 +1,283 @@
+/**
+ * Gym-style Environment API
+ *
+ * Wraps a Simulation in a reset()/step() interface for scripts, Playwright checks
+ * and browser-side agents:
+ *
+ *   const env = window.mujocoEnv;
+ *   env.configure({ observation: { qpos: true, qvel: true, bodies: ['gripper'], sensordata: true }, frameSkip: 10 });
+ *   let obs = env.reset({ seed: 0 });
+ *   const result = env.step(env.actionSpace.sample());  // {obs, reward, terminated, truncated, info}
+ *   const frame = await env.render({ view: 'main' });     // RGB, depth and segmentation
+ *
+ * reset() takes over the simulation: it disables any running policy and replaces
+ * the keyboard controller, and the host stops calling Simulation.update() while
+ * env.acquired is set (the viewer keeps rendering the mirrored state), so only
+ * step() advances physics and runs are reproducible. release() hands control back
+ * and restores the deterministic mode and seed that reset({seed}) overrides.
+ * Observations and infos are plain objects of number arrays, so they survive
+ * structured cloning (postMessage, page.evaluate).
+ */
+
+import { getName } from './modelNames.js';
+
+export class MuJoCoEnv {
+  /**
+   * @param {import('./Simulation.js').Simulation} simulation - Simulation to drive
+   * @param {object} config - Initial configuration, see configure()
+   */
+  constructor(simulation, config = {}) {
+    this.simulation = simulation;
+    this.config = {
+      observation: { qpos: true, qvel: true, bodies: [], sensordata: false },
+      frameSkip: 1,
+      maxEpisodeSteps: Infinity,
+      reward: null,
+      terminated: null
+    };
+    this.configure(config);
+
+    // Set by the host when step()/reset() must not run (e.g. physics in a worker)
+    this.unavailableReason = null;
+    // Set by the host that renders the scene: (options) => Promise of a frame, see render()
+    this.renderHook = null;
+
+    // Model the spaces were built for
+    this.model = null;
+    this.actionSpace = null;
+    this.observationSpace = null;
+    this.bodyIds = [];
+
+    this.acquired = false;
+    this.savedController = null;
+    // Simulation params reset({seed}) changes, restored by release()
+    this.savedParams = null;
+    this.action = null;
+    this.elapsedSteps = 0;
+
+    // Simulation.controller while acquired: holds the current action on every substep
+    this.controller = { step: () => this.simulation.data.ctrl.set(this.action) };
+  }
+
+  /**
+   * Change the environment configuration. Takes effect on the next reset().
+   * @param {object} config
+   * @param {object} config.observation - {qpos, qvel, sensordata: boolean, bodies: string[] | true (all)}
+   * @param {number} config.frameSkip - Physics steps per step() call
+   * @param {number} config.maxEpisodeSteps - step() calls before truncated is set
+   * @param {Function} config.reward - (model, data, action) => number; 0 when unset
+   * @param {Function} config.terminated - (model, data) => boolean; false when unset
+   * @returns {MuJoCoEnv} - this
+   */
+  configure(config = {}) {
+    const { observation, ...rest } = config;
+    Object.assign(this.config, rest);
+    if (observation) {
+      this.config.observation = { ...this.config.observation, ...observation };
+    }
+    if (!(this.config.frameSkip >= 1)) {
+      throw new Error('frameSkip must be at least 1');
+    }
+    // Rebuild spaces on the next reset
+    this.model = null;
+    return this;
+  }
+
+  /**
+   * Reset the episode
+   * @param {object} options
+   * @param {number} options.seed - Seed the simulation PRNG (turns on deterministic mode)
+   * @param {number} options.keyframe - Start from this keyframe instead of the default pose
+   * @returns {object} - Initial observation
+   */
+  reset(options = {}) {
+    this.acquire();
+    const sim = this.simulation;
+    if (this.model !== sim.model) {
+      this.buildSpaces(sim.model);
+    }
+    if (options.seed !== undefined) {
+      sim.params.deterministic = true;
+      sim.params.seed = options.seed;
+    }
+    sim.reset();
+    if (options.keyframe !== undefined) {
+      if (!(options.keyframe >= 0 && options.keyframe < sim.model.nkey)) {
+        throw new Error(`Keyframe ${options.keyframe} out of range (model has ${sim.model.nkey})`);
+      }
+      sim.mujoco.mj_resetDataKeyframe(sim.model, sim.data, options.keyframe);
+      sim.mujoco.mj_forward(sim.model, sim.data);
+    }
+    this.action = Float64Array.from(sim.data.ctrl);
+    this.elapsedSteps = 0;
+    sim.notify();
+    return this.getObservation();
+  }
+
+  /**
+   * Apply an action for frameSkip physics steps
+   * @param {ArrayLike<number>} action - One value per actuator, clipped to ctrlrange
+   * @returns {{obs: object, reward: number, terminated: boolean, truncated: boolean, info: object}}
+   */
+  step(action) {
+    const sim = this.simulation;
+    if (!this.acquired || this.model === null) {
+      throw new Error('Call reset() before step()');
+    }
+    if (this.model !== sim.model) {
+      throw new Error('The model changed since reset(); call reset() again');
+    }
+    this.checkAvailable();
+    if (!action || action.length !== this.actionSpace.shape[0]) {
+      throw new Error(`Expected an action of length ${this.actionSpace.shape[0]}, got ${action?.length}`);
+    }
+    const { low, high } = this.actionSpace;
+    for (let i = 0; i < action.length; i++) {
+      const value = Number(action[i]);
+      if (Number.isNaN(value)) {
+        throw new Error(`Action[${i}] is NaN`);
+      }
+      this.action[i] = Math.min(high[i], Math.max(low[i], value));
+    }
+
+    for (let i = 0; i < this.config.frameSkip; i++) {
+      sim.step();
+    }
+    this.elapsedSteps++;
+    sim.notify();
+
+    const { model, data } = sim;
+    return {
+      obs: this.getObservation(),
+      reward: this.config.reward ? this.config.reward(model, data, this.action) : 0,
+      terminated: this.config.terminated ? !!this.config.terminated(model, data) : false,
+      truncated: this.elapsedSteps >= this.config.maxEpisodeSteps,
+      info: { time: data.time, elapsedSteps: this.elapsedSteps, ctrl: Array.from(data.ctrl) }
+    };
+  }
+
+  /**
+   * Render the current state after the viewer's next frame, with ground-truth labels
+   * @param {object} options
+   * @param {string} options.view - 'main' for the viewer camera, or the name of an MJCF camera
+   * @returns {Promise<object>} - {view, time, width, height, fovy, rgb: ImageData, depth: Float32Array,
+   *   geom: Int32Array, body: Int32Array, geomNames, bodyNames}; see utils/RenderOutputs.js for the layout
+   */
+  render(options = {}) {
+    if (!this.renderHook) {
+      return Promise.reject(new Error('Rendering is not available in this environment'));
+    }
+    return this.renderHook(options);
+  }
+
+  /** Stop driving the simulation and give control back to the previous controller and seeding mode */
+  release() {
+    if (!this.acquired) return;
+    const sim = this.simulation;
+    if (sim.controller === this.controller) {
+      sim.controller = this.savedController;
+    }
+    this.savedController = null;
+    Object.assign(sim.params, this.savedParams);
+    this.savedParams = null;
+    this.acquired = false;
+  }
+
+  /**
+   * Current observation, without stepping
+   * @returns {object} - {qpos, qvel, bodies: {name: {pos, quat}}, sensordata}, per the configuration
+   */
+  getObservation() {
+    const { data } = this.simulation;
+    const config = this.config.observation;
+    const obs = {};
+    if (config.qpos) obs.qpos = Array.from(data.qpos);
+    if (config.qvel) obs.qvel = Array.from(data.qvel);
+    if (this.bodyIds.length > 0) {
+      obs.bodies = {};
+      for (const { name, id } of this.bodyIds) {
+        obs.bodies[name] = {
+          pos: Array.from(data.xpos.subarray(id * 3, id * 3 + 3)),
+          quat: Array.from(data.xquat.subarray(id * 4, id * 4 + 4))
+        };
+      }
+    }
+    if (config.sensordata) obs.sensordata = Array.from(data.sensordata);
+    return obs;
+  }
+
+  /**
+   * Derive the action and observation spaces from the model
+   * @param {object} model - MuJoCo model
+   */
+  buildSpaces(model) {
+    const config = this.config.observation;
+
+    const low = [], high = [], names = [];
+    for (let i = 0; i < model.nu; i++) {
+      const limited = model.actuator_ctrllimited[i];
+      low.push(limited ? model.actuator_ctrlrange[2 * i] : -Infinity);
+      high.push(limited ? model.actuator_ctrlrange[2 * i + 1] : Infinity);
+      names.push(getName(model, model.name_actuatoradr[i]) || `actuator_${i}`);
+    }
+    const sim = this.simulation;
+    this.actionSpace = {
+      shape: [model.nu], low, high, names,
+      // Uniform within limits (0 for unlimited actuators), from the simulation's seeded PRNG
+      sample: () => low.map((lo, i) =>
+        Number.isFinite(lo) && Number.isFinite(high[i]) ? lo + (high[i] - lo) * sim.random() : 0)
+    };
+
+    this.bodyIds = [];
+    const allBodies = [];
+    for (let b = 1; b < model.nbody; b++) {
+      allBodies.push({ name: getName(model, model.name_bodyadr[b]) || `body_${b}`, id: b });
+    }
+    if (config.bodies === true) {
+      this.bodyIds = allBodies;
+    } else {
+      for (const name of config.bodies ?? []) {
+        const body = allBodies.find((entry) => entry.name === name);
+        if (!body) {
+          throw new Error(`No body named "${name}" in the current model`);
+        }
+        this.bodyIds.push(body);
+      }
+    }
+
+    this.observationSpace = {};
+    if (config.qpos) this.observationSpace.qpos = { shape: [model.nq] };
+    if (config.qvel) this.observationSpace.qvel = { shape: [model.nv] };
+    if (this.bodyIds.length > 0) {
+      this.observationSpace.bodies = {
+        names: this.bodyIds.map((body) => body.name), pos: { shape: [3] }, quat: { shape: [4] }
+      };
+    }
+    if (config.sensordata) this.observationSpace.sensordata = { shape: [model.nsensordata] };
+
+    this.model = model;
+  }
+
+  /** Take over the simulation so only step() advances it */
+  acquire() {
+    this.checkAvailable();
+    if (!this.simulation.model) {
+      throw new Error('No model loaded');
+    }
+    const sim = this.simulation;
+    if (sim.isPolicyActive()) {
+      sim.disablePolicy();
+    }
+    if (this.acquired) return;
+    this.savedController = sim.controller;
+    this.savedParams = { deterministic: sim.params.deterministic, seed: sim.params.seed };
+    sim.controller = this.controller;
+    this.acquired = true;
+  }
+
+  checkAvailable() {
+    if (this.unavailableReason) {
+      throw new Error(this.unavailableReason);
+    }
+  }
+}
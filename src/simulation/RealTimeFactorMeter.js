@@ -0,0 +1,34 @@
+/**
+ * Real-Time Factor Meter
+ *
+ * Measures simulated time advanced per wall-clock time over short windows, so
+ * the GUI can show when the simulation falls behind the requested speed.
+ */
+
+export class RealTimeFactorMeter {
+  /**
+   * @param {number} windowMS - Wall-clock length of one measurement window
+   */
+  constructor(windowMS = 500) {
+    this.windowMS = windowMS;
+    this.wallMS = 0;
+    this.simMS = 0;
+    // Achieved real-time factor over the last completed window
+    this.value = 1.0;
+  }
+
+  /**
+   * Accumulate one update
+   * @param {number} wallMS - Wall-clock time elapsed since the previous update
+   * @param {number} simMS - Simulated time advanced during the update
+   */
+  add(wallMS, simMS) {
+    this.wallMS += wallMS;
+    this.simMS += simMS;
+    if (this.wallMS >= this.windowMS) {
+      this.value = this.simMS / this.wallMS;
+      this.wallMS = 0;
+      this.simMS = 0;
+    }
+  }
+}
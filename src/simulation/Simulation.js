@@ -0,0 +1,453 @@
+/**
+ * Simulation Core
+ *
+ * Owns the MuJoCo model/data and everything that advances them: the
+ * substep loop, policy decimation, control noise and perturbations.
+ *
+ * In deterministic mode all injected randomness comes from a PRNG seeded with
+ * params.seed (reseeded on reset/load), and update() advances a fixed number of
+ * steps per tick instead of chasing the wall clock. Two runs with the same seed,
+ * inputs and scene then produce bit-identical trajectories.
+ *
+ * Has no DOM or Three.js dependency, so it runs in the browser and under
+ * plain Node with mujoco-js. Viewers subscribe to updates and only mirror
+ * the resulting body poses.
+ */
+
+import { mulberry32, standardNormal } from '../utils/math/random.js';
+import { RealTimeFactorMeter } from './RealTimeFactorMeter.js';
+
+/**
+ * Apply a body perturbation in MuJoCo coordinates.
+ * While running, applies force at point to qfrc_applied. While paused, moves
+ * the mocap body (or the root of its kinematic tree) by offset instead.
+ * @param {object} mujoco - MuJoCo WASM module
+ * @param {object} model - MuJoCo model
+ * @param {object} data - MuJoCo data
+ * @param {{bodyID: number, force: number[], point: number[], offset: number[]}|null} perturbation
+ * @param {boolean} paused - Whether the simulation is paused
+ */
+export function applyBodyPerturbation(mujoco, model, data, perturbation, paused) {
+  if (!perturbation || !perturbation.bodyID) return;
+  const b = perturbation.bodyID;
+
+  if (!paused) {
+    mujoco.mj_applyFT(model, data, perturbation.force, [0, 0, 0], perturbation.point, b, data.qfrc_applied);
+    return;
+  }
+
+  const offset = perturbation.offset;
+  if (model.body_mocapid[b] >= 0) {
+    let addr = model.body_mocapid[b] * 3;
+    let pos  = data.mocap_pos;
+    pos[addr+0] += offset[0];
+    pos[addr+1] += offset[1];
+    pos[addr+2] += offset[2];
+  } else {
+    let root = model.body_rootid[b];
+    let addr = model.jnt_qposadr[model.body_jntadr[root]];
+    let pos  = data.qpos;
+    pos[addr+0] += offset[0];
+    pos[addr+1] += offset[1];
+    pos[addr+2] += offset[2];
+  }
+}
+
+// mjData fields that make up the full simulation state (cf. mjSTATE_INTEGRATION)
+const STATE_FIELDS = [
+  'qpos', 'qvel', 'act', 'ctrl', 'qacc_warmstart', 'qfrc_applied', 'xfrc_applied',
+  'mocap_pos', 'mocap_quat', 'eq_active', 'userdata', 'plugin_state'
+];
+
+export class Simulation {
+  /**
+   * @param {object} mujoco - MuJoCo WASM module
+   * @param {object} params - Shared parameter object (paused, speed, ctrlnoiserate, ctrlnoisestd,
+   *                          deterministic, seed, stepsPerTick)
+   */
+  constructor(mujoco, params = {}) {
+    this.mujoco = mujoco;
+
+    // Model and data are created by loadFromXML()
+    this.model = null;
+    this.data = null;
+
+    this.params = params;
+    this.params.paused ??= false;
+    // Requested real-time factor (simulated seconds per wall-clock second)
+    this.params.speed ??= 1.0;
+    this.params.ctrlnoiserate ??= 0.0;
+    this.params.ctrlnoisestd ??= 0.0;
+    this.params.deterministic ??= false;
+    this.params.seed ??= 0;
+    // Physics steps per update() in deterministic mode; 0 = one 60 Hz frame worth
+    this.params.stepsPerTick ??= 0;
+
+    // Simulated time in milliseconds, kept in step with targetTime: the caller's
+    // clock scaled by params.speed
+    this.mujoco_time = 0.0;
+    this.targetTime = 0.0;
+    this.lastUpdateMS = null;
+    // Fractional steps carried between deterministic ticks when speed != 1
+    this.stepBudget = 0.0;
+
+    // Achieved speed, measured over wall-clock windows
+    this.rtfMeter = new RealTimeFactorMeter();
+
+    // Seeded PRNG for deterministic mode, (re)created by reseed()
+    this.rng = null;
+    this.rngSeed = null;
+
+    // Control sources, injected so the core stays DOM-free.
+    // controller: object with step() called every substep (e.g. keyboardController)
+    // policy: object with step()/applyControl()/enabled (e.g. policyController)
+    this.controller = null;
+    this.policy = null;
+
+    // Policy control state
+    this.policyEnabled = false;
+    this.policyStepPending = false;
+    this.policyStepPromise = null;
+    // Error of the last policy inference, null once one succeeds
+    this.policyStepError = null;
+    this.policyDecimation = 0;
+    this.policySubstep = 0;
+
+    // Called every substep after qfrc_applied is cleared: (model, data, paused)
+    // While paused they are called once per update, before mj_forward.
+    this.perturbationCallbacks = [];
+
+    // Called after every physics step: (model, data)
+    this.stepCallbacks = [];
+
+    // Called after every update(): (model, data)
+    this.subscribers = [];
+
+    // Called by reset() after mj_resetData, before mj_forward: (model, data)
+    // (e.g. domain randomization writing model parameters and initial poses)
+    this.resetCallbacks = [];
+
+    // Optional kinematic driver (e.g. trajectory replay) that replaces physics while
+    // running: object with advance(model, data, seconds) writing qpos/mocap directly
+    this.kinematicSource = null;
+  }
+
+  /**
+   * Load a model from the MuJoCo virtual filesystem, freeing the old data
+   * @param {string} xmlPath - Absolute VFS path (e.g. '/working/scene.xml')
+   * @returns {[object, object]} - [model, data]
+   */
+  loadFromXML(xmlPath) {
+    if (this.data != null) {
+      this.data.delete();
+      this.model = null;
+      this.data = null;
+    }
+
+    this.model = this.mujoco.MjModel.loadFromXML(xmlPath);
+    this.data = new this.mujoco.MjData(this.model);
+    this.reseed();
+    return [this.model, this.data];
+  }
+
+  /**
+   * Register a callback run after every update()
+   * @param {Function} callback - (model, data) => void
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => {
+      const idx = this.subscribers.indexOf(callback);
+      if (idx >= 0) this.subscribers.splice(idx, 1);
+    };
+  }
+
+  /**
+   * Run all subscribers against the current model/data
+   */
+  notify() {
+    for (let i = 0; i < this.subscribers.length; i++) {
+      this.subscribers[i](this.model, this.data);
+    }
+  }
+
+  /**
+   * Enable policy control. The policy must already be loaded.
+   * @param {object} policy - Policy controller (step/applyControl/decimation)
+   */
+  enablePolicy(policy) {
+    this.policy = policy;
+    this.policyEnabled = true;
+    this.policyStepError = null;
+    this.policyDecimation = policy.decimation;
+    this.policySubstep = this.policyDecimation; // Trigger first policy step
+  }
+
+  disablePolicy() {
+    this.policyEnabled = false;
+    if (this.policy) {
+      this.policy.disable();
+    }
+  }
+
+  resetPolicy() {
+    if (this.policy && this.policy.enabled) {
+      this.policy.reset();
+      this.policySubstep = this.policyDecimation; // Trigger new policy step
+    }
+  }
+
+  /**
+   * Whether the policy (rather than the keyboard controller) drives ctrl
+   * @returns {boolean}
+   */
+  isPolicyActive() {
+    return this.policyEnabled && !!this.policy && this.policy.enabled;
+  }
+
+  /**
+   * Start policy inference if it isn't already running
+   * @returns {Promise<void>} - Resolves when the pending inference finishes
+   */
+  requestPolicyStep() {
+    if (!this.policyStepPending) {
+      this.policyStepPending = true;
+      this.policyStepPromise = this.policy.step().then((decimation) => {
+        this.policyDecimation = decimation;
+        this.policySubstep = 0;
+        this.policyStepError = null;
+        this.policyStepPending = false;
+      }).catch((err) => {
+        console.error('Policy step error:', err);
+        this.policyStepError = err;
+        this.policyStepPending = false;
+      });
+    }
+    return this.policyStepPromise;
+  }
+
+  /**
+   * Capture the full simulation state, including controller and policy internals
+   * @returns {object} - Snapshot for restoreState()
+   */
+  captureState() {
+    const state = { time: this.data.time, nq: this.model.nq, nv: this.model.nv, fields: {} };
+    for (const name of STATE_FIELDS) {
+      if (this.data[name]) {
+        state.fields[name] = this.data[name].slice();
+      }
+    }
+    state.controller = this.controller?.getState ? this.controller.getState() : null;
+    state.policy = this.isPolicyActive() && this.policy.getState ? {
+      substep: this.policySubstep,
+      decimation: this.policyDecimation,
+      internals: this.policy.getState()
+    } : null;
+    state.rngState = this.rng ? this.rng.state : null;
+    return state;
+  }
+
+  /**
+   * Restore a snapshot from captureState() and recompute derived quantities
+   * @param {object} state - Snapshot
+   */
+  async restoreState(state) {
+    if (state.nq !== this.model.nq || state.nv !== this.model.nv) {
+      throw new Error('Snapshot does not match the loaded model');
+    }
+    this.data.time = state.time;
+    for (const name in state.fields) {
+      this.data[name].set(state.fields[name]);
+    }
+    if (state.rngState !== null && this.rng) {
+      this.rng.state = state.rngState;
+    }
+    if (state.policy && this.isPolicyActive() && this.policy.setState) {
+      this.policy.setState(state.policy.internals);
+      this.policySubstep = state.policy.substep;
+      this.policyDecimation = state.policy.decimation;
+    }
+    if (state.controller && this.controller?.setState) {
+      await this.controller.setState(state.controller);
+    }
+    this.mujoco.mj_forward(this.model, this.data);
+    this.notify();
+  }
+
+  /**
+   * Restart the seeded PRNG from params.seed
+   */
+  reseed() {
+    this.rngSeed = this.params.seed;
+    this.rng = mulberry32(this.params.seed);
+  }
+
+  /**
+   * Uniform random number; seeded in deterministic mode, Math.random() otherwise
+   * @returns {number} - Sample in [0, 1)
+   */
+  random() {
+    if (!this.params.deterministic) return Math.random();
+    if (this.rngSeed !== this.params.seed) this.reseed();
+    return this.rng();
+  }
+
+  /**
+   * Number of physics steps update() takes per call in deterministic mode
+   * @returns {number}
+   */
+  getStepsPerTick() {
+    return this.params.stepsPerTick > 0 ? this.params.stepsPerTick :
+      Math.max(1, Math.round(1.0 / (60.0 * this.model.opt.timestep)));
+  }
+
+  /**
+   * Reset data to the model defaults, restart the seeded PRNG and run the reset callbacks
+   */
+  reset() {
+    this.mujoco.mj_resetData(this.model, this.data);
+    this.reseed();
+    for (let i = 0; i < this.resetCallbacks.length; i++) {
+      this.resetCallbacks[i](this.model, this.data);
+    }
+    this.mujoco.mj_forward(this.model, this.data);
+  }
+
+  /**
+   * Advance one physics step, applying noise, perturbations and controls.
+   * @returns {boolean} - False if no step was taken because the policy needs a new action
+   */
+  step() {
+    const policyActive = this.isPolicyActive();
+
+    if (policyActive) {
+      // Check if we need a new policy step
+      if (this.policySubstep >= this.policyDecimation) {
+        this.requestPolicyStep();
+        return false;
+      }
+
+      // Apply PD control from policy
+      this.policy.applyControl();
+    } else if (this.params.ctrlnoisestd > 0.0) {
+      // Jitter the control state with gaussian random noise
+      let timestep = this.model.opt.timestep;
+      let rate  = Math.exp(-timestep / Math.max(1e-10, this.params.ctrlnoiserate));
+      let scale = this.params.ctrlnoisestd * Math.sqrt(1 - rate * rate);
+      let currentCtrl = this.data.ctrl;
+      let random = this.random.bind(this);
+      for (let i = 0; i < currentCtrl.length; i++) {
+        currentCtrl[i] = rate * currentCtrl[i] + scale * standardNormal(random);
+      }
+    }
+
+    // Clear old perturbations, apply new ones.
+    for (let i = 0; i < this.data.qfrc_applied.length; i++) { this.data.qfrc_applied[i] = 0.0; }
+    for (let i = 0; i < this.perturbationCallbacks.length; i++) {
+      this.perturbationCallbacks[i](this.model, this.data, false);
+    }
+
+    // Update keyboard controls
+    if (!policyActive && this.controller) {
+      this.controller.step();
+    }
+
+    this.mujoco.mj_step(this.model, this.data);
+    for (let i = 0; i < this.stepCallbacks.length; i++) {
+      this.stepCallbacks[i](this.model, this.data);
+    }
+
+    if (policyActive) {
+      this.policySubstep++;
+    }
+    return true;
+  }
+
+  /**
+   * Advance the simulation to match the caller's clock scaled by params.speed, then
+   * notify subscribers. Drops the backlog if more than 35 ms (times speed) behind;
+   * getRealTimeFactor() shows the resulting shortfall. In deterministic mode,
+   * advances getStepsPerTick() * speed steps instead (fewer while waiting on the
+   * policy, which pauses physics without changing the trajectory). A kinematicSource
+   * replaces physics entirely while set.
+   * @param {number} timeMS - Current time in milliseconds (e.g. requestAnimationFrame time)
+   */
+  update(timeMS) {
+    if (!this.model || !this.data) return;
+
+    const wallDelta = this.lastUpdateMS === null ? 0.0 : Math.max(0.0, timeMS - this.lastUpdateMS);
+    this.lastUpdateMS = timeMS;
+    const speed = this.params.speed;
+    let timestep = this.model.opt.timestep;
+    let simAdvanced = 0.0;
+
+    if (!this.params.paused && this.kinematicSource) {
+      simAdvanced = wallDelta * speed;
+      this.kinematicSource.advance(this.model, this.data, simAdvanced / 1000.0);
+      this.mujoco.mj_forward(this.model, this.data);
+    } else if (!this.params.paused && this.params.deterministic) {
+      const budget = this.getStepsPerTick() * speed;
+      this.stepBudget = Math.min(this.stepBudget + budget, budget + 1.0);
+      while (this.stepBudget >= 1.0) {
+        if (!this.step()) break;
+        this.stepBudget -= 1.0;
+        simAdvanced += timestep * 1000.0;
+      }
+    } else if (!this.params.paused) {
+      this.targetTime += wallDelta * speed;
+      if (this.targetTime - this.mujoco_time > 35.0 * Math.max(1.0, speed)) { this.mujoco_time = this.targetTime; }
+
+      while (this.mujoco_time < this.targetTime) {
+        // Skip physics while waiting for policy
+        if (!this.step()) break;
+        this.mujoco_time += timestep * 1000.0;
+        simAdvanced += timestep * 1000.0;
+      }
+    } else {
+      for (let i = 0; i < this.perturbationCallbacks.length; i++) {
+        this.perturbationCallbacks[i](this.model, this.data, true);
+      }
+      this.mujoco.mj_forward(this.model, this.data);
+    }
+
+    this.rtfMeter.add(wallDelta, simAdvanced);
+    this.notify();
+  }
+
+  /**
+   * Real-time factor achieved over the last measurement window
+   * @returns {number}
+   */
+  getRealTimeFactor() {
+    return this.rtfMeter.value;
+  }
+
+  /**
+   * Advance exactly nsteps physics steps, awaiting policy inference as needed,
+   * then notify subscribers. Intended for headless scripts and stepping while paused.
+   * @param {number} nsteps - Number of physics steps
+   */
+  async run(nsteps) {
+    for (let i = 0; i < nsteps; i++) {
+      while (!this.step()) {
+        await this.requestPolicyStep();
+        if (this.policyStepError) {
+          throw new Error(`Policy step failed: ${this.policyStepError.message ?? this.policyStepError}`);
+        }
+      }
+    }
+    this.notify();
+  }
+
+  /**
+   * Advance to the end of the current policy tick: a fresh action (if one is due)
+   * followed by its decimation substeps. A single physics step without a policy.
+   */
+  async stepPolicyTick() {
+    await this.run(1);
+    if (this.isPolicyActive() && this.policySubstep < this.policyDecimation) {
+      await this.run(this.policyDecimation - this.policySubstep);
+    }
+  }
+}
@@ -0,0 +1,364 @@
+/**
+ * Physics Worker Client
+ *
+ * Main-thread side of simulationWorker.js. Mirrors the scene's VFS files into
+ * the worker, forwards params / keyboard / drag input, and writes interpolated
+ * pose frames back into the main-thread Simulation so the viewer can keep
+ * mirroring data as usual.
+ */
+
+import { keyboardController } from '../utils/KeyboardControl.js';
+import { getFrameLayout, readFrame, createSharedFrameBuffer, getSharedFrameViews } from './poseFrame.js';
+
+// Params mirrored into the worker's Simulation whenever they change
+const SYNCED_PARAMS = ['paused', 'speed', 'ctrlnoiserate', 'ctrlnoisestd', 'deterministic', 'seed', 'stepsPerTick'];
+
+// Frames kept for interpolation, and how far the render clock may lag the newest one (seconds)
+const MAX_FRAMES = 8;
+const MAX_RENDER_LAG = 0.1;
+
+export class SimulationWorkerClient {
+  /**
+   * @param {Worker} worker - Module worker running simulationWorker.js
+   * @param {object} mujoco - Main-thread MuJoCo WASM module (source of the VFS files)
+   * @param {import('./Simulation.js').Simulation} simulation - Main-thread simulation that receives the frames
+   * @param {Function} getPerturbation - Returns the current drag perturbation or null
+   */
+  constructor(worker, mujoco, simulation, getPerturbation) {
+    this.worker = worker;
+    this.mujoco = mujoco;
+    this.simulation = simulation;
+    this.getPerturbation = getPerturbation;
+
+    this.policyEnabled = false;
+    this.motions = [];
+
+    // Called with the worker's visual model arrays after each domain randomization
+    // sample: ({geom_rgba, mat_rgba, light_dir}) => void
+    this.onRandomized = null;
+
+    this.layout = null;
+    this.model = null;
+    this.shared = null;
+    this.lastSeq = 0;
+    this.frames = [];
+    this.renderTime = 0;
+    this.lastTimeMS = null;
+
+    // Last values sent, so unchanged input isn't posted every frame
+    this.sentParams = '';
+    this.sentKeys = '';
+    this.sentPerturbation = false;
+    this.sentFiles = new Map();
+
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+
+    this.ready = new Promise((resolve) => { this.resolveReady = resolve; });
+    this.worker.onmessage = this.onMessage.bind(this);
+    this.worker.onerror = (event) => console.error('Physics worker error:', event.message);
+  }
+
+  onMessage(event) {
+    const msg = event.data;
+    if (msg.type === 'frame') {
+      this.pushFrame(msg.frame);
+    } else if (msg.type === 'reply') {
+      const pending = this.pendingRequests.get(msg.id);
+      if (!pending) return;
+      this.pendingRequests.delete(msg.id);
+      if (msg.error) {
+        pending.reject(new Error(msg.error));
+      } else {
+        pending.resolve(msg.result);
+      }
+    } else if (msg.type === 'randomized') {
+      this.onRandomized?.(msg.visual);
+    } else if (msg.type === 'ready') {
+      this.resolveReady();
+    }
+  }
+
+  /**
+   * Send a message that expects a reply
+   * @param {string} type - Request type
+   * @param {object} payload - Message fields
+   * @param {Transferable[]} transfer - Buffers to transfer
+   * @returns {Promise<any>} - Resolves with the worker's result
+   */
+  async request(type, payload = {}, transfer = []) {
+    await this.ready;
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(id, { resolve, reject });
+      this.worker.postMessage({ type, id, ...payload }, transfer);
+    });
+  }
+
+  /**
+   * Send a message without a reply
+   * @param {string} type - Notification type
+   * @param {object} payload - Message fields
+   */
+  post(type, payload = {}) {
+    this.worker.postMessage({ type, ...payload });
+  }
+
+  /**
+   * Collect /working files that changed since they were last sent
+   * @param {string} dir - VFS directory
+   * @param {string} prefix - Path relative to /working
+   * @param {object[]} files - Output list of {path, data}
+   */
+  collectFiles(dir, prefix, files) {
+    const FS = this.mujoco.FS;
+    for (const name of FS.readdir(dir)) {
+      if (name === '.' || name === '..') continue;
+      const fullPath = `${dir}/${name}`;
+      const relPath = prefix ? `${prefix}/${name}` : name;
+      const stat = FS.stat(fullPath);
+      if (FS.isDir(stat.mode)) {
+        this.collectFiles(fullPath, relPath, files);
+      } else {
+        const stamp = `${stat.size}:${stat.mtime.getTime()}`;
+        if (this.sentFiles.get(relPath) === stamp) continue;
+        this.sentFiles.set(relPath, stamp);
+        files.push({ path: relPath, data: FS.readFile(fullPath) });
+      }
+    }
+  }
+
+  /**
+   * Load the scene that is currently loaded on the main thread into the worker
+   * @param {string} scenePath - Scene XML path relative to /working
+   * @param {string} robot - Robot name (for the keyboard controller)
+   */
+  async load(scenePath, robot) {
+    this.model = this.simulation.model;
+    this.layout = getFrameLayout(this.model);
+    this.frames.length = 0;
+    this.lastTimeMS = null;
+    this.policyEnabled = false;
+    this.motions = [];
+
+    let sharedBuffer = null;
+    if (globalThis.crossOriginIsolated) {
+      sharedBuffer = createSharedFrameBuffer(this.layout);
+      this.shared = getSharedFrameViews(sharedBuffer, this.layout);
+      this.lastSeq = 0;
+    } else {
+      this.shared = null;
+    }
+
+    const files = [];
+    this.collectFiles('/working', '', files);
+    const params = {};
+    for (const key of SYNCED_PARAMS) { params[key] = this.simulation.params[key]; }
+    this.sentParams = JSON.stringify(params);
+
+    await this.request('load', { files, scenePath, robot, params, sharedBuffer },
+      files.map((file) => file.data.buffer));
+  }
+
+  /**
+   * Queue a frame for interpolation
+   * @param {Float64Array} frame - Pose frame
+   */
+  pushFrame(frame) {
+    if (!this.layout || frame.length !== this.layout.size) return;
+    const latest = this.frames[this.frames.length - 1];
+    if (latest && frame[this.layout.time] < latest[this.layout.time]) {
+      // Time went backwards (reset / keyframe): drop the old history
+      this.frames.length = 0;
+      this.renderTime = frame[this.layout.time];
+    }
+    this.frames.push(frame);
+    if (this.frames.length > MAX_FRAMES) this.frames.shift();
+  }
+
+  /** Copy the newest shared-buffer slot if the worker published one */
+  pollSharedFrame() {
+    if (!this.shared) return;
+    const seq = Atomics.load(this.shared.header, 0);
+    if (seq === this.lastSeq) return;
+    this.lastSeq = seq;
+    this.pushFrame(this.shared.slots[seq % this.shared.slots.length].slice());
+  }
+
+  /** Post params, key states and drag perturbation if they changed */
+  sendInputs() {
+    const params = {};
+    for (const key of SYNCED_PARAMS) { params[key] = this.simulation.params[key]; }
+    const paramsJSON = JSON.stringify(params);
+    if (paramsJSON !== this.sentParams) {
+      this.sentParams = paramsJSON;
+      this.post('params', { params });
+    }
+
+    const keysJSON = JSON.stringify(keyboardController.keyStates);
+    if (keysJSON !== this.sentKeys) {
+      this.sentKeys = keysJSON;
+      this.post('keys', { keyStates: keyboardController.keyStates });
+    }
+
+    const perturbation = this.getPerturbation();
+    if (perturbation || this.sentPerturbation) {
+      this.sentPerturbation = !!perturbation;
+      this.post('perturb', { perturbation });
+    }
+  }
+
+  /**
+   * Forward input, then interpolate the received frames into the main-thread data
+   * and notify its subscribers. Replaces Simulation.update() while the worker runs.
+   * @param {number} timeMS - Current time in milliseconds
+   */
+  update(timeMS) {
+    if (!this.layout || this.simulation.model !== this.model) return;
+
+    this.sendInputs();
+    this.pollSharedFrame();
+    if (this.frames.length === 0) return;
+
+    // Advance the render clock with scaled wall time, a little behind the newest frame
+    const t = this.layout.time;
+    const speed = this.simulation.params.speed;
+    const latestTime = this.frames[this.frames.length - 1][t];
+    const wallDelta = this.lastTimeMS === null ? 0 : Math.max(0, timeMS - this.lastTimeMS);
+    this.lastTimeMS = timeMS;
+    const previousRenderTime = this.renderTime;
+    if (this.simulation.params.paused) {
+      // Show single steps immediately
+      this.renderTime = latestTime;
+    } else {
+      this.renderTime = Math.min(latestTime,
+        Math.max(latestTime - MAX_RENDER_LAG * Math.max(1, speed), this.renderTime + wallDelta / 1000 * speed));
+    }
+
+    // Achieved speed as seen on screen
+    this.simulation.rtfMeter.add(wallDelta, Math.max(0, this.renderTime - previousRenderTime) * 1000);
+
+    // Find the pair of frames bracketing the render time
+    let i = this.frames.length - 1;
+    while (i > 0 && this.frames[i - 1][t] > this.renderTime) i--;
+    const curr = this.frames[i];
+    const prev = i > 0 ? this.frames[i - 1] : curr;
+    const span = curr[t] - prev[t];
+    const alpha = span > 0 ? Math.min(1, Math.max(0, (this.renderTime - prev[t]) / span)) : 1;
+
+    readFrame(this.layout, prev, curr, alpha, this.simulation.data);
+    this.simulation.notify();
+  }
+
+  /**
+   * Set a single control value in the worker
+   * @param {number} index - Actuator index
+   * @param {number} value - Control value
+   */
+  setCtrl(index, value) {
+    this.post('ctrl', { index, value });
+  }
+
+  /**
+   * Overwrite qpos in the worker (e.g. when loading a keyframe)
+   * @param {Float64Array|number[]} qpos - Joint positions
+   */
+  setQpos(qpos) {
+    this.post('qpos', { qpos: Array.from(qpos) });
+  }
+
+  reset() {
+    this.post('reset');
+  }
+
+  /**
+   * Advance exactly nsteps physics steps in the worker (see Simulation.run)
+   * @param {number} nsteps - Number of physics steps
+   */
+  async run(nsteps) {
+    await this.request('step', { nsteps });
+  }
+
+  async stepPolicyTick() {
+    await this.request('stepPolicyTick');
+  }
+
+  /**
+   * Call a SnapshotManager method on the worker's simulation
+   * @param {string} method - e.g. 'save', 'load', 'rewind'
+   * @param {any[]} args - Method arguments
+   * @returns {Promise<any>} - The method's result
+   */
+  callSnapshots(method, args = []) {
+    return this.request('snapshots', { method, args });
+  }
+
+  /**
+   * Call a TrajectoryRecorder / TrajectoryPlayer method in the worker
+   * @param {'recorder'|'player'} target - Which object
+   * @param {string} method - e.g. 'start', 'load', 'play'
+   * @param {any[]} args - Method arguments
+   * @returns {Promise<any>} - The method's result
+   */
+  callTrajectory(target, method, args = []) {
+    return this.request('trajectory', { target, method, args });
+  }
+
+  /**
+   * Call a TaskRunner method in the worker
+   * @param {string} method - e.g. 'setTask', 'getStatus'
+   * @param {any[]} args - Method arguments
+   * @returns {Promise<any>} - The method's result
+   */
+  callTasks(method, args = []) {
+    return this.request('tasks', { method, args });
+  }
+
+  /**
+   * Call a DomainRandomizer method in the worker
+   * @param {string} method - e.g. 'setProfile'
+   * @param {any[]} args - Method arguments
+   * @returns {Promise<any>} - The method's result
+   */
+  callRandomizer(method, args = []) {
+    return this.request('randomizer', { method, args });
+  }
+
+  /**
+   * Load and enable a policy inside the worker
+   * @param {string} url - Absolute policy JSON URL
+   */
+  async loadPolicy(url) {
+    const result = await this.request('loadPolicy', { url, baseUrl: globalThis.location.href });
+    this.motions = result.motions;
+    this.policyEnabled = true;
+  }
+
+  disablePolicy() {
+    this.policyEnabled = false;
+    this.post('disablePolicy');
+  }
+
+  resetPolicy() {
+    this.post('resetPolicy');
+  }
+
+  getAvailableMotions() {
+    return this.motions;
+  }
+
+  /**
+   * @param {string} name - Motion name
+   */
+  requestMotion(name) {
+    this.post('requestMotion', { name });
+  }
+
+  terminate() {
+    this.worker.terminate();
+    for (const pending of this.pendingRequests.values()) {
+      pending.reject(new Error('Physics worker terminated'));
+    }
+    this.pendingRequests.clear();
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Snapshot Manager
+ *
+ * Named save slots plus a rewind ring buffer of recent states, both built on
+ * Simulation.captureState() / restoreState(). History is recorded from a
+ * Simulation subscriber whenever simulated time advances; rewinding and then
+ * running again discards the states after the rewind point.
+ */
+
+export class SnapshotManager {
+  /**
+   * @param {import('./Simulation.js').Simulation} simulation - Simulation to snapshot
+   * @param {object} options
+   * @param {number} options.historySeconds - Length of the rewind window in simulated seconds
+   * @param {number} options.historyInterval - Simulated seconds between recorded states
+   */
+  constructor(simulation, { historySeconds = 10, historyInterval = 0.05 } = {}) {
+    this.simulation = simulation;
+    this.historySeconds = historySeconds;
+    this.historyInterval = historyInterval;
+
+    // name -> snapshot
+    this.slots = new Map();
+
+    // Ring buffer of recent snapshots, oldest first
+    this.capacity = Math.ceil(historySeconds / historyInterval) + 1;
+    this.history = new Array(this.capacity);
+    this.historyStart = 0;
+    this.historyLength = 0;
+
+    this.model = null;
+    this.lastSeenTime = null;
+    // Turned off while another thread owns the physics (see MuJoCoDemo.setPhysicsWorker)
+    this.recording = true;
+
+    simulation.subscribe(this.record.bind(this));
+  }
+
+  /**
+   * Save the current state under a name, replacing any existing slot
+   * @param {string} name - Slot name
+   */
+  save(name) {
+    this.slots.set(name, this.simulation.captureState());
+  }
+
+  /**
+   * Restore a named slot
+   * @param {string} name - Slot name
+   */
+  async load(name) {
+    const state = this.slots.get(name);
+    if (!state) {
+      throw new Error(`No snapshot named "${name}"`);
+    }
+    await this.restore(state);
+  }
+
+  /**
+   * @param {string} name - Slot name
+   */
+  remove(name) {
+    this.slots.delete(name);
+  }
+
+  /**
+   * @returns {string[]} - Slot names in save order
+   */
+  list() {
+    return [...this.slots.keys()];
+  }
+
+  clearHistory() {
+    this.historyStart = 0;
+    this.historyLength = 0;
+    this.history.fill(undefined);
+  }
+
+  /**
+   * Simulated time span currently held in the ring buffer
+   * @returns {{start: number, end: number}}
+   */
+  getHistoryRange() {
+    if (this.historyLength === 0) {
+      return { start: 0, end: 0 };
+    }
+    return { start: this.getHistoryEntry(0).time, end: this.getHistoryEntry(this.historyLength - 1).time };
+  }
+
+  /**
+   * Restore the recorded state closest to secondsAgo before the newest one
+   * @param {number} secondsAgo - Simulated seconds to go back (>= 0)
+   * @returns {Promise<number>} - Simulated time of the restored state, or NaN if history is empty
+   */
+  async rewind(secondsAgo) {
+    if (this.historyLength === 0) return NaN;
+    const target = this.getHistoryRange().end - Math.max(0, secondsAgo);
+    let best = 0;
+    for (let i = 1; i < this.historyLength; i++) {
+      if (Math.abs(this.getHistoryEntry(i).time - target) < Math.abs(this.getHistoryEntry(best).time - target)) {
+        best = i;
+      }
+    }
+    const state = this.getHistoryEntry(best);
+    await this.restore(state);
+    return state.time;
+  }
+
+  /**
+   * @param {number} index - 0 = oldest
+   * @returns {object} - Snapshot
+   */
+  getHistoryEntry(index) {
+    return this.history[(this.historyStart + index) % this.capacity];
+  }
+
+  /**
+   * @param {object} state - Snapshot from captureState()
+   */
+  async restore(state) {
+    // Restoring isn't progress; don't let the notification it triggers truncate history
+    this.lastSeenTime = state.time;
+    await this.simulation.restoreState(state);
+  }
+
+  /** Simulation subscriber: append to the ring buffer as simulated time advances */
+  record(model, data) {
+    if (!this.recording) return;
+    if (model !== this.model) {
+      // New or reloaded scene: old states don't belong to it
+      this.model = model;
+      this.clearHistory();
+      this.lastSeenTime = null;
+    }
+    if (data.time === this.lastSeenTime) return;
+    this.lastSeenTime = data.time;
+
+    // Running again after a rewind or reset: drop the states that are now in the future
+    while (this.historyLength > 0 && this.getHistoryEntry(this.historyLength - 1).time > data.time) {
+      this.historyLength--;
+    }
+
+    if (this.historyLength > 0 &&
+        data.time - this.getHistoryEntry(this.historyLength - 1).time < this.historyInterval) {
+      return;
+    }
+
+    const state = this.simulation.captureState();
+    if (this.historyLength < this.capacity) {
+      this.history[(this.historyStart + this.historyLength) % this.capacity] = state;
+      this.historyLength++;
+    } else {
+      this.history[this.historyStart] = state;
+      this.historyStart = (this.historyStart + 1) % this.capacity;
+    }
+  }
+}
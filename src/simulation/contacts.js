@@ -0,0 +1,58 @@
+/**
+ * Contact Access
+ *
+ * data.contact is an Embind vector whose elements are copied out on get();
+ * these helpers read what callers need into plain objects and free the handles.
+ * Contact indices match those of mj_contactForce().
+ */
+
+/**
+ * Read the active contacts
+ * @param {object} data - MuJoCo data
+ * @returns {{geom1: number, geom2: number, dist: number, pos: Float64Array, frame: Float64Array}[]}
+ */
+export function readContacts(data) {
+  const contacts = [];
+  const ncon = data.ncon;
+  if (ncon === 0) return contacts;
+  const vector = data.contact;
+  for (let i = 0; i < ncon; i++) {
+    const contact = vector.get(i);
+    contacts.push({
+      geom1: contact.geom1,
+      geom2: contact.geom2,
+      dist: contact.dist,
+      pos: contact.pos.slice(),
+      frame: contact.frame.slice()
+    });
+    contact.delete();
+  }
+  vector.delete();
+  return contacts;
+}
+
+/**
+ * World-frame contact forces (mj_contactForce rotated out of each contact frame).
+ * The force acts on geom2; the frame's first row is the normal, pointing from geom1 to geom2.
+ * @param {object} mujoco - MuJoCo WASM module
+ * @param {object} model - MuJoCo model
+ * @param {object} data - MuJoCo data
+ * @param {{frame: Float64Array}[]} contacts - From readContacts(), in contact order
+ * @returns {Float64Array} - [fx, fy, fz] per contact
+ */
+export function readContactForces(mujoco, model, data, contacts) {
+  const forces = new Float64Array(contacts.length * 3);
+  if (contacts.length === 0) return forces;
+  // Output arguments must live in WASM memory; plain typed arrays are copied in and not back
+  const buffer = new mujoco.DoubleBuffer(6);
+  for (let i = 0; i < contacts.length; i++) {
+    mujoco.mj_contactForce(model, data, i, buffer);
+    const local = buffer.GetView();
+    const frame = contacts[i].frame;
+    for (let k = 0; k < 3; k++) {
+      forces[i * 3 + k] = local[0] * frame[k] + local[1] * frame[3 + k] + local[2] * frame[6 + k];
+    }
+  }
+  buffer.delete();
+  return forces;
+}
@@ -0,0 +1,20 @@
+/**
+ * Model Name Lookup
+ *
+ * Helpers for MuJoCo's packed, null-terminated model.names buffer.
+ */
+
+const textDecoder = new TextDecoder('utf-8');
+
+/**
+ * Read a name from model.names
+ * @param {object} model - MuJoCo model
+ * @param {number} adr - Offset into model.names (e.g. model.name_bodyadr[i])
+ * @returns {string} - The name, or '' for unnamed elements
+ */
+export function getName(model, adr) {
+  const names = model.names;
+  let end = adr;
+  while (end < names.length && names[end] !== 0) end++;
+  return textDecoder.decode(names.subarray(adr, end));
+}
@@ -0,0 +1,108 @@
+/**
+ * Pose Frame Layout
+ *
+ * Flat Float64Array layout used to stream simulation state from the physics
+ * worker to the main thread:
+ *
+ *   [time | qpos (nq) | qvel (nv) | ctrl (nu) | xpos (nbody*3) | xquat (nbody*4)]
+ *
+ * Shared by simulationWorker.js (writer) and SimulationWorkerClient.js (reader).
+ */
+
+/**
+ * Compute offsets for a model
+ * @param {object} model - MuJoCo model
+ * @returns {{time: number, qpos: number, qvel: number, ctrl: number, xpos: number, xquat: number, size: number}}
+ */
+export function getFrameLayout(model) {
+  const layout = { time: 0 };
+  layout.qpos  = 1;
+  layout.qvel  = layout.qpos + model.nq;
+  layout.ctrl  = layout.qvel + model.nv;
+  layout.xpos  = layout.ctrl + model.nu;
+  layout.xquat = layout.xpos + model.nbody * 3;
+  layout.size  = layout.xquat + model.nbody * 4;
+  return layout;
+}
+
+/**
+ * Copy the current data state into a frame
+ * @param {object} layout - Frame layout from getFrameLayout()
+ * @param {object} data - MuJoCo data
+ * @param {Float64Array} frame - Destination frame
+ */
+export function writeFrame(layout, data, frame) {
+  frame[layout.time] = data.time;
+  frame.set(data.qpos , layout.qpos );
+  frame.set(data.qvel , layout.qvel );
+  frame.set(data.ctrl , layout.ctrl );
+  frame.set(data.xpos , layout.xpos );
+  frame.set(data.xquat, layout.xquat);
+}
+
+/**
+ * Write an interpolated frame back into data.
+ * Time and body positions are lerped, body quaternions nlerped; qpos/qvel/ctrl come from the newer frame.
+ * @param {object} layout - Frame layout from getFrameLayout()
+ * @param {Float64Array} prev - Older frame
+ * @param {Float64Array} curr - Newer frame
+ * @param {number} alpha - Blend factor in [0, 1]
+ * @param {object} data - MuJoCo data to write into
+ */
+export function readFrame(layout, prev, curr, alpha, data) {
+  const nq = data.qpos.length, nv = data.qvel.length, nu = data.ctrl.length;
+  data.time = prev[layout.time] + (curr[layout.time] - prev[layout.time]) * alpha;
+  data.qpos.set(curr.subarray(layout.qpos, layout.qpos + nq));
+  data.qvel.set(curr.subarray(layout.qvel, layout.qvel + nv));
+  data.ctrl.set(curr.subarray(layout.ctrl, layout.ctrl + nu));
+
+  const xpos = data.xpos;
+  for (let i = 0; i < xpos.length; i++) {
+    const a = prev[layout.xpos + i];
+    xpos[i] = a + (curr[layout.xpos + i] - a) * alpha;
+  }
+
+  const xquat = data.xquat;
+  for (let b = 0; b < xquat.length; b += 4) {
+    const p = layout.xquat + b;
+    // Take the shortest path between the two rotations
+    const dot = prev[p] * curr[p] + prev[p + 1] * curr[p + 1] + prev[p + 2] * curr[p + 2] + prev[p + 3] * curr[p + 3];
+    const sign = dot < 0 ? -1 : 1;
+    let norm = 0;
+    for (let k = 0; k < 4; k++) {
+      const q = prev[p + k] * (1 - alpha) + sign * curr[p + k] * alpha;
+      xquat[b + k] = q;
+      norm += q * q;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (let k = 0; k < 4; k++) { xquat[b + k] /= norm; }
+  }
+}
+
+/** Number of frame slots in a shared buffer (triple buffering) */
+export const SHARED_FRAME_SLOTS = 3;
+
+/**
+ * Allocate a SharedArrayBuffer holding a sequence counter and SHARED_FRAME_SLOTS frames
+ * @param {object} layout - Frame layout from getFrameLayout()
+ * @returns {SharedArrayBuffer}
+ */
+export function createSharedFrameBuffer(layout) {
+  return new SharedArrayBuffer(8 + SHARED_FRAME_SLOTS * layout.size * 8);
+}
+
+/**
+ * Create views into a shared frame buffer. The writer fills slot (seq + 1) % SHARED_FRAME_SLOTS
+ * and then publishes seq + 1 in header[0]; readers copy slot seq % SHARED_FRAME_SLOTS.
+ * @param {SharedArrayBuffer} buffer - Buffer from createSharedFrameBuffer()
+ * @param {object} layout - Frame layout from getFrameLayout()
+ * @returns {{header: Int32Array, slots: Float64Array[]}}
+ */
+export function getSharedFrameViews(buffer, layout) {
+  const header = new Int32Array(buffer, 0, 2);
+  const slots = [];
+  for (let i = 0; i < SHARED_FRAME_SLOTS; i++) {
+    slots.push(new Float64Array(buffer, 8 + i * layout.size * 8, layout.size));
+  }
+  return { header, slots };
+}
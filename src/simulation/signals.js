@@ -0,0 +1,99 @@
+/**
+ * Model Signals
+ *
+ * Scalar quantities that can be read from mjData every frame for display and
+ * plotting: sensor components, 1-DoF joint positions / velocities and actuator
+ * controls / forces. Signal ids are built from element names, so they stay
+ * valid across reloads of the same scene.
+ */
+
+import { getName } from './modelNames.js';
+
+/**
+ * @typedef {object} Signal
+ * @property {string} id - Stable id, e.g. 'sensor:imu_gyro:2', 'qpos:shoulder_pan', 'force:gripper'
+ * @property {string} label - Display name
+ * @property {string} group - 'sensor' | 'qpos' | 'qvel' | 'ctrl' | 'force'
+ * @property {number} index - Offset into the mjData array the signal reads
+ */
+
+/**
+ * Name of a sensor type without the enum prefix (e.g. 'touch', 'framepos')
+ * @param {object} mujoco - MuJoCo WASM module
+ * @param {number} type - model.sensor_type entry
+ * @returns {string}
+ */
+export function getSensorTypeName(mujoco, type) {
+  for (const key of Object.keys(mujoco.mjtSensor)) {
+    if (key.startsWith('mjSENS_') && mujoco.mjtSensor[key].value === type) {
+      return key.slice('mjSENS_'.length).toLowerCase();
+    }
+  }
+  return `type ${type}`;
+}
+
+/**
+ * Every sensor in the model
+ * @param {object} mujoco - MuJoCo WASM module
+ * @param {object} model - MuJoCo model
+ * @returns {{id: number, name: string, type: string, adr: number, dim: number}[]}
+ */
+export function listSensors(mujoco, model) {
+  const sensors = [];
+  for (let i = 0; i < model.nsensor; i++) {
+    sensors.push({
+      id: i,
+      name: getName(model, model.name_sensoradr[i]) || `sensor_${i}`,
+      type: getSensorTypeName(mujoco, model.sensor_type[i]),
+      adr: model.sensor_adr[i],
+      dim: model.sensor_dim[i]
+    });
+  }
+  return sensors;
+}
+
+/**
+ * Every plottable signal in the model
+ * @param {object} mujoco - MuJoCo WASM module
+ * @param {object} model - MuJoCo model
+ * @returns {Signal[]}
+ */
+export function listSignals(mujoco, model) {
+  const signals = [];
+  for (const sensor of listSensors(mujoco, model)) {
+    for (let k = 0; k < sensor.dim; k++) {
+      const suffix = sensor.dim > 1 ? `[${k}]` : '';
+      signals.push({ id: `sensor:${sensor.name}:${k}`, label: `${sensor.name}${suffix}`, group: 'sensor', index: sensor.adr + k });
+    }
+  }
+
+  const hinge = mujoco.mjtJoint.mjJNT_HINGE.value;
+  const slide = mujoco.mjtJoint.mjJNT_SLIDE.value;
+  for (let j = 0; j < model.njnt; j++) {
+    const type = model.jnt_type[j];
+    if (type !== hinge && type !== slide) continue;
+    const name = getName(model, model.name_jntadr[j]) || `joint_${j}`;
+    signals.push({ id: `qpos:${name}`, label: `${name} qpos`, group: 'qpos', index: model.jnt_qposadr[j] });
+    signals.push({ id: `qvel:${name}`, label: `${name} qvel`, group: 'qvel', index: model.jnt_dofadr[j] });
+  }
+
+  for (let i = 0; i < model.nu; i++) {
+    const name = getName(model, model.name_actuatoradr[i]) || `actuator_${i}`;
+    signals.push({ id: `ctrl:${name}`, label: `${name} ctrl`, group: 'ctrl', index: i });
+    signals.push({ id: `force:${name}`, label: `${name} force`, group: 'force', index: i });
+  }
+  return signals;
+}
+
+// mjData array each signal group reads
+const GROUP_FIELDS = { sensor: 'sensordata', qpos: 'qpos', qvel: 'qvel', ctrl: 'ctrl', force: 'actuator_force' };
+
+/**
+ * Current value of a signal
+ * @param {object} data - MuJoCo data
+ * @param {Signal} signal
+ * @returns {number}
+ */
+export function readSignal(data, signal) {
+  return data[GROUP_FIELDS[signal.group]][signal.index];
+}
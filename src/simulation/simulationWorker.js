@@ -0,0 +1,235 @@
+/**
+ * Physics Worker
+ *
+ * Runs the MuJoCo WASM instance, the Simulation loop and ONNX policy inference
+ * off the main thread. Pose frames (see poseFrame.js) are streamed back through
+ * a SharedArrayBuffer when the page is cross-origin isolated, otherwise as
+ * transferable buffers. The main thread only interpolates and renders.
+ *
+ * Requests (answered with { type: 'reply', id, result } or { type: 'reply', id, error }):
+ *   load, step, stepPolicyTick, snapshots, trajectory, tasks, randomizer, loadPolicy
+ * Notifications (no reply):
+ *   params, keys, ctrl, qpos, perturb, reset, disablePolicy, resetPolicy, requestMotion
+ * Outgoing:
+ *   ready, reply, frame, randomized (visual model arrays after each domain randomization sample)
+ */
+
+import load_mujoco from '../../node_modules/mujoco-js/dist/mujoco_wasm.js';
+import { Simulation, applyBodyPerturbation } from './Simulation.js';
+import { SnapshotManager } from './SnapshotManager.js';
+import { TrajectoryRecorder, TrajectoryPlayer } from './trajectory.js';
+import { getFrameLayout, writeFrame, getSharedFrameViews } from './poseFrame.js';
+import { keyboardController } from '../utils/KeyboardControl.js';
+import { TaskRunner } from '../tasks/TaskRunner.js';
+import { DomainRandomizer } from './DomainRandomizer.js';
+
+// Relative to this script, which sits at the same depth in src/ and build/
+const ORT_URL = new URL('../../node_modules/onnxruntime-web/dist/ort.min.mjs', import.meta.url).href;
+
+// Physics tick interval; each tick catches the simulation up to wall time
+const TICK_INTERVAL_MS = 4;
+// In deterministic mode each update() is one fixed-step frame, so tick at frame rate
+const FIXED_TICK_INTERVAL_MS = 1000 / 60;
+
+const mujoco = await load_mujoco();
+mujoco.FS.mkdir('/working');
+mujoco.FS.mount(mujoco.MEMFS, { root: '.' }, '/working');
+
+const simulation = new Simulation(mujoco);
+simulation.controller = keyboardController;
+
+const snapshots = new SnapshotManager(simulation);
+// SnapshotManager methods callable through the 'snapshots' request
+const SNAPSHOT_METHODS = ['save', 'load', 'remove', 'list', 'rewind', 'getHistoryRange', 'clearHistory'];
+
+// Trajectory recorder/player methods callable through the 'trajectory' request
+const trajectory = {
+  recorder: new TrajectoryRecorder(simulation),
+  player: new TrajectoryPlayer(simulation)
+};
+const TRAJECTORY_METHODS = {
+  recorder: ['start', 'stop', 'getFrameCount'],
+  player: ['load', 'play', 'stop', 'seek', 'getRange', 'getProgress']
+};
+
+// Task runner methods callable through the 'tasks' request
+const tasks = new TaskRunner(simulation);
+const TASK_METHODS = ['setTask', 'startEpisode', 'resetStats', 'configure', 'getStatus'];
+
+// Domain randomizer methods callable through the 'randomizer' request. The viewer
+// redraws from its own model, so every sample's colors and lights are sent back.
+const randomizer = new DomainRandomizer(simulation);
+const RANDOMIZER_METHODS = ['setProfile'];
+randomizer.applyCallbacks.push((model) => {
+  self.postMessage({ type: 'randomized', visual: randomizer.getVisual(model) });
+});
+
+let perturbation = null;
+simulation.perturbationCallbacks.push((model, data, paused) => {
+  applyBodyPerturbation(mujoco, model, data, perturbation, paused);
+});
+
+let layout = null;
+let shared = null;
+simulation.subscribe((model, data) => {
+  if (!layout) return;
+  if (shared) {
+    const seq = Atomics.load(shared.header, 0) + 1;
+    writeFrame(layout, data, shared.slots[seq % shared.slots.length]);
+    Atomics.store(shared.header, 0, seq);
+  } else {
+    const frame = new Float64Array(layout.size);
+    writeFrame(layout, data, frame);
+    self.postMessage({ type: 'frame', frame }, [frame.buffer]);
+  }
+});
+
+let tickTimer = null;
+let lastTickMS = 0;
+function tick() {
+  const now = performance.now();
+  if (simulation.params.deterministic && now - lastTickMS < FIXED_TICK_INTERVAL_MS) return;
+  lastTickMS = now;
+  simulation.update(now);
+}
+
+// Policy modules read the global ort when evaluated, so load both on first use
+let policyController = null;
+async function getPolicyController() {
+  if (!policyController) {
+    globalThis.ort ??= await import(ORT_URL);
+    ({ policyController } = await import('../policy/PolicyController.js'));
+  }
+  return policyController;
+}
+
+/**
+ * Write files into the worker's virtual filesystem, creating directories as needed
+ * @param {{path: string, data: Uint8Array}[]} files - Paths relative to /working
+ */
+function writeFiles(files) {
+  for (const { path, data } of files) {
+    const parts = path.split('/');
+    let dir = '/working';
+    for (let p = 0; p < parts.length - 1; p++) {
+      dir += '/' + parts[p];
+      if (!mujoco.FS.analyzePath(dir).exists) {
+        mujoco.FS.mkdir(dir);
+      }
+    }
+    mujoco.FS.writeFile(`/working/${path}`, data);
+  }
+}
+
+const requests = {
+  async load({ files, scenePath, robot, params, sharedBuffer }) {
+    clearInterval(tickTimer);
+    if (simulation.policyEnabled) {
+      simulation.disablePolicy();
+    }
+    keyboardController.disable();
+    trajectory.player.stop();
+    trajectory.recorder.stop();
+    perturbation = null;
+
+    writeFiles(files);
+    simulation.loadFromXML(`/working/${scenePath}`);
+    mujoco.mj_forward(simulation.model, simulation.data);
+    Object.assign(simulation.params, params);
+
+    if (keyboardController.hasConfig(robot)) {
+      await keyboardController.enable(robot, simulation.model, simulation.data, mujoco, { listen: false });
+    }
+
+    layout = getFrameLayout(simulation.model);
+    shared = sharedBuffer ? getSharedFrameViews(sharedBuffer, layout) : null;
+    tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+    return { nbody: simulation.model.nbody };
+  },
+
+  async step({ nsteps }) {
+    await simulation.run(nsteps);
+  },
+
+  async stepPolicyTick() {
+    await simulation.stepPolicyTick();
+  },
+
+  async snapshots({ method, args }) {
+    if (!SNAPSHOT_METHODS.includes(method)) {
+      throw new Error(`Unknown snapshot method: ${method}`);
+    }
+    return await snapshots[method](...args);
+  },
+
+  async trajectory({ target, method, args }) {
+    if (!TRAJECTORY_METHODS[target]?.includes(method)) {
+      throw new Error(`Unknown trajectory method: ${target}.${method}`);
+    }
+    return trajectory[target][method](...args);
+  },
+
+  async tasks({ method, args }) {
+    if (!TASK_METHODS.includes(method)) {
+      throw new Error(`Unknown task method: ${method}`);
+    }
+    return tasks[method](...args);
+  },
+
+  async randomizer({ method, args }) {
+    if (!RANDOMIZER_METHODS.includes(method)) {
+      throw new Error(`Unknown randomizer method: ${method}`);
+    }
+    return randomizer[method](...args);
+  },
+
+  async loadPolicy({ url, baseUrl }) {
+    const controller = await getPolicyController();
+    controller.baseUrl = baseUrl;
+    await controller.loadPolicy(url, simulation.model, simulation.data, mujoco);
+    simulation.enablePolicy(controller);
+    return { motions: controller.getAvailableMotions() };
+  }
+};
+
+const notifications = {
+  params({ params }) { Object.assign(simulation.params, params); },
+  keys({ keyStates }) {
+    for (const key in keyStates) {
+      if (key in keyboardController.keyStates) {
+        keyboardController.keyStates[key] = keyStates[key];
+      }
+    }
+  },
+  ctrl({ index, value }) { simulation.data.ctrl[index] = value; },
+  qpos({ qpos }) { simulation.data.qpos.set(qpos); },
+  perturb(msg) { perturbation = msg.perturbation; },
+  reset() { simulation.reset(); },
+  disablePolicy() { simulation.disablePolicy(); },
+  resetPolicy() { simulation.resetPolicy(); },
+  requestMotion({ name }) { policyController?.requestMotion(name); }
+};
+
+self.onmessage = async (event) => {
+  const msg = event.data;
+  if (msg.type in notifications) {
+    if (simulation.data) {
+      notifications[msg.type](msg);
+    }
+    return;
+  }
+
+  if (!(msg.type in requests)) {
+    console.warn('Physics worker: unknown message', msg.type);
+    return;
+  }
+  try {
+    const result = await requests[msg.type](msg);
+    self.postMessage({ type: 'reply', id: msg.id, result });
+  } catch (err) {
+    console.error(`Physics worker: ${msg.type} failed:`, err);
+    self.postMessage({ type: 'reply', id: msg.id, error: err.message ?? String(err) });
+  }
+};
+
+self.postMessage({ type: 'ready' });
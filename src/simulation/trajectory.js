@@ -0,0 +1,305 @@
+/**
+ * Trajectory Recording and Playback
+ *
+ * File format (JSON lines, UTF-8, extension .jsonl):
+ *
+ *   Line 1, header:
+ *     {"format": "mujoco-gs-trajectory", "version": 1,
+ *      "robot": "so101", "environment": "tabletop", "scene": "<scene xml path>",
+ *      "timestep": 0.002, "nq": 15, "nv": 14, "nu": 6, "nmocap": 0,
+ *      "recordedAt": "<ISO 8601 date>"}
+ *
+ *   Every following line, one physics step (after mj_step):
+ *     {"t": 0.002, "qpos": [...nq], "qvel": [...nv], "ctrl": [...nu],
+ *      "mocap_pos": [...nmocap*3], "mocap_quat": [...nmocap*4]}
+ *
+ * Arrays are in MuJoCo order and units. The first frame is the state right
+ * after the first recorded step; "t" is data.time.
+ *
+ * The player either replays a log kinematically (qpos/mocap written directly,
+ * no physics) or re-simulates it: it restores the first frame, then drives
+ * ctrl and mocap from the log each step in place of the keyboard controller.
+ */
+
+export const TRAJECTORY_FORMAT = 'mujoco-gs-trajectory';
+export const TRAJECTORY_VERSION = 1;
+
+// Per-frame arrays, in file order
+const FRAME_FIELDS = ['qpos', 'qvel', 'ctrl', 'mocap_pos', 'mocap_quat'];
+
+/**
+ * Serialize a header and frames into the JSON-lines format
+ * @param {object} header - Header fields (format and version are filled in)
+ * @param {object[]} frames - Frames as {t, qpos, qvel, ctrl, mocap_pos, mocap_quat}
+ * @returns {string}
+ */
+export function serializeTrajectory(header, frames) {
+  const lines = [JSON.stringify({ format: TRAJECTORY_FORMAT, version: TRAJECTORY_VERSION, ...header })];
+  for (const frame of frames) {
+    const line = { t: frame.t };
+    for (const field of FRAME_FIELDS) {
+      line[field] = Array.from(frame[field]);
+    }
+    lines.push(JSON.stringify(line));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse a JSON-lines trajectory
+ * @param {string} text - File contents
+ * @returns {{header: object, frames: object[]}} - Frames with Float64Array fields
+ */
+export function parseTrajectory(text) {
+  const lines = text.split('\n').filter((line) => line.trim().length > 0);
+  if (lines.length === 0) {
+    throw new Error('Empty trajectory file');
+  }
+  const header = JSON.parse(lines[0]);
+  if (header.format !== TRAJECTORY_FORMAT) {
+    throw new Error(`Not a trajectory file (format: ${header.format})`);
+  }
+  if (header.version > TRAJECTORY_VERSION) {
+    throw new Error(`Unsupported trajectory version ${header.version}`);
+  }
+  const frames = [];
+  for (let i = 1; i < lines.length; i++) {
+    const line = JSON.parse(lines[i]);
+    const frame = { t: line.t };
+    for (const field of FRAME_FIELDS) {
+      frame[field] = Float64Array.from(line[field] ?? []);
+    }
+    frames.push(frame);
+  }
+  return { header, frames };
+}
+
+export class TrajectoryRecorder {
+  /**
+   * @param {import('./Simulation.js').Simulation} simulation - Simulation to record
+   */
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.recording = false;
+    this.header = null;
+    this.frames = [];
+    simulation.stepCallbacks.push(this.onStep.bind(this));
+  }
+
+  /**
+   * Start a new recording
+   * @param {object} meta - Identifiers stored in the header (robot, environment, scene)
+   */
+  start(meta = {}) {
+    const model = this.simulation.model;
+    this.header = {
+      robot: meta.robot ?? null,
+      environment: meta.environment ?? null,
+      scene: meta.scene ?? null,
+      timestep: model.opt.timestep,
+      nq: model.nq,
+      nv: model.nv,
+      nu: model.nu,
+      nmocap: model.nmocap,
+      recordedAt: new Date().toISOString()
+    };
+    this.frames = [];
+    this.recording = true;
+  }
+
+  /**
+   * Stop recording
+   * @returns {string} - The recording in the JSON-lines format
+   */
+  stop() {
+    this.recording = false;
+    return this.header ? serializeTrajectory(this.header, this.frames) : '';
+  }
+
+  /**
+   * @returns {number} - Frames recorded so far
+   */
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  /** Simulation step callback */
+  onStep(model, data) {
+    if (!this.recording) return;
+    const frame = { t: data.time };
+    for (const field of FRAME_FIELDS) {
+      frame[field] = data[field].slice();
+    }
+    this.frames.push(frame);
+  }
+}
+
+export class TrajectoryPlayer {
+  /**
+   * @param {import('./Simulation.js').Simulation} simulation - Simulation to drive
+   */
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.header = null;
+    this.frames = [];
+    this.mode = 'kinematic';
+    this.playing = false;
+    // Current playback time (simulated seconds)
+    this.time = 0;
+    // Controller displaced while re-simulating
+    this.savedController = null;
+  }
+
+  /**
+   * Load a trajectory for the current model
+   * @param {string} text - JSON-lines trajectory
+   * @returns {object} - The header
+   */
+  load(text) {
+    this.stop();
+    const { header, frames } = parseTrajectory(text);
+    const model = this.simulation.model;
+    if (header.nq !== model.nq || header.nv !== model.nv || header.nu !== model.nu) {
+      throw new Error(`Trajectory was recorded for ${header.robot ?? 'another robot'} in ` +
+        `${header.environment ?? 'another scene'} (nq=${header.nq}, nv=${header.nv}, nu=${header.nu}); ` +
+        `load that scene first`);
+    }
+    if (frames.length === 0) {
+      throw new Error('Trajectory has no frames');
+    }
+    this.header = header;
+    this.frames = frames;
+    this.time = frames[0].t;
+    return header;
+  }
+
+  /**
+   * @returns {{start: number, end: number}} - Simulated time span of the loaded trajectory
+   */
+  getRange() {
+    if (this.frames.length === 0) return { start: 0, end: 0 };
+    return { start: this.frames[0].t, end: this.frames[this.frames.length - 1].t };
+  }
+
+  /**
+   * Index of the last frame at or before time t
+   * @param {number} t - Simulated time
+   * @returns {number}
+   */
+  frameIndexAt(t) {
+    let lo = 0, hi = this.frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (this.frames[mid].t <= t) { lo = mid; } else { hi = mid - 1; }
+    }
+    return lo;
+  }
+
+  /**
+   * Start playback from the current position
+   * @param {'kinematic'|'resimulate'} mode - Replay mode
+   */
+  play(mode = this.mode) {
+    if (this.frames.length === 0) return;
+    this.stop();
+    this.mode = mode;
+    if (this.time >= this.getRange().end) {
+      this.time = this.getRange().start;
+    }
+
+    const sim = this.simulation;
+    if (mode === 'resimulate') {
+      // Start from the logged state, then let physics run on the logged controls
+      if (sim.isPolicyActive()) {
+        sim.disablePolicy();
+      }
+      this.applyFrame(this.frames[this.frameIndexAt(this.time)], true);
+      this.savedController = sim.controller;
+      sim.controller = this;
+    } else {
+      sim.kinematicSource = this;
+    }
+    this.playing = true;
+  }
+
+  /** Stop playback and hand control back */
+  stop() {
+    if (!this.playing) return;
+    const sim = this.simulation;
+    if (sim.kinematicSource === this) {
+      sim.kinematicSource = null;
+    }
+    if (sim.controller === this) {
+      sim.controller = this.savedController;
+    }
+    this.savedController = null;
+    this.playing = false;
+  }
+
+  /**
+   * Jump to a point in the trajectory
+   * @param {number} fraction - Position in [0, 1]
+   */
+  seek(fraction) {
+    if (this.frames.length === 0) return;
+    const { start, end } = this.getRange();
+    this.time = start + (end - start) * Math.min(1, Math.max(0, fraction));
+    this.applyFrame(this.frames[this.frameIndexAt(this.time)], true);
+    this.simulation.mujoco.mj_forward(this.simulation.model, this.simulation.data);
+    this.simulation.notify();
+  }
+
+  /**
+   * @returns {number} - Playback position in [0, 1]
+   */
+  getProgress() {
+    const { start, end } = this.getRange();
+    return end > start ? (this.time - start) / (end - start) : 0;
+  }
+
+  /**
+   * Write a frame into data
+   * @param {object} frame - Parsed frame
+   * @param {boolean} fullState - Also write time, qpos and qvel (not just the inputs)
+   */
+  applyFrame(frame, fullState) {
+    const data = this.simulation.data;
+    if (fullState) {
+      data.time = frame.t;
+      data.qpos.set(frame.qpos);
+      data.qvel.set(frame.qvel);
+    }
+    data.ctrl.set(frame.ctrl);
+    data.mocap_pos.set(frame.mocap_pos);
+    data.mocap_quat.set(frame.mocap_quat);
+  }
+
+  /**
+   * Kinematic replay (Simulation.kinematicSource): move the playback clock forward
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   * @param {number} seconds - Simulated seconds to advance
+   */
+  advance(model, data, seconds) {
+    this.time += seconds;
+    this.applyFrame(this.frames[this.frameIndexAt(this.time)], true);
+    if (this.time >= this.getRange().end) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Re-simulation (Simulation.controller): apply the logged inputs for the next step
+   */
+  step() {
+    const data = this.simulation.data;
+    // Frames hold the state after each step, so the inputs for the step from
+    // time t were logged in the first frame after t
+    const index = Math.min(this.frameIndexAt(data.time) + 1, this.frames.length - 1);
+    this.applyFrame(this.frames[index], false);
+    this.time = data.time;
+    if (index === this.frames.length - 1) {
+      this.stop();
+    }
+  }
+}
@@ -0,0 +1,271 @@
+/**
+ * Base Task Interface
+ *
+ * A task turns a scene into a scored episode. Subclasses declare:
+ * - reset(ctx): randomize the initial state (object poses etc.) after mj_resetData
+ * - update(ctx): track per-episode quantities before the predicates run
+ * - reward(ctx): dense reward for the current state
+ * - isSuccess(ctx) / isFailure(ctx): episode outcome predicates over body poses and contacts
+ *
+ * All methods receive a TaskContext, which wraps model/data with body lookups,
+ * free-joint pose helpers, contact queries and a (seedable) PRNG.
+ */
+
+import { getName } from '../simulation/modelNames.js';
+import { readContacts } from '../simulation/contacts.js';
+
+export class TaskContext {
+  /**
+   * @param {import('../simulation/Simulation.js').Simulation} simulation - Simulation the task runs in
+   */
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.modelCache = null;
+    this.bodyIds = new Map();
+    this.robotRoots = new Set();
+    // Seeded per episode in deterministic mode, so episodes differ but replay identically
+    this.rng = null;
+    // Per-step cache of body contacts: body id -> Set of touching body ids
+    this.contactTime = null;
+    this.contacts = null;
+  }
+
+  get model() { return this.simulation.model; }
+  get data() { return this.simulation.data; }
+  get mujoco() { return this.simulation.mujoco; }
+
+  /** Uniform random number in [0, 1), from the episode PRNG when set (see TaskRunner) */
+  random() {
+    return this.rng ? this.rng() : Math.random();
+  }
+
+  /**
+   * Uniform random number in [low, high)
+   * @param {number} low
+   * @param {number} high
+   * @returns {number}
+   */
+  uniform(low, high) {
+    return low + (high - low) * this.random();
+  }
+
+  /**
+   * @param {string} name - Body name
+   * @returns {number} - Body id, or -1 if the model has no such body
+   */
+  bodyId(name) {
+    this.refresh();
+    return this.bodyIds.get(name) ?? -1;
+  }
+
+  /**
+   * World position of a body
+   * @param {string} name - Body name
+   * @returns {number[]} - [x, y, z]
+   */
+  bodyPos(name) {
+    const id = this.requireBody(name);
+    return Array.from(this.data.xpos.subarray(id * 3, id * 3 + 3));
+  }
+
+  /**
+   * Initial (model) position of a body relative to its parent; world position for free bodies
+   * @param {string} name - Body name
+   * @returns {number[]} - [x, y, z]
+   */
+  bodyInitialPos(name) {
+    const id = this.requireBody(name);
+    return Array.from(this.model.body_pos.subarray(id * 3, id * 3 + 3));
+  }
+
+  /**
+   * Linear speed of a free body
+   * @param {string} name - Body name
+   * @returns {number}
+   */
+  bodySpeed(name) {
+    const adr = this.model.jnt_dofadr[this.freeJoint(name)];
+    const v = this.data.qvel;
+    return Math.hypot(v[adr], v[adr + 1], v[adr + 2]);
+  }
+
+  /**
+   * Place a free body
+   * @param {string} name - Body name
+   * @param {number[]} pos - World position
+   * @param {number[]} quat - World orientation (w, x, y, z); unchanged when omitted
+   */
+  setBodyPose(name, pos, quat = null) {
+    const joint = this.freeJoint(name);
+    const qadr = this.model.jnt_qposadr[joint];
+    const dadr = this.model.jnt_dofadr[joint];
+    this.data.qpos.set(pos, qadr);
+    if (quat) this.data.qpos.set(quat, qadr + 3);
+    this.data.qvel.fill(0, dadr, dadr + 6);
+  }
+
+  /**
+   * Place a free body at its model position with random x/y jitter and yaw
+   * @param {string} name - Body name
+   * @param {number} range - Jitter in meters (± on x and y)
+   * @returns {number[]} - The chosen position
+   */
+  randomizeBodyPose(name, range) {
+    const pos = this.bodyInitialPos(name);
+    pos[0] += this.uniform(-range, range);
+    pos[1] += this.uniform(-range, range);
+    const yaw = this.uniform(-Math.PI, Math.PI);
+    this.setBodyPose(name, pos, [Math.cos(yaw / 2), 0, 0, Math.sin(yaw / 2)]);
+    return pos;
+  }
+
+  /**
+   * Bodies touching a body this step
+   * @param {string} name - Body name
+   * @returns {Set<number>} - Body ids
+   */
+  touching(name) {
+    const id = this.requireBody(name);
+    if (this.contactTime !== this.data.time || this.contacts === null) {
+      this.contacts = new Map();
+      const geomBody = this.model.geom_bodyid;
+      for (const contact of readContacts(this.data)) {
+        if (contact.geom1 < 0 || contact.geom2 < 0) continue; // flex contacts
+        const b1 = geomBody[contact.geom1], b2 = geomBody[contact.geom2];
+        if (!this.contacts.has(b1)) this.contacts.set(b1, new Set());
+        if (!this.contacts.has(b2)) this.contacts.set(b2, new Set());
+        this.contacts.get(b1).add(b2);
+        this.contacts.get(b2).add(b1);
+      }
+      this.contactTime = this.data.time;
+    }
+    return this.contacts.get(id) ?? new Set();
+  }
+
+  /**
+   * @param {string} name - Body name
+   * @returns {boolean} - True if the body rests on the world or anything welded to it (table, floor)
+   */
+  touchesStatic(name) {
+    for (const other of this.touching(name)) {
+      if (this.model.body_weldid[other] === 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} name - Body name
+   * @returns {boolean} - True if any robot link (a body in an actuated tree) touches the body
+   */
+  touchesRobot(name) {
+    this.refresh();
+    for (const other of this.touching(name)) {
+      if (this.robotRoots.has(this.model.body_rootid[other])) return true;
+    }
+    return false;
+  }
+
+  requireBody(name) {
+    const id = this.bodyId(name);
+    if (id < 0) {
+      throw new Error(`No body named "${name}" in the current model`);
+    }
+    return id;
+  }
+
+  freeJoint(name) {
+    const id = this.requireBody(name);
+    const joint = this.model.body_jntadr[id];
+    if (joint < 0 || this.model.jnt_type[joint] !== this.mujoco.mjtJoint.mjJNT_FREE.value) {
+      throw new Error(`Body "${name}" has no free joint`);
+    }
+    return joint;
+  }
+
+  /** Rebuild lookups after a model change */
+  refresh() {
+    const model = this.model;
+    if (model === this.modelCache) return;
+    this.modelCache = model;
+    this.bodyIds.clear();
+    for (let b = 0; b < model.nbody; b++) {
+      this.bodyIds.set(getName(model, model.name_bodyadr[b]), b);
+    }
+    this.robotRoots.clear();
+    const jointTransmission = this.mujoco.mjtTrn.mjTRN_JOINT.value;
+    for (let i = 0; i < model.nu; i++) {
+      if (model.actuator_trntype[i] === jointTransmission) {
+        const body = model.jnt_bodyid[model.actuator_trnid[2 * i]];
+        this.robotRoots.add(model.body_rootid[body]);
+      }
+    }
+    this.contacts = null;
+  }
+}
+
+export class BaseTask {
+  /**
+   * @param {object} options
+   * @param {string} options.label - Name shown in the GUI
+   * @param {number} options.timeLimit - Simulated seconds before the episode fails
+   */
+  constructor({ label, timeLimit = 30 } = {}) {
+    this.label = label;
+    this.timeLimit = timeLimit;
+  }
+
+  /**
+   * Bodies the task needs; the task is unavailable if the scene lacks any of them
+   * @returns {string[]}
+   */
+  getRequiredBodies() {
+    return [];
+  }
+
+  /**
+   * Randomize the initial state. Called after mj_resetData, followed by mj_forward.
+   * @param {TaskContext} ctx
+   */
+  reset(ctx) {
+  }
+
+  /**
+   * Track per-episode quantities (e.g. resting height). Called once per check, before the predicates.
+   * @param {TaskContext} ctx
+   */
+  update(ctx) {
+  }
+
+  /**
+   * @param {TaskContext} ctx
+   * @returns {number}
+   */
+  reward(ctx) {
+    return 0;
+  }
+
+  /**
+   * @param {TaskContext} ctx
+   * @returns {boolean}
+   */
+  isSuccess(ctx) {
+    throw new Error('isSuccess() must be implemented by subclass');
+  }
+
+  /**
+   * Early failure (e.g. object knocked off the table). The time limit is handled by the runner.
+   * @param {TaskContext} ctx
+   * @returns {boolean}
+   */
+  isFailure(ctx) {
+    return false;
+  }
+
+  /**
+   * Markers to draw for the current episode (e.g. a target region)
+   * @returns {{pos: number[], radius: number}[]} - MuJoCo world coordinates
+   */
+  getMarkers() {
+    return [];
+  }
+}
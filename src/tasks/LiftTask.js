@@ -0,0 +1,60 @@
+/**
+ * Lift Task
+ *
+ * Pick an object up off the table: succeeds once it is held by the robot at
+ * least `height` above where it came to rest, with no support from the table.
+ */
+
+import { BaseTask } from './BaseTask.js';
+
+export class LiftTask extends BaseTask {
+  /**
+   * @param {object} options
+   * @param {string} options.object - Free body to lift
+   * @param {number} options.height - Required lift in meters
+   * @param {number} options.spawnRange - Initial x/y jitter in meters (± around the model position)
+   */
+  constructor({ object, height = 0.10, spawnRange = 0.03, ...options }) {
+    super({ label: `Lift ${object} ${Math.round(height * 100)} cm`, ...options });
+    this.object = object;
+    this.height = height;
+    this.spawnRange = spawnRange;
+    // Height where the object first touched the table this episode, null until then
+    this.restHeight = null;
+    this.spawnHeight = 0;
+  }
+
+  getRequiredBodies() {
+    return [this.object];
+  }
+
+  reset(ctx) {
+    this.spawnHeight = ctx.randomizeBodyPose(this.object, this.spawnRange)[2];
+    this.restHeight = null;
+  }
+
+  update(ctx) {
+    // Fixed once, so lifting and falling are both measured from the table
+    if (this.restHeight === null && ctx.touchesStatic(this.object)) {
+      this.restHeight = ctx.bodyPos(this.object)[2];
+    }
+  }
+
+  getLift(ctx) {
+    return ctx.bodyPos(this.object)[2] - (this.restHeight ?? this.spawnHeight);
+  }
+
+  reward(ctx) {
+    return Math.min(1, Math.max(0, this.getLift(ctx) / this.height));
+  }
+
+  isSuccess(ctx) {
+    return this.getLift(ctx) >= this.height &&
+      ctx.touchesRobot(this.object) && !ctx.touchesStatic(this.object);
+  }
+
+  isFailure(ctx) {
+    // Knocked off the table
+    return this.getLift(ctx) < -0.2;
+  }
+}
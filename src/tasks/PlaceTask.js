@@ -0,0 +1,74 @@
+/**
+ * Place Task
+ *
+ * Move an object into a circular region on the table and let go: succeeds once
+ * the object rests inside the region, supported by the table and not touching
+ * the robot.
+ */
+
+import { BaseTask } from './BaseTask.js';
+
+export class PlaceTask extends BaseTask {
+  /**
+   * @param {object} options
+   * @param {string} options.object - Free body to move
+   * @param {number[]} options.offset - Region center relative to the object's spawn position [dx, dy]
+   * @param {number} options.radius - Region radius in meters
+   * @param {number} options.spawnRange - Initial x/y jitter in meters (± around the model position)
+   */
+  constructor({ object, offset = [0.12, 0], radius = 0.04, spawnRange = 0.03, ...options }) {
+    super({ label: `Place ${object} in region`, ...options });
+    this.object = object;
+    this.offset = offset;
+    this.radius = radius;
+    this.spawnRange = spawnRange;
+    // Region center for this episode, [x, y]
+    this.target = null;
+    // Height where the object first touched the table this episode, null until then
+    this.restHeight = null;
+    this.spawnHeight = 0;
+  }
+
+  getRequiredBodies() {
+    return [this.object];
+  }
+
+  reset(ctx) {
+    const pos = ctx.randomizeBodyPose(this.object, this.spawnRange);
+    this.target = [pos[0] + this.offset[0], pos[1] + this.offset[1]];
+    this.spawnHeight = pos[2];
+    this.restHeight = null;
+  }
+
+  update(ctx) {
+    // Fixed once, so a fall is measured from the table
+    if (this.restHeight === null && ctx.touchesStatic(this.object)) {
+      this.restHeight = ctx.bodyPos(this.object)[2];
+    }
+  }
+
+  getDistance(ctx) {
+    const pos = ctx.bodyPos(this.object);
+    return Math.hypot(pos[0] - this.target[0], pos[1] - this.target[1]);
+  }
+
+  reward(ctx) {
+    return -this.getDistance(ctx);
+  }
+
+  isSuccess(ctx) {
+    return this.getDistance(ctx) <= this.radius &&
+      ctx.bodySpeed(this.object) < 0.05 &&
+      ctx.touchesStatic(this.object) && !ctx.touchesRobot(this.object);
+  }
+
+  isFailure(ctx) {
+    // Knocked off the table
+    return ctx.bodyPos(this.object)[2] < (this.restHeight ?? this.spawnHeight) - 0.2;
+  }
+
+  getMarkers() {
+    if (!this.target || this.restHeight === null) return [];
+    return [{ pos: [this.target[0], this.target[1], this.restHeight], radius: this.radius }];
+  }
+}
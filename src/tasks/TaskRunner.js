@@ -0,0 +1,173 @@
+/**
+ * Task Runner
+ *
+ * Runs the active task against a Simulation: starts randomized episodes, checks
+ * the success/failure predicates from a Simulation subscriber, keeps a score and
+ * (optionally) starts the next episode a moment after each outcome. Everything is
+ * measured in simulated time, so scores don't depend on frame rate.
+ */
+
+import { TaskContext } from './BaseTask.js';
+import { TASK_CONFIGS } from './taskConfigs.js';
+import { mulberry32 } from '../utils/math/random.js';
+
+export class TaskRunner {
+  /**
+   * @param {import('../simulation/Simulation.js').Simulation} simulation - Simulation to run tasks in
+   */
+  constructor(simulation) {
+    this.simulation = simulation;
+    this.ctx = new TaskContext(simulation);
+
+    this.taskId = null;
+    this.task = null;
+    // Model the task was set up for; a scene reload ends it
+    this.model = null;
+
+    this.autoReset = true;
+    // Simulated seconds an outcome stays on screen before the next episode
+    this.resetDelay = 1.0;
+
+    // 'idle' | 'running' | 'success' | 'failure'
+    this.state = 'idle';
+    this.startTime = 0;
+    this.endTime = 0;
+    this.lastTime = 0;
+    this.reward = 0;
+    // Episodes started since setTask(); seeds the randomizer in deterministic mode
+    this.episode = 0;
+    this.stats = { attempts: 0, successes: 0, successTime: 0 };
+
+    simulation.subscribe(this.check.bind(this));
+  }
+
+  /**
+   * Activate a task (or none) and start its first episode
+   * @param {string|null} taskId - Key of TASK_CONFIGS, or null to stop
+   * @param {string} robot - Current robot name
+   * @returns {string|null} - The task label
+   */
+  setTask(taskId, robot) {
+    this.task = null;
+    this.taskId = null;
+    this.state = 'idle';
+    this.resetStats();
+    if (!taskId) return null;
+
+    const config = TASK_CONFIGS[taskId];
+    if (!config) {
+      throw new Error(`Unknown task: ${taskId}`);
+    }
+    const task = config.create(robot);
+    if (!task) {
+      throw new Error(`"${config.label}" is not available for ${robot}`);
+    }
+    for (const name of task.getRequiredBodies()) {
+      if (this.ctx.bodyId(name) < 0) {
+        throw new Error(`"${config.label}" needs a body named "${name}", which this scene lacks`);
+      }
+    }
+    this.task = task;
+    this.taskId = taskId;
+    this.episode = 0;
+    this.startEpisode();
+    return task.label;
+  }
+
+  /** Reset the simulation and the robot, randomize the task's initial state and start timing */
+  startEpisode() {
+    if (!this.task) return;
+    const sim = this.simulation;
+    sim.reset();
+    sim.controller?.reset?.();
+    this.ctx.rng = sim.params.deterministic ? mulberry32(sim.params.seed + this.episode) : null;
+    this.episode++;
+    this.task.reset(this.ctx);
+    sim.mujoco.mj_forward(sim.model, sim.data);
+    this.ctx.contacts = null;
+
+    this.model = sim.model;
+    this.state = 'running';
+    this.startTime = sim.data.time;
+    this.lastTime = sim.data.time;
+    this.reward = 0;
+  }
+
+  resetStats() {
+    this.stats = { attempts: 0, successes: 0, successTime: 0 };
+  }
+
+  /**
+   * @param {object} options - {autoReset, resetDelay}
+   */
+  configure(options) {
+    if (options.autoReset !== undefined) this.autoReset = options.autoReset;
+    if (options.resetDelay !== undefined) this.resetDelay = options.resetDelay;
+  }
+
+  /**
+   * @returns {object} - Plain (cloneable) status for the GUI
+   */
+  getStatus() {
+    const { attempts, successes, successTime } = this.stats;
+    const data = this.simulation.data;
+    return {
+      taskId: this.taskId,
+      label: this.task?.label ?? null,
+      state: this.state,
+      elapsed: this.state === 'running' && data ? data.time - this.startTime : this.endTime - this.startTime,
+      reward: this.reward,
+      attempts,
+      successes,
+      meanSuccessTime: successes > 0 ? successTime / successes : null,
+      markers: this.task ? this.task.getMarkers() : []
+    };
+  }
+
+  /** Simulation subscriber: evaluate the task and handle episode outcomes */
+  check(model, data) {
+    if (!this.task) return;
+    if (model !== this.model) {
+      // Scene reloaded; its bodies may not exist anymore
+      this.task = null;
+      this.taskId = null;
+      this.state = 'idle';
+      return;
+    }
+
+    if (data.time < this.lastTime) {
+      if (data.time === 0) {
+        // Reset from elsewhere (GUI, keyboard): start a fresh randomized episode
+        this.startEpisode();
+        return;
+      }
+      // Rewound: the outcome is undone, keep going
+      this.state = 'running';
+      this.startTime = Math.min(this.startTime, data.time);
+    }
+    this.lastTime = data.time;
+
+    if (this.state === 'running') {
+      if (data.time === this.startTime) return;
+      const ctx = this.ctx;
+      this.task.update(ctx);
+      this.reward = this.task.reward(ctx);
+      const elapsed = data.time - this.startTime;
+      if (this.task.isSuccess(ctx)) {
+        this.finish('success');
+        this.stats.successTime += elapsed;
+      } else if (this.task.isFailure(ctx) || elapsed >= this.task.timeLimit) {
+        this.finish('failure');
+      }
+    } else if (this.state !== 'idle' && this.autoReset && data.time - this.endTime >= this.resetDelay) {
+      this.startEpisode();
+    }
+  }
+
+  finish(state) {
+    this.state = state;
+    this.endTime = this.simulation.data.time;
+    this.stats.attempts++;
+    if (state === 'success') this.stats.successes++;
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Tasks Index
+ *
+ * Export task classes, the example task configurations and the runner.
+ */
+
+export { BaseTask, TaskContext } from './BaseTask.js';
+export { LiftTask } from './LiftTask.js';
+export { PlaceTask } from './PlaceTask.js';
+export { TASK_CONFIGS } from './taskConfigs.js';
+export { TaskRunner } from './TaskRunner.js';
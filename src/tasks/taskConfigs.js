@@ -0,0 +1,28 @@
+/**
+ * Task Configurations
+ *
+ * Example tasks for the objects each robot's objects.xml provides. create()
+ * returns null when the robot's scene has no suitable object.
+ */
+
+import { LiftTask } from './LiftTask.js';
+import { PlaceTask } from './PlaceTask.js';
+
+// Cube body in each robot's objects.xml
+const CUBES = {
+  'xlerobot': 'box2',
+  'SO101': 'box2',
+  'panda': 'box'
+};
+
+// Task configurations (keyed by task id)
+export const TASK_CONFIGS = {
+  'lift-cube': {
+    label: 'Lift the cube 10 cm',
+    create: (robot) => CUBES[robot] ? new LiftTask({ label: 'Lift the cube 10 cm', object: CUBES[robot], height: 0.10 }) : null
+  },
+  'place-cube': {
+    label: 'Place the cube in the region',
+    create: (robot) => CUBES[robot] ? new PlaceTask({ label: 'Place the cube in the region', object: CUBES[robot] }) : null
+  }
+};
@@ -0,0 +1,184 @@
+/**
+ * Camera Controller
+ *
+ * Switches the viewer between the free orbit camera, the cameras defined in the
+ * MJCF (model.ncam) and a tracking camera that keeps OrbitControls centered on
+ * a body while it moves. The free camera's initial view follows MuJoCo's
+ * mjv_defaultFreeCamera: it looks at statistic/center from 1.5 * extent away,
+ * at visual/global azimuth and elevation, with visual/global fovy.
+ */
+
+import * as THREE from 'three';
+import { getName } from '../simulation/modelNames.js';
+
+export class CameraController {
+  /**
+   * @param {THREE.PerspectiveCamera} camera - Viewer camera
+   * @param {OrbitControls} controls - Orbit controls driving the free camera
+   */
+  constructor(camera, controls) {
+    this.camera = camera;
+    this.controls = controls;
+    this.model = null;
+    // 'free', 'track' or 'camera:<id>'
+    this.mode = 'free';
+    // Body followed in 'track' mode
+    this.trackBody = 1;
+    // Free camera pose saved while an MJCF camera is active
+    this.freePose = null;
+    // Last position of the tracked body (three.js frame); null to recenter on it
+    this.lastTrackPos = null;
+
+    this.tmpPos = new THREE.Vector3();
+    this.tmpDelta = new THREE.Vector3();
+    this.tmpMatrix = new THREE.Matrix4();
+    this.axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  }
+
+  /**
+   * Adopt a (new) model: reset the free view from its statistic / visual settings and
+   * fall back to the free camera if the selected camera or body no longer exists
+   * @param {object} model - MuJoCo model
+   */
+  setModel(model) {
+    this.model = model;
+    if (this.mode.startsWith('camera:') && this.getCameraID() >= model.ncam) {
+      this.setMode('free');
+    }
+    if (this.trackBody >= model.nbody) {
+      this.trackBody = Math.min(1, model.nbody - 1);
+    }
+    this.resetView();
+  }
+
+  /**
+   * Selectable views of the current model
+   * @returns {Object<string, string>} - Label -> mode, for a GUI dropdown
+   */
+  getViews() {
+    const views = { 'Free': 'free', 'Track Body': 'track' };
+    for (let c = 0; c < (this.model?.ncam ?? 0); c++) {
+      const name = getName(this.model, this.model.name_camadr[c]) || `camera ${c}`;
+      views[`Camera: ${name}`] = `camera:${c}`;
+    }
+    return views;
+  }
+
+  /**
+   * Bodies that can be tracked, excluding the world body
+   * @returns {Object<string, number>} - Label -> body id, for a GUI dropdown
+   */
+  getBodies() {
+    const bodies = {};
+    for (let b = 1; b < (this.model?.nbody ?? 0); b++) {
+      bodies[getName(this.model, this.model.name_bodyadr[b]) || `body ${b}`] = b;
+    }
+    return bodies;
+  }
+
+  /**
+   * @returns {boolean} - Whether the view reads cam_xpos / cam_xmat, which the physics worker does not stream
+   */
+  isActive() {
+    return this.mode.startsWith('camera:');
+  }
+
+  getCameraID() {
+    return parseInt(this.mode.slice('camera:'.length), 10);
+  }
+
+  /**
+   * @param {string} mode - 'free', 'track' or 'camera:<id>'
+   */
+  setMode(mode) {
+    const wasFixed = this.isActive();
+    if (mode.startsWith('camera:') && !wasFixed) {
+      this.freePose = {
+        position: this.camera.position.clone(), target: this.controls.target.clone(), fov: this.camera.fov
+      };
+    }
+    this.mode = mode;
+    this.controls.enabled = !this.isActive();
+    if (!this.isActive() && wasFixed && this.freePose) {
+      this.camera.position.copy(this.freePose.position);
+      this.controls.target.copy(this.freePose.target);
+      this.setFov(this.freePose.fov);
+      this.controls.update();
+    }
+    this.lastTrackPos = null;
+  }
+
+  /**
+   * @param {number} body - Body id to follow in 'track' mode
+   */
+  setTrackBody(body) {
+    this.trackBody = body;
+    this.lastTrackPos = null;
+  }
+
+  /**
+   * Move the free camera to the model's default view (Ctrl+A)
+   */
+  resetView() {
+    const model = this.model;
+    if (!model) return;
+    if (this.isActive()) {
+      this.setMode('free');
+    }
+    const global = model.vis.global;
+    const azimuth = THREE.MathUtils.degToRad(global.azimuth);
+    const elevation = THREE.MathUtils.degToRad(global.elevation);
+    const distance = 1.5 * model.stat.extent;
+    const center = model.stat.center;
+    // Viewing direction in MuJoCo coordinates, as in mjv_cameraInModel
+    const forward = [
+      Math.cos(elevation) * Math.cos(azimuth), Math.cos(elevation) * Math.sin(azimuth), Math.sin(elevation)
+    ];
+    this.controls.target.set(center[0], center[2], -center[1]);
+    this.camera.position.set(
+      center[0] - distance * forward[0], center[2] - distance * forward[2], -(center[1] - distance * forward[1]));
+    this.setFov(global.fovy);
+    this.controls.update();
+    this.lastTrackPos = null;
+  }
+
+  /**
+   * @param {number} fov - Vertical field of view in degrees
+   */
+  setFov(fov) {
+    if (this.camera.fov !== fov) {
+      this.camera.fov = fov;
+      this.camera.updateProjectionMatrix();
+    }
+  }
+
+  /**
+   * Apply the selected view. Call once per frame after the body transforms are updated.
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data (cam_xpos / cam_xmat current for MJCF cameras)
+   */
+  update(model, data) {
+    if (this.mode === 'track') {
+      const b = this.trackBody;
+      this.tmpPos.set(data.xpos[b * 3], data.xpos[b * 3 + 2], -data.xpos[b * 3 + 1]);
+      // Carry the camera along with the body, keeping the user's orbit offset; the
+      // first frame moves the target onto the body
+      const from = this.lastTrackPos ?? this.controls.target;
+      this.tmpDelta.subVectors(this.tmpPos, from);
+      this.camera.position.add(this.tmpDelta);
+      this.controls.target.add(this.tmpDelta);
+      this.lastTrackPos = (this.lastTrackPos ?? new THREE.Vector3()).copy(this.tmpPos);
+    } else if (this.isActive()) {
+      const c = this.getCameraID();
+      if (c >= model.ncam) return;
+      // MJCF cameras look along -z with +y up, as three.js cameras do
+      const m = c * 9;
+      for (let k = 0; k < 3; k++) {
+        this.axes[k].set(data.cam_xmat[m + k], data.cam_xmat[m + 6 + k], -data.cam_xmat[m + 3 + k]);
+      }
+      this.camera.quaternion.setFromRotationMatrix(this.tmpMatrix.makeBasis(...this.axes));
+      this.camera.position.set(data.cam_xpos[c * 3], data.cam_xpos[c * 3 + 2], -data.cam_xpos[c * 3 + 1]);
+      this.setFov(model.cam_fovy[c]);
+    }
+  }
+}
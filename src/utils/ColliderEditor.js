@@ -0,0 +1,365 @@
+/**
+ * Collider Editor
+ *
+ * Authors static collision geometry over a 3DGS scene. Box, cylinder and
+ * plane colliders are translucent preview meshes that TransformControls gizmos
+ * or numeric fields move, rotate and resize. Each collider also carries a
+ * sliding friction and a geom group. toXML() writes them as a collision.xml
+ * for SceneManager.setCustomCollision(): one world body per collider, laid out
+ * like the tabletop environment's collision boxes.
+ *
+ * Poses and sizes are in the MuJoCo frame and follow MJCF: box sizes are half
+ * extents, a cylinder is (radius, half height) along its z axis, and a plane
+ * is (half x, half y) with its normal along +z.
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { getName } from '../simulation/modelNames.js';
+
+// MuJoCo geom types the editor handles
+const GEOM_TYPES = { plane: 0, cylinder: 5, box: 6 };
+
+// Unit geometries in the three.js frame; the mesh scale holds the MJCF size
+const geometries = {
+  box: new THREE.BoxGeometry(2, 2, 2),
+  cylinder: new THREE.CylinderGeometry(1, 1, 2, 32),
+  plane: new THREE.PlaneGeometry(2, 2).rotateX(-Math.PI / 2)
+};
+
+const previewMaterial = new THREE.MeshBasicMaterial({
+  color: 0x22c5ee, transparent: true, opacity: 0.25, depthWrite: false, side: THREE.DoubleSide });
+const selectedMaterial = new THREE.MeshBasicMaterial({
+  color: 0xffaa00, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide });
+
+// Body names go into an XML attribute
+function toXMLName(name) {
+  return name.replace(/[^\w.-]/g, '_');
+}
+
+/**
+ * @typedef {object} Collider
+ * @property {string} name - Body name in the exported XML
+ * @property {'box'|'cylinder'|'plane'} type
+ * @property {number} friction - Sliding friction
+ * @property {number} group - Geom group, 0-5
+ * @property {THREE.Mesh} mesh - Preview; its position, quaternion and scale hold the pose and size
+ */
+
+export class ColliderEditor {
+  /**
+   * @param {THREE.Camera} camera - Viewer camera
+   * @param {HTMLElement} domElement - Canvas receiving the gizmo's pointer events
+   * @param {THREE.Scene} scene - Scene the previews and gizmo are added to
+   * @param {OrbitControls} controls - Orbit controls, paused while a gizmo is dragged
+   */
+  constructor(camera, domElement, scene, controls) {
+    this.scene = scene;
+    this.controls = controls;
+    /** @type {Collider[]} */
+    this.colliders = [];
+    this.selected = null;
+    // Names the scene already uses outside collision.xml, which colliders must not reuse
+    this.reservedNames = new Set();
+    this.group = new THREE.Group();
+    this.group.name = 'Collider Editor';
+    this.group.visible = false;
+    scene.add(this.group);
+
+    // Fields of the selected collider (MuJoCo frame: meters and degrees about the world x, y, z axes)
+    this.name = '';
+    this.x = 0; this.y = 0; this.z = 0;
+    this.roll = 0; this.pitch = 0; this.yaw = 0;
+    this.sizeX = 0; this.sizeY = 0; this.sizeZ = 0;
+    this.friction = 1.0;
+    this.colliderGroup = 3;
+    // 'off', 'translate', 'rotate' or 'scale'
+    this.gizmo = 'translate';
+
+    this.transformControls = new TransformControls(camera, domElement);
+    this.transformControls.addEventListener('dragging-changed', (event) => {
+      this.controls.enabled = !event.value;
+      if (!event.value) this.onChange?.();
+    });
+    this.transformControls.addEventListener('objectChange', () => this.readFromMesh());
+
+    // Called after a collider is added, removed or edited (gizmo drag end or field change)
+    this.onChange = null;
+
+    this.tmpEuler = new THREE.Euler();
+    this.tmpQuat = new THREE.Quaternion();
+  }
+
+  /**
+   * @returns {boolean} - Whether the gizmo is hovered or dragged, so other pointer tools should stand back
+   */
+  isPointerCaptured() {
+    return this.group.visible && this.gizmo !== 'off' && this.transformControls.axis !== null;
+  }
+
+  /**
+   * Show or hide the previews and the gizmo
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.group.visible = visible;
+    this.updateGizmo();
+  }
+
+  /**
+   * @param {'off'|'translate'|'rotate'|'scale'} mode
+   */
+  setGizmo(mode) {
+    this.gizmo = mode;
+    this.updateGizmo();
+  }
+
+  updateGizmo() {
+    const transformControls = this.transformControls;
+    if (this.group.visible && this.gizmo !== 'off' && this.selected) {
+      transformControls.setMode(this.gizmo);
+      transformControls.setSpace(this.gizmo === 'scale' ? 'local' : 'world');
+      transformControls.attach(this.selected.mesh);
+      this.scene.add(transformControls.getHelper());
+    } else {
+      transformControls.detach();
+      this.scene.remove(transformControls.getHelper());
+    }
+  }
+
+  /**
+   * The gizmo's scene object, e.g. to hide it from offscreen renders
+   * @returns {THREE.Object3D}
+   */
+  getHelper() {
+    return this.transformControls.getHelper();
+  }
+
+  /**
+   * Add a collider and select it
+   * @param {'box'|'cylinder'|'plane'} type
+   * @param {object} options
+   * @param {string} options.name - Defaults to '<type>_<n>'
+   * @param {number[]} options.pos - MuJoCo position, defaults to in front of the origin
+   * @param {number[]} options.quat - MuJoCo quaternion (w, x, y, z)
+   * @param {number[]} options.size - MJCF size
+   * @param {number} options.friction
+   * @param {number} options.group
+   * @returns {Collider}
+   */
+  add(type, { name, pos = [0, 0, 0.25], quat = [1, 0, 0, 0], size, friction = 1.0, group = 3 } = {}) {
+    const mesh = new THREE.Mesh(geometries[type], previewMaterial);
+    mesh.position.set(pos[0], pos[2], -pos[1]);
+    mesh.quaternion.set(quat[1], quat[3], -quat[2], quat[0]);
+    const collider = { name: name ? this.claimName(toXMLName(name)) : this.uniqueName(type), type, friction, group, mesh };
+    this.setSize(collider, size ?? { box: [0.25, 0.25, 0.25], cylinder: [0.2, 0.25], plane: [0.5, 0.5] }[type]);
+    this.group.add(mesh);
+    this.colliders.push(collider);
+    this.select(collider);
+    return collider;
+  }
+
+  uniqueName(type) {
+    let n = 1;
+    while (this.isNameTaken(`${type}_${n}`)) n++;
+    return `${type}_${n}`;
+  }
+
+  /**
+   * @param {string} name
+   * @param {Collider|null} except - Collider whose own name doesn't count
+   * @returns {boolean}
+   */
+  isNameTaken(name, except = null) {
+    return this.reservedNames.has(name) || this.colliders.some((collider) => collider !== except && collider.name === name);
+  }
+
+  /**
+   * @param {string} name - Wanted name
+   * @param {Collider|null} except - Collider being renamed
+   * @returns {string} - The name, or '<name>_<n>' if it is taken
+   */
+  claimName(name, except = null) {
+    if (!this.isNameTaken(name, except)) return name;
+    let n = 2;
+    while (this.isNameTaken(`${name}_${n}`, except)) n++;
+    return `${name}_${n}`;
+  }
+
+  /**
+   * Reserve the scene's own names, renaming colliders that use one
+   * @param {Set<string>} names - Body and geom names defined outside collision.xml
+   */
+  setReservedNames(names) {
+    this.reservedNames = names;
+    for (const collider of this.colliders) collider.name = this.claimName(collider.name, collider);
+    if (this.selected) this.name = this.selected.name;
+  }
+
+  /**
+   * @param {Collider|null} collider
+   */
+  select(collider) {
+    if (this.selected) this.selected.mesh.material = previewMaterial;
+    this.selected = collider;
+    if (collider) {
+      collider.mesh.material = selectedMaterial;
+      this.readFromMesh();
+    }
+    this.updateGizmo();
+  }
+
+  /**
+   * Remove the selected collider
+   */
+  removeSelected() {
+    const collider = this.selected;
+    if (!collider) return;
+    this.select(null);
+    this.group.remove(collider.mesh);
+    this.colliders.splice(this.colliders.indexOf(collider), 1);
+    this.select(this.colliders[this.colliders.length - 1] ?? null);
+  }
+
+  clear() {
+    this.select(null);
+    for (const collider of this.colliders) this.group.remove(collider.mesh);
+    this.colliders = [];
+  }
+
+  /**
+   * @param {Collider} collider
+   * @returns {number[]} - MJCF size
+   */
+  getSize(collider) {
+    const s = collider.mesh.scale;
+    if (collider.type === 'box') return [s.x, s.z, s.y];
+    if (collider.type === 'cylinder') return [s.x, s.y];
+    return [s.x, s.z];
+  }
+
+  /**
+   * @param {Collider} collider
+   * @param {number[]} size - MJCF size
+   */
+  setSize(collider, size) {
+    const s = size.map((value) => Math.max(value, 0.001));
+    if (collider.type === 'box') collider.mesh.scale.set(s[0], s[2], s[1]);
+    else if (collider.type === 'cylinder') collider.mesh.scale.set(s[0], s[1], s[0]);
+    else collider.mesh.scale.set(s[0], 1, s[1]);
+  }
+
+  /**
+   * Read the fields from the selected collider's mesh, e.g. after a gizmo drag
+   */
+  readFromMesh() {
+    const collider = this.selected;
+    if (!collider) return;
+    const mesh = collider.mesh;
+    // A cylinder's radius follows whichever horizontal axis the gizmo scaled
+    if (collider.type === 'cylinder' && mesh.scale.x !== mesh.scale.z) {
+      const radius = Math.abs(mesh.scale.x - this.sizeX) > Math.abs(mesh.scale.z - this.sizeX) ? mesh.scale.x : mesh.scale.z;
+      mesh.scale.x = mesh.scale.z = radius;
+    }
+    if (collider.type === 'plane') mesh.scale.y = 1;
+
+    this.name = collider.name;
+    this.x = mesh.position.x; this.y = -mesh.position.z; this.z = mesh.position.y;
+    const q = mesh.quaternion;
+    this.tmpEuler.setFromQuaternion(this.tmpQuat.set(q.x, -q.z, q.y, q.w), 'ZYX');
+    this.roll = THREE.MathUtils.radToDeg(this.tmpEuler.x);
+    this.pitch = THREE.MathUtils.radToDeg(this.tmpEuler.y);
+    this.yaw = THREE.MathUtils.radToDeg(this.tmpEuler.z);
+    [this.sizeX, this.sizeY, this.sizeZ = 0] = this.getSize(collider);
+    this.friction = collider.friction;
+    this.colliderGroup = collider.group;
+  }
+
+  /**
+   * Write the fields to the selected collider
+   */
+  apply() {
+    const collider = this.selected;
+    if (!collider) return;
+    const name = toXMLName(this.name.trim());
+    if (name) collider.name = this.claimName(name, collider);
+    collider.friction = this.friction;
+    collider.group = this.colliderGroup;
+    const mesh = collider.mesh;
+    mesh.position.set(this.x, this.z, -this.y);
+    this.tmpEuler.set(
+      THREE.MathUtils.degToRad(this.roll), THREE.MathUtils.degToRad(this.pitch), THREE.MathUtils.degToRad(this.yaw), 'ZYX');
+    const q = this.tmpQuat.setFromEuler(this.tmpEuler);
+    // MuJoCo (x, y, z) -> three.js (x, z, -y), as in getQuaternion
+    mesh.quaternion.set(q.x, q.z, -q.y, q.w);
+    this.setSize(collider, [this.sizeX, this.sizeY, this.sizeZ]);
+    this.readFromMesh();
+  }
+
+  /**
+   * Replace the colliders with the static box, cylinder and finite plane geoms of a model that
+   * take part in collisions, e.g. those of an uploaded collision.xml
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data (geom_xpos / geom_xmat current)
+   * @param {Set<string>} robotNames - Body and geom names of the robot and objects includes, whose
+   *   static geoms (e.g. a welded pedestal) belong to the robot rather than the environment
+   * @returns {number} - Colliders loaded
+   */
+  loadFromModel(model, data, robotNames = new Set()) {
+    this.clear();
+    const types = Object.fromEntries(Object.entries(GEOM_TYPES).map(([type, value]) => [value, type]));
+    const mat = new THREE.Matrix4();
+    const quat = new THREE.Quaternion();
+    for (let g = 0; g < model.ngeom; g++) {
+      const type = types[model.geom_type[g]];
+      const b = model.geom_bodyid[g];
+      if (!type || model.body_weldid[b] !== 0 || !(model.geom_contype[g] || model.geom_conaffinity[g])) continue;
+      // Infinite planes (size 0) are the environment's floor
+      if (type === 'plane' && (model.geom_size[g * 3] === 0 || model.geom_size[g * 3 + 1] === 0)) continue;
+      const geomName = getName(model, model.name_geomadr[g]);
+      const bodyName = b > 0 ? getName(model, model.name_bodyadr[b]) : '';
+      if (robotNames.has(geomName) || robotNames.has(bodyName)) continue;
+      const m = data.geom_xmat.subarray(g * 9, g * 9 + 9);
+      mat.set(m[0], m[1], m[2], 0, m[3], m[4], m[5], 0, m[6], m[7], m[8], 0, 0, 0, 0, 1);
+      quat.setFromRotationMatrix(mat);
+      this.add(type, {
+        name: geomName || bodyName || undefined,
+        pos: Array.from(data.geom_xpos.subarray(g * 3, g * 3 + 3)),
+        quat: [quat.w, quat.x, quat.y, quat.z],
+        size: Array.from(model.geom_size.subarray(g * 3, g * 3 + 3)),
+        friction: model.geom_friction[g * 3],
+        group: model.geom_group[g]
+      });
+    }
+    return this.colliders.length;
+  }
+
+  /**
+   * @returns {string} - collision.xml for SceneManager.setCustomCollision()
+   */
+  toXML() {
+    const format = (values) => values.map((value) => +value.toFixed(4)).join(' ');
+    const lines = ['<mujoco>', '  <worldbody>'];
+    for (const collider of this.colliders) {
+      const { position: p, quaternion: q } = collider.mesh;
+      const size = this.getSize(collider);
+      // Planes need a third size value (grid spacing, only used for rendering)
+      if (collider.type === 'plane') size.push(0.05);
+      lines.push(
+        `    <body name="${collider.name}" pos="${format([p.x, -p.z, p.y])}" quat="${format([q.w, q.x, -q.z, q.y])}">`,
+        `      <geom type="${collider.type}" size="${format(size)}" rgba="0.5 0.5 0.5 0.01"`,
+        `            contype="1" conaffinity="1" friction="${format([collider.friction, 0.05, 0.01])}" condim="4" group="${collider.group}"/>`,
+        '    </body>');
+    }
+    lines.push('  </worldbody>', '</mujoco>', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Labels of the colliders, for a GUI dropdown
+   * @returns {Object<string, number>} - Label -> index
+   */
+  getChoices() {
+    return Object.fromEntries(this.colliders.map((collider, i) => [`${collider.name} (${collider.type})`, i]));
+  }
+}
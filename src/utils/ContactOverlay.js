@@ -0,0 +1,177 @@
+/**
+ * Contact Overlay
+ *
+ * Draws the active contacts like MuJoCo's simulate viewer: a sphere at each
+ * contact point, the contact normal and an arrow for the contact force (acting
+ * on geom2) scaled by its magnitude. Everything is drawn with instanced meshes
+ * that are refilled from mjData every frame, as drawTendonsAndFlex does.
+ */
+
+import * as THREE from 'three';
+import { readContacts, readContactForces } from '../simulation/contacts.js';
+
+// Instances allocated up front; doubled when a frame has more contacts
+const INITIAL_CAPACITY = 128;
+
+export class ContactOverlay {
+  constructor() {
+    this.group = new THREE.Group();
+    this.group.name = 'Contact Overlay';
+
+    this.showPoints = false;
+    this.showNormals = false;
+    this.showForces = false;
+    // Only draw contacts involving the selected body
+    this.selectedOnly = false;
+    // Arrow length per newton of contact force, in meters
+    this.forceScale = 0.01;
+    // Sizes in meters
+    this.pointRadius = 0.006;
+    this.normalLength = 0.05;
+    this.arrowRadius = 0.003;
+
+    // Number of contacts drawn last frame
+    this.count = 0;
+
+    this.materials = {
+      point: new THREE.MeshBasicMaterial({ color: 0x33aaff, depthTest: false }),
+      normal: new THREE.MeshBasicMaterial({ color: 0xffcc33, depthTest: false }),
+      force: new THREE.MeshBasicMaterial({ color: 0xff4433, depthTest: false })
+    };
+    this.geometries = {
+      point: new THREE.SphereGeometry(1, 10, 8),
+      // Unit cylinder / cone standing on the origin along +y
+      shaft: new THREE.CylinderGeometry(1, 1, 1, 8).translate(0, 0.5, 0),
+      head: new THREE.ConeGeometry(1, 1, 10).translate(0, 0.5, 0)
+    };
+    this.meshes = null;
+    this.allocate(INITIAL_CAPACITY);
+
+    this.tmpMatrix = new THREE.Matrix4();
+    this.tmpQuat = new THREE.Quaternion();
+    this.tmpPos = new THREE.Vector3();
+    this.tmpDir = new THREE.Vector3();
+    this.tmpScale = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
+  }
+
+  /**
+   * @returns {boolean} - Whether any part of the overlay is switched on
+   */
+  isActive() {
+    return this.showPoints || this.showNormals || this.showForces;
+  }
+
+  /**
+   * (Re)create the instanced meshes with room for capacity contacts
+   * @param {number} capacity
+   */
+  allocate(capacity) {
+    if (this.meshes) {
+      for (const mesh of Object.values(this.meshes)) {
+        this.group.remove(mesh);
+        mesh.dispose();
+      }
+    }
+    const create = (geometry, material) => {
+      const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+      mesh.count = 0;
+      // Drawn on top of the scene so contacts inside grippers stay visible
+      mesh.renderOrder = 10;
+      mesh.frustumCulled = false;
+      this.group.add(mesh);
+      return mesh;
+    };
+    this.meshes = {
+      points: create(this.geometries.point, this.materials.point),
+      normals: create(this.geometries.shaft, this.materials.normal),
+      shafts: create(this.geometries.shaft, this.materials.force),
+      heads: create(this.geometries.head, this.materials.force)
+    };
+    this.capacity = capacity;
+  }
+
+  /**
+   * Redraw from the contacts in data
+   * @param {object} mujoco - MuJoCo WASM module
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data (contacts from the last mj_step / mj_forward)
+   * @param {number|null} selectedBody - Body id for the selection filter
+   */
+  update(mujoco, model, data, selectedBody = null) {
+    if (!this.isActive()) {
+      this.group.visible = false;
+      return;
+    }
+    this.group.visible = true;
+
+    const contacts = readContacts(data);
+    const forces = this.showForces ? readContactForces(mujoco, model, data, contacts) : null;
+    let indices = contacts.map((contact, i) => i);
+    if (this.selectedOnly) {
+      const bodyOf = (geom) => geom >= 0 ? model.geom_bodyid[geom] : -1;
+      indices = selectedBody ? indices.filter((i) =>
+        bodyOf(contacts[i].geom1) === selectedBody || bodyOf(contacts[i].geom2) === selectedBody) : [];
+    }
+    if (indices.length > this.capacity) {
+      let capacity = this.capacity;
+      while (capacity < indices.length) capacity *= 2;
+      this.allocate(capacity);
+    }
+
+    let points = 0, normals = 0, arrows = 0;
+    for (const i of indices) {
+      const { pos, frame } = contacts[i];
+      // MuJoCo (x, y, z) -> three.js (x, z, -y)
+      this.tmpPos.set(pos[0], pos[2], -pos[1]);
+
+      if (this.showPoints) {
+        this.tmpScale.setScalar(this.pointRadius);
+        this.meshes.points.setMatrixAt(points++, this.tmpMatrix.compose(this.tmpPos, this.tmpQuat.identity(), this.tmpScale));
+      }
+      if (this.showNormals) {
+        this.tmpDir.set(frame[0], frame[2], -frame[1]);
+        this.setArrow(this.meshes.normals, null, normals++, this.tmpDir, this.normalLength);
+      }
+      if (forces) {
+        this.tmpDir.set(forces[i * 3], forces[i * 3 + 2], -forces[i * 3 + 1]);
+        const magnitude = this.tmpDir.length();
+        if (magnitude > 1e-9) {
+          this.setArrow(this.meshes.shafts, this.meshes.heads, arrows++, this.tmpDir.divideScalar(magnitude),
+            magnitude * this.forceScale);
+        }
+      }
+    }
+
+    const meshes = this.meshes;
+    meshes.points.count = points;
+    meshes.normals.count = normals;
+    meshes.shafts.count = arrows;
+    meshes.heads.count = arrows;
+    for (const mesh of Object.values(meshes)) {
+      mesh.instanceMatrix.needsUpdate = true;
+    }
+    this.count = indices.length;
+  }
+
+  /**
+   * Place one arrow (or a plain line when head is null) starting at tmpPos
+   * @param {THREE.InstancedMesh} shaft - Shaft instances
+   * @param {THREE.InstancedMesh|null} head - Cone instances
+   * @param {number} index - Instance index
+   * @param {THREE.Vector3} dir - Unit direction (three.js frame)
+   * @param {number} length - Total length in meters
+   */
+  setArrow(shaft, head, index, dir, length) {
+    const r = this.arrowRadius;
+    this.tmpQuat.setFromUnitVectors(this.up, dir);
+    const headLength = head ? Math.min(length * 0.5, r * 5) : 0;
+    this.tmpScale.set(head ? r : r * 0.5, length - headLength, head ? r : r * 0.5);
+    shaft.setMatrixAt(index, this.tmpMatrix.compose(this.tmpPos, this.tmpQuat, this.tmpScale));
+    if (head) {
+      const tip = this.tmpPos.clone().addScaledVector(dir, length - headLength);
+      this.tmpScale.set(r * 2.5, headLength, r * 2.5);
+      head.setMatrixAt(index, this.tmpMatrix.compose(tip, this.tmpQuat, this.tmpScale));
+    }
+  }
+}
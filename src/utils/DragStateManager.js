@@ -27,6 +27,8 @@ export class DragStateManager {
         this.arrow.visible = false;
 
         this.previouslySelected = null;
+        // Returns true while another tool (e.g. a transform gizmo) owns the pointer
+        this.isPointerCaptured = () => false;
         this.higlightColor = 0xff0000;  // 0x777777
 
         this.localHit = new Vector3();
@@ -47,11 +49,13 @@ export class DragStateManager {
     }
     start(x, y) {
         this.physicsObject = null;
+        if (this.isPointerCaptured()) { return; }
         this.updateRaycaster(x, y);
         let intersects = this.raycaster.intersectObjects(this.scene.children);
         for (let i = 0; i < intersects.length; i++) {
             let obj = intersects[i].object;
-            if (obj.bodyID && obj.bodyID > 0) {
+            // Raycasting ignores visibility; skip hidden geom groups
+            if (obj.bodyID && obj.bodyID > 0 && obj.visible) {
                 this.physicsObject = obj;
                 this.grabDistance = intersects[0].distance;
                 let hit = this.raycaster.ray.origin.clone();
@@ -43,6 +43,7 @@ export class KeyboardController {
     this.mujoco = null;
     this.keyStates = {};
     this.customController = null;
+    this.listening = false;
 
     // Bind event handlers
     this._onKeyDown = this._onKeyDown.bind(this);
@@ -74,9 +75,10 @@ export class KeyboardController {
    * @param {object} model - MuJoCo model
    * @param {object} data - MuJoCo data
    * @param {object} mujoco - MuJoCo WASM module
+   * @param {object} options - { listen: attach DOM key listeners (false when key states are fed externally, e.g. in a worker) }
    * @returns {Promise<boolean>} - Whether enabling was successful
    */
-  async enable(robotName, model, data, mujoco) {
+  async enable(robotName, model, data, mujoco, { listen = true } = {}) {
     // Disable any existing control first
     this.disable();
 
@@ -108,9 +110,12 @@ export class KeyboardController {
     }
 
     // Add event listeners
-    document.addEventListener('keydown', this._onKeyDown);
-    document.addEventListener('keyup', this._onKeyUp);
-    window.addEventListener('blur', this._onBlur);
+    this.listening = listen;
+    if (listen) {
+      document.addEventListener('keydown', this._onKeyDown);
+      document.addEventListener('keyup', this._onKeyUp);
+      window.addEventListener('blur', this._onBlur);
+    }
 
     this.enabled = true;
     console.log(`Keyboard control enabled for robot: ${robotName}`);
@@ -123,9 +128,11 @@ export class KeyboardController {
   disable() {
     if (!this.enabled) return;
 
-    document.removeEventListener('keydown', this._onKeyDown);
-    document.removeEventListener('keyup', this._onKeyUp);
-    window.removeEventListener('blur', this._onBlur);
+    if (this.listening) {
+      document.removeEventListener('keydown', this._onKeyDown);
+      document.removeEventListener('keyup', this._onKeyUp);
+      window.removeEventListener('blur', this._onBlur);
+    }
 
     this.enabled = false;
     this.config = null;
@@ -146,6 +153,37 @@ export class KeyboardController {
     await this.customController.step(this.keyStates, this.model, this.data, this.mujoco);
   }
 
+  /**
+   * Move the robot controller's targets back to its initial pose (same as the X key)
+   */
+  reset() {
+    if (!this.enabled || !this.customController || !this.data) return;
+
+    this.customController.reset(this.model, this.data);
+  }
+
+  /**
+   * Capture the robot controller's internal state (e.g. IK targets) for snapshots
+   * @returns {object|null}
+   */
+  getState() {
+    if (!this.enabled || !this.customController) return null;
+    return this.customController.getState();
+  }
+
+  /**
+   * Restore state from getState(). Initializes the controller first if it hasn't
+   * stepped yet, so the first step doesn't overwrite the restored targets.
+   * @param {object|null} state
+   */
+  async setState(state) {
+    if (!this.enabled || !this.customController || !state) return;
+    if (!this.customController.initialized) {
+      await this.customController.initialize(this.model, this.data, this.mujoco);
+    }
+    this.customController.setState(state);
+  }
+
   /**
    * Get current control description for GUI display
    * @returns {string}
@@ -0,0 +1,295 @@
+/**
+ * Model Overlay
+ *
+ * Draws model structure the way MuJoCo's simulate viewer does, derived from
+ * mjData every frame: body and site frames (x red, y green, z blue), joint axes
+ * with their limits, centers of mass, equivalent inertia boxes and actuator
+ * transmissions. Lines share one dynamic LineSegments buffer; COM spheres and
+ * inertia boxes are instanced meshes.
+ */
+
+import * as THREE from 'three';
+
+const FRAME_COLORS = [new THREE.Color(0xff3333), new THREE.Color(0x33dd33), new THREE.Color(0x3388ff)];
+const JOINT_COLOR = new THREE.Color(0xffdd33);
+const RANGE_COLOR = new THREE.Color(0xff66cc);
+const ACTUATOR_COLOR = new THREE.Color(0xff8800);
+// Segments in a joint range arc
+const ARC_SEGMENTS = 24;
+
+export class ModelOverlay {
+  constructor() {
+    this.group = new THREE.Group();
+    this.group.name = 'Model Overlay';
+
+    this.showBodyFrames = false;
+    this.showSiteFrames = false;
+    this.showJoints = false;
+    this.showCOM = false;
+    this.showInertia = false;
+    this.showActuators = false;
+    // Multiplier on the model's mean body size (model.stat.meansize)
+    this.scale = 1.0;
+
+    this.lineCapacity = 0;
+    this.lines = new THREE.LineSegments(new THREE.BufferGeometry(),
+      new THREE.LineBasicMaterial({ vertexColors: true, depthTest: false, transparent: true }));
+    this.lines.renderOrder = 10;
+    this.lines.frustumCulled = false;
+    this.group.add(this.lines);
+
+    this.instanceCapacity = 0;
+    this.comMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false, transparent: true, opacity: 0.9 });
+    this.inertiaMaterial = new THREE.MeshBasicMaterial({ color: 0x66ccff, transparent: true, opacity: 0.3, depthWrite: false });
+    this.comSpheres = null;
+    this.inertiaBoxes = null;
+
+    this.positions = null;
+    this.colors = null;
+    this.lineCount = 0;
+
+    this.tmpMatrix = new THREE.Matrix4();
+    this.tmpQuat = new THREE.Quaternion();
+    this.tmpPos = new THREE.Vector3();
+    this.tmpScale = new THREE.Vector3();
+    this.axes = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+  }
+
+  /**
+   * @returns {boolean} - Whether anything is switched on
+   */
+  isActive() {
+    return this.showBodyFrames || this.showSiteFrames || this.showJoints ||
+      this.showCOM || this.showInertia || this.showActuators;
+  }
+
+  /**
+   * Grow the buffers to hold at least lines segments and instances bodies
+   * @param {number} lines - Line segments
+   * @param {number} instances - Instanced spheres / boxes
+   */
+  reserve(lines, instances) {
+    if (lines > this.lineCapacity) {
+      this.lineCapacity = Math.max(lines, this.lineCapacity * 2);
+      this.positions = new Float32Array(this.lineCapacity * 6);
+      this.colors = new Float32Array(this.lineCapacity * 6);
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+      geometry.setAttribute('color', new THREE.BufferAttribute(this.colors, 3).setUsage(THREE.DynamicDrawUsage));
+      this.lines.geometry.dispose();
+      this.lines.geometry = geometry;
+    }
+    if (instances > this.instanceCapacity) {
+      this.instanceCapacity = Math.max(instances, this.instanceCapacity * 2);
+      for (const mesh of [this.comSpheres, this.inertiaBoxes]) {
+        if (mesh) {
+          this.group.remove(mesh);
+          mesh.dispose();
+        }
+      }
+      this.comSpheres = new THREE.InstancedMesh(new THREE.SphereGeometry(1, 10, 8), this.comMaterial, this.instanceCapacity);
+      this.comSpheres.renderOrder = 10;
+      this.inertiaBoxes = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), this.inertiaMaterial, this.instanceCapacity);
+      for (const mesh of [this.comSpheres, this.inertiaBoxes]) {
+        mesh.frustumCulled = false;
+        mesh.count = 0;
+        this.group.add(mesh);
+      }
+    }
+  }
+
+  /**
+   * Redraw from model/data
+   * @param {object} mujoco - MuJoCo WASM module
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data (after mj_kinematics / mj_forward)
+   */
+  update(mujoco, model, data) {
+    if (!this.isActive()) {
+      this.group.visible = false;
+      return;
+    }
+    this.group.visible = true;
+    const size = model.stat.meansize * this.scale;
+    this.reserve(3 * (model.nbody + model.nsite) + (ARC_SEGMENTS + 2) * model.njnt + 2 * model.nu, model.nbody);
+    this.lineCount = 0;
+
+    if (this.showBodyFrames) {
+      for (let b = 1; b < model.nbody; b++) {
+        this.addFrame(data.xpos, data.xmat, b, size);
+      }
+    }
+    if (this.showSiteFrames) {
+      for (let s = 0; s < model.nsite; s++) {
+        this.addFrame(data.site_xpos, data.site_xmat, s, size * 0.5);
+      }
+    }
+    if (this.showJoints) {
+      this.addJoints(mujoco, model, data, size);
+    }
+    if (this.showActuators) {
+      this.addTransmissions(mujoco, model, data, size);
+    }
+    this.lines.geometry.setDrawRange(0, this.lineCount * 2);
+    this.lines.geometry.attributes.position.needsUpdate = true;
+    this.lines.geometry.attributes.color.needsUpdate = true;
+
+    let com = 0, boxes = 0;
+    for (let b = 1; b < model.nbody; b++) {
+      const mass = model.body_mass[b];
+      if (!(mass > 0)) continue;
+      if (this.showCOM) {
+        // Sphere volume proportional to mass, relative to the model's mean mass
+        const radius = size * 0.15 * Math.cbrt(mass / Math.max(model.stat.meanmass, 1e-9));
+        this.setPosition(data.xipos, b, this.tmpPos);
+        this.comSpheres.setMatrixAt(com++, this.tmpMatrix.compose(this.tmpPos, this.tmpQuat.identity(), this.tmpScale.setScalar(radius)));
+      }
+      if (this.showInertia) {
+        // Uniform box with the body's mass and principal inertia: Ixx = m (b^2 + c^2) / 12, ...
+        const [ix, iy, iz] = model.body_inertia.subarray(b * 3, b * 3 + 3);
+        const sides = [
+          Math.sqrt(Math.max(0, 6 * (iy + iz - ix) / mass)),
+          Math.sqrt(Math.max(0, 6 * (ix + iz - iy) / mass)),
+          Math.sqrt(Math.max(0, 6 * (ix + iy - iz) / mass))
+        ];
+        this.setAxes(data.ximat, b);
+        this.tmpMatrix.makeBasis(
+          this.axes[0].multiplyScalar(sides[0]), this.axes[1].multiplyScalar(sides[1]), this.axes[2].multiplyScalar(sides[2]));
+        this.tmpMatrix.setPosition(this.setPosition(data.xipos, b, this.tmpPos));
+        this.inertiaBoxes.setMatrixAt(boxes++, this.tmpMatrix);
+      }
+    }
+    this.comSpheres.count = com;
+    this.inertiaBoxes.count = boxes;
+    this.comSpheres.instanceMatrix.needsUpdate = true;
+    this.inertiaBoxes.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Hinge and slide axes through their anchors, plus the range of limited joints
+   */
+  addJoints(mujoco, model, data, size) {
+    const hinge = mujoco.mjtJoint.mjJNT_HINGE.value;
+    const slide = mujoco.mjtJoint.mjJNT_SLIDE.value;
+    const anchor = new THREE.Vector3(), axis = new THREE.Vector3();
+    const start = new THREE.Vector3(), end = new THREE.Vector3();
+    for (let j = 0; j < model.njnt; j++) {
+      const type = model.jnt_type[j];
+      if (type !== hinge && type !== slide) continue;
+      this.setPosition(data.xanchor, j, anchor);
+      this.setPosition(data.xaxis, j, axis);
+      this.addLine(start.copy(anchor).addScaledVector(axis, -size), end.copy(anchor).addScaledVector(axis, size), JOINT_COLOR);
+      if (!model.jnt_limited[j]) continue;
+
+      const q = data.qpos[model.jnt_qposadr[j]];
+      const [low, high] = model.jnt_range.subarray(j * 2, j * 2 + 2);
+      if (type === slide) {
+        // Travel from the current position to either limit
+        start.copy(anchor).addScaledVector(axis, low - q);
+        end.copy(anchor).addScaledVector(axis, high - q);
+        this.addLine(start, end, RANGE_COLOR);
+        continue;
+      }
+      // Arc spanning the limits (fixed to the parent); the spoke turns with the child and marks q
+      const reference = this.hingeReference(model, data, j, axis);
+      const radius = size * 0.6;
+      this.addLine(anchor, end.copy(anchor).addScaledVector(reference, radius), RANGE_COLOR);
+      const rotation = new THREE.Quaternion();
+      for (let k = 0; k < ARC_SEGMENTS; k++) {
+        const a0 = low - q + (high - low) * k / ARC_SEGMENTS;
+        const a1 = low - q + (high - low) * (k + 1) / ARC_SEGMENTS;
+        start.copy(reference).applyQuaternion(rotation.setFromAxisAngle(axis, a0)).multiplyScalar(radius).add(anchor);
+        end.copy(reference).applyQuaternion(rotation.setFromAxisAngle(axis, a1)).multiplyScalar(radius).add(anchor);
+        this.addLine(start, end, RANGE_COLOR);
+      }
+    }
+  }
+
+  /**
+   * Unit vector perpendicular to a hinge axis that rotates with the joint's body
+   * @returns {THREE.Vector3} - three.js frame
+   */
+  hingeReference(model, data, j, axis) {
+    const local = model.jnt_axis.subarray(j * 3, j * 3 + 3);
+    // Any body-fixed vector not parallel to the local axis
+    const helper = Math.abs(local[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    this.setAxes(data.xmat, model.jnt_bodyid[j]);
+    const reference = new THREE.Vector3()
+      .addScaledVector(this.axes[0], helper[0])
+      .addScaledVector(this.axes[1], helper[1])
+      .addScaledVector(this.axes[2], helper[2]);
+    return reference.addScaledVector(axis, -reference.dot(axis)).normalize();
+  }
+
+  /**
+   * Joint and site actuator transmissions
+   */
+  addTransmissions(mujoco, model, data, size) {
+    const jointTransmission = mujoco.mjtTrn.mjTRN_JOINT.value;
+    const siteTransmission = mujoco.mjtTrn.mjTRN_SITE.value;
+    const start = new THREE.Vector3(), end = new THREE.Vector3(), axis = new THREE.Vector3();
+    for (let i = 0; i < model.nu; i++) {
+      const id = model.actuator_trnid[i * 2];
+      if (model.actuator_trntype[i] === jointTransmission) {
+        // The actuated joint's axis, drawn longer than the plain joint axis
+        this.setPosition(data.xanchor, id, start);
+        this.setPosition(data.xaxis, id, axis);
+        end.copy(start).addScaledVector(axis, size * 1.6);
+        this.addLine(start.addScaledVector(axis, -size * 1.6), end, ACTUATOR_COLOR);
+      } else if (model.actuator_trntype[i] === siteTransmission) {
+        // Site actuators: to the reference site if there is one, else along the site's z axis
+        this.setPosition(data.site_xpos, id, start);
+        const refsite = model.actuator_trnid[i * 2 + 1];
+        if (refsite >= 0) {
+          this.setPosition(data.site_xpos, refsite, end);
+        } else {
+          this.setAxes(data.site_xmat, id);
+          end.copy(start).addScaledVector(this.axes[2], size);
+        }
+        this.addLine(start, end, ACTUATOR_COLOR);
+      }
+    }
+  }
+
+  /**
+   * RGB axes of the index-th frame in pos (n x 3) / mat (n x 9)
+   */
+  addFrame(pos, mat, index, length) {
+    this.setPosition(pos, index, this.tmpPos);
+    this.setAxes(mat, index);
+    const end = new THREE.Vector3();
+    for (let k = 0; k < 3; k++) {
+      this.addLine(this.tmpPos, end.copy(this.tmpPos).addScaledVector(this.axes[k], length), FRAME_COLORS[k]);
+    }
+  }
+
+  addLine(start, end, color) {
+    if (this.lineCount >= this.lineCapacity) return;
+    const offset = this.lineCount * 6;
+    this.positions[offset] = start.x; this.positions[offset + 1] = start.y; this.positions[offset + 2] = start.z;
+    this.positions[offset + 3] = end.x; this.positions[offset + 4] = end.y; this.positions[offset + 5] = end.z;
+    for (let k = 0; k < 2; k++) {
+      this.colors[offset + k * 3] = color.r;
+      this.colors[offset + k * 3 + 1] = color.g;
+      this.colors[offset + k * 3 + 2] = color.b;
+    }
+    this.lineCount++;
+  }
+
+  /**
+   * Read a MuJoCo position into a three.js vector: (x, y, z) -> (x, z, -y)
+   */
+  setPosition(buffer, index, target) {
+    return target.set(buffer[index * 3], buffer[index * 3 + 2], -buffer[index * 3 + 1]);
+  }
+
+  /**
+   * Columns of a row-major 3x3 MuJoCo rotation (the frame's axes) into this.axes, in three.js coordinates
+   */
+  setAxes(buffer, index) {
+    const m = index * 9;
+    for (let k = 0; k < 3; k++) {
+      this.axes[k].set(buffer[m + k], buffer[m + 6 + k], -buffer[m + 3 + k]);
+    }
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * Picture-in-Picture Camera
+ *
+ * Renders the scene from an MJCF camera, or from a camera attached to a body or
+ * site, into an offscreen target and shows it in a resizable panel. Like MJCF
+ * cameras, body / site cameras look along the frame's -z axis with +y up. The
+ * frame goes through OutputPass (tone mapping, sRGB) into an 8-bit target and
+ * is read back every render, so getFrame() returns exactly what the panel
+ * shows. With a 3DGS scene loaded, the splats get their own Spark viewpoint so
+ * their sort order follows this camera instead of fighting the main view.
+ */
+
+import * as THREE from 'three';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { getName } from '../simulation/modelNames.js';
+
+// Offscreen resolutions offered in the GUI
+export const PIP_RESOLUTIONS = { '160 x 120': '160x120', '320 x 240': '320x240', '640 x 480': '640x480', '1280 x 720': '1280x720' };
+
+export class PictureInPicture {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Viewer renderer
+   * @param {THREE.Scene} scene - Scene to render
+   * @param {HTMLElement} container - Element the panel is appended to
+   */
+  constructor(renderer, scene, container) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.container = container;
+    this.model = null;
+    // 'camera:<id>', 'body:<id>' or 'site:<id>'; null for none
+    this.source = null;
+    // Vertical field of view for body / site cameras, in degrees (MJCF cameras use cam_fovy)
+    this.fovy = 60;
+    this.visible = false;
+    // Objects hidden while rendering (e.g. debug overlays), so frames show only the scene
+    this.hiddenObjects = [];
+
+    this.camera = new THREE.PerspectiveCamera(this.fovy, 4 / 3, 0.01, 100);
+    this.outputPass = new OutputPass();
+    this.sceneTarget = null;
+    this.outputTarget = null;
+    this.pixels = null;
+    this.imageData = null;
+    // Spark renderer found in the scene and this camera's viewpoint on it
+    this.spark = null;
+    this.sparkViewpoint = null;
+
+    this.element = document.createElement('div');
+    this.element.style.cssText = `
+      position: absolute; left: 10px; top: 10px; width: 336px; height: 282px;
+      min-width: 120px; min-height: 100px; resize: both; overflow: hidden;
+      display: none; flex-direction: column; padding: 6px; box-sizing: border-box; z-index: 1000;
+      background: rgba(0, 0, 0, 0.6); border-radius: 10px; color: white; font: 11px Arial;`;
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; margin-bottom: 4px;';
+    this.title = document.createElement('span');
+    this.title.style.cssText = 'flex: 1; overflow: hidden; white-space: nowrap; text-overflow: ellipsis;';
+    const close = document.createElement('button');
+    close.textContent = '×';
+    close.style.cssText = `
+      background: rgba(255, 255, 255, 0.15); color: white; border: none; border-radius: 4px;
+      padding: 0 6px; font: 11px Arial; cursor: pointer;`;
+    close.addEventListener('click', () => this.setVisible(false));
+    header.appendChild(this.title);
+    header.appendChild(close);
+    this.canvas = document.createElement('canvas');
+    this.canvas.style.cssText = 'flex: 1; min-height: 0; width: 100%; object-fit: contain;';
+    this.element.appendChild(header);
+    this.element.appendChild(this.canvas);
+
+    this.setResolution('320x240');
+  }
+
+  /**
+   * @returns {boolean} - Whether the view reads cam_xpos / site_xpos, which the physics worker does not stream
+   */
+  isActive() {
+    return this.visible && this.source !== null && !this.source.startsWith('body:');
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    if (visible && !this.element.parentElement) {
+      this.container.appendChild(this.element);
+    }
+    this.visible = visible;
+    this.element.style.display = visible ? 'flex' : 'none';
+  }
+
+  /**
+   * Resize the offscreen targets
+   * @param {string} resolution - 'WIDTHxHEIGHT', e.g. '320x240'
+   */
+  setResolution(resolution) {
+    const [width, height] = resolution.split('x').map(Number);
+    if (!(width > 0 && height > 0)) return;
+    this.resolution = resolution;
+    this.sceneTarget?.dispose();
+    this.outputTarget?.dispose();
+    // Linear HDR scene, as EffectComposer renders it; OutputPass encodes it into 8-bit sRGB
+    this.sceneTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType });
+    this.outputTarget = new THREE.WebGLRenderTarget(width, height, { depthBuffer: false });
+    this.pixels = new Uint8Array(width * height * 4);
+    this.imageData = new ImageData(width, height);
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+    this.disposeSparkViewpoint();
+  }
+
+  /**
+   * Adopt a (new) model; drops the source if it no longer exists
+   * @param {object} model - MuJoCo model
+   */
+  setModel(model) {
+    this.model = model;
+    if (this.source && !Object.values(this.getSources()).includes(this.source)) {
+      this.setSource(null);
+    }
+  }
+
+  /**
+   * Cameras, bodies and sites of the current model
+   * @returns {Object<string, string>} - Label -> source, for a GUI dropdown
+   */
+  getSources() {
+    const model = this.model;
+    const sources = {};
+    if (!model) return sources;
+    for (let c = 0; c < model.ncam; c++) {
+      sources[`Camera: ${getName(model, model.name_camadr[c]) || c}`] = `camera:${c}`;
+    }
+    for (let s = 0; s < model.nsite; s++) {
+      sources[`Site: ${getName(model, model.name_siteadr[s]) || s}`] = `site:${s}`;
+    }
+    for (let b = 1; b < model.nbody; b++) {
+      sources[`Body: ${getName(model, model.name_bodyadr[b]) || b}`] = `body:${b}`;
+    }
+    return sources;
+  }
+
+  /**
+   * @param {string|null} source - 'camera:<id>', 'body:<id>', 'site:<id>' or null
+   */
+  setSource(source) {
+    this.source = source;
+    const label = Object.entries(this.getSources()).find(([, value]) => value === source)?.[0];
+    this.title.textContent = label ?? 'No camera';
+  }
+
+  /**
+   * Place the camera at a source frame
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   * @param {string|null} source - Defaults to the panel's source
+   * @returns {boolean} - False if there is nothing to render from
+   */
+  updateCamera(model, data, source = this.source) {
+    if (!source) return false;
+    const [kind, text] = source.split(':');
+    const id = parseInt(text, 10);
+    let pos, fovy = this.fovy;
+    if (kind === 'body') {
+      if (id >= model.nbody) return false;
+      pos = data.xpos;
+      const q = data.xquat;
+      // MuJoCo (w, x, y, z) -> three.js, same swizzle as getQuaternion
+      this.camera.quaternion.set(q[id * 4 + 1], q[id * 4 + 3], -q[id * 4 + 2], q[id * 4]);
+    } else {
+      const camera = kind === 'camera';
+      if (id >= (camera ? model.ncam : model.nsite)) return false;
+      pos = camera ? data.cam_xpos : data.site_xpos;
+      const mat = camera ? data.cam_xmat : data.site_xmat;
+      const m = id * 9;
+      const axes = [0, 1, 2].map((k) => new THREE.Vector3(mat[m + k], mat[m + 6 + k], -mat[m + 3 + k]));
+      this.camera.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(...axes));
+      if (camera) fovy = model.cam_fovy[id];
+    }
+    this.camera.position.set(pos[id * 3], pos[id * 3 + 2], -pos[id * 3 + 1]);
+    if (this.camera.fov !== fovy) {
+      this.camera.fov = fovy;
+      this.camera.updateProjectionMatrix();
+    }
+    this.camera.updateMatrixWorld();
+    return true;
+  }
+
+  /**
+   * Render the source view, read it back and show it. Call once per frame before the main render.
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   */
+  render(model, data) {
+    if (this.visible && model && this.renderFrame(model, data, this.source)) {
+      this.canvas.getContext('2d').putImageData(this.imageData, 0, 0);
+    }
+  }
+
+  /**
+   * Render a source view at the panel's resolution into this.imageData, leaving this.camera posed there
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   * @param {string} source - 'camera:<id>', 'body:<id>' or 'site:<id>'
+   * @returns {boolean} - False if there is nothing to render from
+   */
+  renderFrame(model, data, source) {
+    if (!this.updateCamera(model, data, source)) return false;
+
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+    const hidden = this.hiddenObjects.filter((object) => object.visible);
+    for (const object of hidden) object.visible = false;
+    const spark = this.findSpark();
+    try {
+      if (spark) spark.prepareViewpoint(this.getSparkViewpoint(spark));
+      renderer.setRenderTarget(this.sceneTarget);
+      renderer.render(this.scene, this.camera);
+    } finally {
+      if (spark) spark.prepareViewpoint(spark.defaultView);
+      for (const object of hidden) object.visible = true;
+    }
+    this.outputPass.renderToScreen = false;
+    this.outputPass.render(renderer, this.outputTarget, this.sceneTarget);
+    renderer.setRenderTarget(previousTarget);
+
+    // WebGL rows run bottom-up; flip into the ImageData
+    const { width, height } = this.outputTarget;
+    renderer.readRenderTargetPixels(this.outputTarget, 0, 0, width, height, this.pixels);
+    const rowBytes = width * 4;
+    for (let y = 0; y < height; y++) {
+      this.imageData.data.set(this.pixels.subarray((height - 1 - y) * rowBytes, (height - y) * rowBytes), y * rowBytes);
+    }
+    return true;
+  }
+
+  /**
+   * Latest rendered frame, top row first
+   * @returns {ImageData|null} - RGBA pixels at the offscreen resolution, or null while hidden
+   */
+  getFrame() {
+    return this.visible && this.source ? this.imageData : null;
+  }
+
+  /**
+   * The SparkRenderer drawing the scene's splats, if any (added by Spark on first render)
+   */
+  findSpark() {
+    if (this.spark?.parent) return this.spark;
+    this.disposeSparkViewpoint();
+    this.spark = null;
+    this.scene.traverse((object) => {
+      if (!this.spark && object.defaultView && typeof object.newViewpoint === 'function') {
+        this.spark = object;
+      }
+    });
+    return this.spark;
+  }
+
+  getSparkViewpoint(spark) {
+    if (!this.sparkViewpoint) {
+      // The viewpoint's own target is unused, but sizes the splats and makes Spark output linear color
+      this.sparkViewpoint = spark.newViewpoint({
+        autoUpdate: true, camera: this.camera, target: { width: this.outputTarget.width, height: this.outputTarget.height }
+      });
+    }
+    return this.sparkViewpoint;
+  }
+
+  disposeSparkViewpoint() {
+    this.sparkViewpoint?.dispose();
+    this.sparkViewpoint = null;
+  }
+}
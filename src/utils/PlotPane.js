@@ -0,0 +1,283 @@
+/**
+ * Plot Pane
+ *
+ * A dockable overlay that plots rolling time series of model signals (see
+ * simulation/signals.js) against simulated time. Sampled once per rendered
+ * frame by the viewer's render loop; history is dropped when time jumps
+ * backwards (reset, rewind) and on model changes, where series are re-resolved
+ * by signal id.
+ */
+
+import { listSignals, readSignal } from '../simulation/signals.js';
+
+const COLORS = ['#4fc3f7', '#ff8a65', '#aed581', '#ffd54f', '#ba68c8', '#4db6ac', '#f06292', '#e0e0e0'];
+
+// Pane placement per dock position
+const DOCKS = {
+  bottom: 'left: 10px; right: 270px; bottom: 10px; height: 200px;',
+  left: 'left: 10px; top: 10px; bottom: 10px; width: 420px;',
+  right: 'right: 260px; top: 10px; bottom: 10px; width: 420px;'
+};
+
+export class PlotPane {
+  /**
+   * @param {HTMLElement} container - Element the pane is appended to
+   */
+  constructor(container) {
+    this.container = container;
+    this.mujoco = null;
+    this.model = null;
+    // Signals of the current model, keyed by id
+    this.signals = new Map();
+    // Plotted series: {id, label, color, signal, times, values}
+    this.series = [];
+    // Seconds of history shown
+    this.window = 10;
+    this.dock = 'bottom';
+    this.visible = false;
+    this.lastTime = null;
+    this.nextColor = 0;
+
+    this.element = document.createElement('div');
+    this.header = document.createElement('div');
+    this.header.style.cssText = 'display: flex; gap: 6px; align-items: center; margin-bottom: 4px;';
+    this.legend = document.createElement('div');
+    this.legend.style.cssText = 'flex: 1; display: flex; flex-wrap: wrap; gap: 4px 10px; overflow: hidden; max-height: 34px;';
+    this.header.appendChild(this.legend);
+    for (const dock of Object.keys(DOCKS)) {
+      this.header.appendChild(this.createButton(dock[0].toUpperCase() + dock.slice(1), () => this.setDock(dock)));
+    }
+    this.header.appendChild(this.createButton('×', () => this.setVisible(false)));
+    this.canvas = document.createElement('canvas');
+    this.canvas.style.cssText = 'width: 100%; flex: 1; min-height: 0;';
+    this.element.appendChild(this.header);
+    this.element.appendChild(this.canvas);
+    this.applyStyle();
+  }
+
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText = `
+      background: rgba(255, 255, 255, 0.15); color: white; border: none; border-radius: 4px;
+      padding: 2px 6px; font: 11px Arial; cursor: pointer;`;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  applyStyle() {
+    this.element.style.cssText = `
+      position: absolute; ${DOCKS[this.dock]}
+      display: ${this.visible ? 'flex' : 'none'}; flex-direction: column;
+      padding: 8px; box-sizing: border-box; z-index: 1000;
+      background: rgba(0, 0, 0, 0.6); border-radius: 10px;
+      color: white; font: 11px Arial;`;
+  }
+
+  /**
+   * @returns {boolean} - Whether the pane is shown and has something to plot
+   */
+  isActive() {
+    return this.visible && this.series.length > 0;
+  }
+
+  /**
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    if (visible && !this.element.parentElement) {
+      this.container.appendChild(this.element);
+    }
+    this.visible = visible;
+    this.applyStyle();
+  }
+
+  /**
+   * @param {'bottom'|'left'|'right'} dock
+   */
+  setDock(dock) {
+    if (!(dock in DOCKS)) return;
+    this.dock = dock;
+    this.applyStyle();
+  }
+
+  /**
+   * Resolve signals for a (new) model and keep the series that still exist
+   * @param {object} mujoco - MuJoCo WASM module
+   * @param {object} model - MuJoCo model
+   */
+  setModel(mujoco, model) {
+    this.mujoco = mujoco;
+    this.model = model;
+    this.signals = new Map(listSignals(mujoco, model).map((signal) => [signal.id, signal]));
+    this.series = this.series.filter((series) => this.signals.has(series.id));
+    for (const series of this.series) {
+      series.signal = this.signals.get(series.id);
+    }
+    this.clearHistory();
+  }
+
+  /**
+   * Start plotting a signal
+   * @param {string} id - Signal id (see listSignals)
+   * @returns {boolean} - False if the model has no such signal or it is already plotted
+   */
+  addSeries(id) {
+    const signal = this.signals.get(id);
+    if (!signal || this.series.some((series) => series.id === id)) return false;
+    this.series.push({
+      id, signal, label: signal.label, color: COLORS[this.nextColor++ % COLORS.length], times: [], values: []
+    });
+    this.updateLegend();
+    return true;
+  }
+
+  /**
+   * @param {string} id - Signal id
+   */
+  removeSeries(id) {
+    this.series = this.series.filter((series) => series.id !== id);
+    this.updateLegend();
+  }
+
+  clearSeries() {
+    this.series = [];
+    this.nextColor = 0;
+    this.updateLegend();
+  }
+
+  clearHistory() {
+    for (const series of this.series) {
+      series.times.length = 0;
+      series.values.length = 0;
+    }
+    this.lastTime = null;
+    this.updateLegend();
+  }
+
+  /**
+   * Append the current values and redraw. Call once per rendered frame.
+   * @param {object} model - MuJoCo model
+   * @param {object} data - MuJoCo data
+   */
+  sample(model, data) {
+    if (!this.isActive()) return;
+    if (model !== this.model) {
+      this.setModel(this.mujoco, model);
+      if (!this.isActive()) return;
+    }
+    const time = data.time;
+    if (this.lastTime !== null && time < this.lastTime) {
+      this.clearHistory();
+    }
+    if (time !== this.lastTime) {
+      this.lastTime = time;
+      for (const series of this.series) {
+        series.times.push(time);
+        series.values.push(readSignal(data, series.signal));
+        // Drop samples that scrolled out of the window
+        let drop = 0;
+        while (drop < series.times.length && series.times[drop] < time - this.window) drop++;
+        if (drop > 0) {
+          series.times.splice(0, drop);
+          series.values.splice(0, drop);
+        }
+      }
+    }
+    this.draw();
+  }
+
+  updateLegend() {
+    this.legend.replaceChildren();
+    for (const series of this.series) {
+      const entry = document.createElement('span');
+      entry.style.color = series.color;
+      entry.style.cursor = 'pointer';
+      entry.title = 'Click to remove';
+      const last = series.values[series.values.length - 1];
+      entry.textContent = last === undefined ? series.label : `${series.label}: ${formatValue(last)}`;
+      entry.addEventListener('click', () => this.removeSeries(series.id));
+      series.legendEntry = entry;
+      this.legend.appendChild(entry);
+    }
+  }
+
+  draw() {
+    const canvas = this.canvas;
+    const width = canvas.clientWidth, height = canvas.clientHeight;
+    if (width === 0 || height === 0) return;
+    const ratio = window.devicePixelRatio || 1;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(height * ratio);
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Shared y range over the visible samples
+    let min = Infinity, max = -Infinity;
+    for (const series of this.series) {
+      for (const value of series.values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+    if (!Number.isFinite(min)) return;
+    if (max - min < 1e-9) { min -= 0.5; max += 0.5; }
+    const pad = (max - min) * 0.05;
+    min -= pad; max += pad;
+
+    const left = 48, right = width - 4, top = 4, bottom = height - 14;
+    const tEnd = this.lastTime, tStart = tEnd - this.window;
+    const x = (t) => left + (right - left) * (t - tStart) / this.window;
+    const y = (v) => bottom - (bottom - top) * (v - min) / (max - min);
+
+    // Axes: y range labels, zero line and time span
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.font = '10px Arial';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(left, top, right - left, bottom - top);
+    if (min < 0 && max > 0) {
+      ctx.beginPath();
+      ctx.moveTo(left, y(0));
+      ctx.lineTo(right, y(0));
+      ctx.stroke();
+    }
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText(formatValue(max), left - 4, top);
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(formatValue(min), left - 4, bottom);
+    ctx.textBaseline = 'top';
+    ctx.fillText(`t = ${tEnd.toFixed(2)} s`, right, bottom + 2);
+    ctx.textAlign = 'left';
+    ctx.fillText(`-${this.window} s`, left, bottom + 2);
+
+    ctx.lineWidth = 1.5;
+    for (const series of this.series) {
+      if (series.values.length === 0) continue;
+      ctx.strokeStyle = series.color;
+      ctx.beginPath();
+      for (let i = 0; i < series.values.length; i++) {
+        const px = x(series.times[i]), py = y(series.values[i]);
+        if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+      }
+      ctx.stroke();
+      if (series.legendEntry) {
+        series.legendEntry.textContent = `${series.label}: ${formatValue(series.values[series.values.length - 1])}`;
+      }
+    }
+  }
+}
+
+/**
+ * @param {number} value
+ * @returns {string} - Compact number for labels
+ */
+export function formatValue(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude !== 0 && (magnitude < 1e-3 || magnitude >= 1e4)) return value.toExponential(2);
+  return value.toFixed(3);
+}
@@ -0,0 +1,247 @@
+/**
+ * Render Outputs
+ *
+ * Ground-truth images for synthetic data: linear depth and per-geom / per-body
+ * segmentation, rendered from any camera in one pass over the MuJoCo meshes.
+ * Each visible mesh is drawn with a label material that writes
+ * (view-space depth, geomID, bodyID) into a float target, using the ids
+ * loadSceneFromURL attaches to the meshes. Splats and debug overlays are not
+ * part of the MuJoCo root, so they do not appear in the labels.
+ *
+ * Arrays are row-major with the top row first, like ImageData. Depth is the
+ * distance along the camera's viewing axis in meters, 0 where nothing was hit;
+ * ids are -1 there.
+ */
+
+import * as THREE from 'three';
+import { zipSync, strToU8 } from 'three/addons/libs/fflate.module.js';
+
+const labelVertexShader = `
+  varying float vDepth;
+  void main() {
+    vec4 mvPosition = vec4(position, 1.0);
+    // Tendon and flex segments are InstancedMeshes
+    #ifdef USE_INSTANCING
+      mvPosition = instanceMatrix * mvPosition;
+    #endif
+    mvPosition = modelViewMatrix * mvPosition;
+    vDepth = -mvPosition.z;
+    gl_Position = projectionMatrix * mvPosition;
+  }`;
+
+const labelFragmentShader = `
+  uniform float geomID;
+  uniform float bodyID;
+  varying float vDepth;
+  void main() {
+    gl_FragColor = vec4(vDepth, geomID, bodyID, 1.0);
+  }`;
+
+/**
+ * @typedef {object} LabelImages
+ * @property {number} width
+ * @property {number} height
+ * @property {Float32Array} depth - Meters along the view axis, 0 for background
+ * @property {Int32Array} geom - Geom id per pixel, -1 for background
+ * @property {Int32Array} body - Body id per pixel, -1 for background
+ */
+
+export class RenderOutputs {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Viewer renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.target = null;
+    this.pixels = null;
+    // Label materials by 'geom:body:side'
+    this.materials = new Map();
+  }
+
+  getMaterial(geomID, bodyID, side) {
+    const key = `${geomID}:${bodyID}:${side}`;
+    let material = this.materials.get(key);
+    if (!material) {
+      material = new THREE.ShaderMaterial({
+        uniforms: { geomID: { value: geomID }, bodyID: { value: bodyID } },
+        vertexShader: labelVertexShader,
+        fragmentShader: labelFragmentShader,
+        side
+      });
+      this.materials.set(key, material);
+    }
+    return material;
+  }
+
+  /**
+   * Render depth and segmentation of the MuJoCo meshes
+   * @param {THREE.Object3D} root - MuJoCo root group (see loadSceneFromURL)
+   * @param {THREE.Camera} camera - Camera to render from; its aspect should match width / height
+   * @param {number} width - Pixels
+   * @param {number} height - Pixels
+   * @returns {LabelImages}
+   */
+  renderLabels(root, camera, width, height) {
+    if (!this.target || this.target.width !== width || this.target.height !== height) {
+      this.target?.dispose();
+      this.target = new THREE.WebGLRenderTarget(width, height, { type: THREE.FloatType });
+      this.pixels = new Float32Array(width * height * 4);
+    }
+
+    // Swap in label materials; onBeforeRender is paused so e.g. reflectors don't render the scene
+    const swapped = [];
+    root.traverseVisible((object) => {
+      if (!object.isMesh) return;
+      swapped.push([object, object.material, object.onBeforeRender, object.visible]);
+      if (object.isCollisionOverlay) {
+        object.visible = false;
+        return;
+      }
+      let bodyID = -1;
+      for (let parent = object; parent && bodyID < 0; parent = parent.parent) {
+        if (parent.bodyID !== undefined) bodyID = parent.bodyID;
+      }
+      const side = Array.isArray(object.material) ? THREE.FrontSide : object.material.side;
+      object.material = this.getMaterial(object.geomID ?? -1, bodyID, side);
+      object.onBeforeRender = () => {};
+    });
+
+    const renderer = this.renderer;
+    const previousTarget = renderer.getRenderTarget();
+    const previousColor = renderer.getClearColor(new THREE.Color());
+    const previousAlpha = renderer.getClearAlpha();
+    try {
+      renderer.setRenderTarget(this.target);
+      renderer.setClearColor(0x000000, 0);
+      renderer.clear();
+      renderer.render(root, camera);
+      renderer.readRenderTargetPixels(this.target, 0, 0, width, height, this.pixels);
+    } finally {
+      renderer.setRenderTarget(previousTarget);
+      renderer.setClearColor(previousColor, previousAlpha);
+      for (const [object, material, onBeforeRender, visible] of swapped) {
+        object.material = material;
+        object.onBeforeRender = onBeforeRender;
+        object.visible = visible;
+      }
+    }
+
+    const depth = new Float32Array(width * height);
+    const geom = new Int32Array(width * height);
+    const body = new Int32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      // WebGL rows run bottom-up
+      const row = (height - 1 - y) * width;
+      for (let x = 0; x < width; x++) {
+        const source = (row + x) * 4, index = y * width + x;
+        const hit = this.pixels[source + 3] > 0;
+        depth[index] = hit ? this.pixels[source] : 0;
+        geom[index] = hit ? Math.round(this.pixels[source + 1]) : -1;
+        body[index] = hit ? Math.round(this.pixels[source + 2]) : -1;
+      }
+    }
+    return { width, height, depth, geom, body };
+  }
+}
+
+/**
+ * Encode an array as a NumPy .npy file (float32 or int32, C order)
+ * @param {Float32Array|Int32Array} array
+ * @param {number[]} shape - e.g. [height, width]
+ * @returns {Uint8Array}
+ */
+export function encodeNpy(array, shape) {
+  const descr = array instanceof Float32Array ? '<f4' : '<i4';
+  let header = `{'descr': '${descr}', 'fortran_order': False, 'shape': (${shape.join(', ')}${shape.length === 1 ? ',' : ''}), }`;
+  // Magic (6) + version (2) + header length (2) + header, padded with spaces to a multiple of 64, ending in \n
+  const unpadded = 10 + header.length + 1;
+  header += ' '.repeat((64 - unpadded % 64) % 64) + '\n';
+  const bytes = new Uint8Array(10 + header.length + array.byteLength);
+  bytes.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0, header.length & 0xff, header.length >> 8]);
+  for (let i = 0; i < header.length; i++) bytes[10 + i] = header.charCodeAt(i);
+  bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), 10 + header.length);
+  return bytes;
+}
+
+/**
+ * Grayscale preview of a depth image, near = white
+ * @param {LabelImages} labels
+ * @returns {ImageData}
+ */
+export function depthToImage({ width, height, depth }) {
+  let near = Infinity, far = 0;
+  for (const d of depth) {
+    if (d > 0) { near = Math.min(near, d); far = Math.max(far, d); }
+  }
+  const image = new ImageData(width, height);
+  for (let i = 0; i < depth.length; i++) {
+    const value = depth[i] > 0 ? 255 - Math.round(215 * (depth[i] - near) / Math.max(far - near, 1e-6)) : 0;
+    image.data.set([value, value, value, 255], i * 4);
+  }
+  return image;
+}
+
+/**
+ * Color preview of a segmentation image, one stable color per id, black for background
+ * @param {Int32Array} ids
+ * @param {number} width
+ * @param {number} height
+ * @returns {ImageData}
+ */
+export function segmentationToImage(ids, width, height) {
+  const image = new ImageData(width, height);
+  const color = new THREE.Color();
+  for (let i = 0; i < ids.length; i++) {
+    if (ids[i] < 0) {
+      image.data[i * 4 + 3] = 255;
+      continue;
+    }
+    // Golden-ratio hue steps keep neighbouring ids apart
+    color.setHSL((ids[i] * 0.618034) % 1, 0.7, 0.55, THREE.SRGBColorSpace);
+    const rgb = color.getRGB({}, THREE.SRGBColorSpace);
+    image.data.set([rgb.r * 255, rgb.g * 255, rgb.b * 255, 255], i * 4);
+  }
+  return image;
+}
+
+/**
+ * @param {ImageData} image
+ * @returns {Promise<Uint8Array>} - PNG bytes
+ */
+export function encodePNG(image) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  canvas.getContext('2d').putImageData(image, 0, 0);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (!blob) { reject(new Error('Failed to encode PNG')); return; }
+      blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+    }, 'image/png');
+  });
+}
+
+/**
+ * Zip a captured frame: rgb.png, depth.npy (float32 meters), geom_segmentation.npy and
+ * body_segmentation.npy (int32 ids), PNG previews of each, and meta.json with the id -> name tables
+ * @param {object} frame - From MuJoCoDemo.captureView() / env.render()
+ * @returns {Promise<Uint8Array>}
+ */
+export async function bundleRenderOutputs(frame) {
+  const { width, height } = frame;
+  const meta = {
+    view: frame.view, time: frame.time, width, height, fovy: frame.fovy,
+    depth: 'meters along the view axis, 0 = no hit', segmentation: 'id, -1 = background',
+    geomNames: frame.geomNames, bodyNames: frame.bodyNames
+  };
+  return zipSync({
+    'rgb.png': await encodePNG(frame.rgb),
+    'depth.npy': encodeNpy(frame.depth, [height, width]),
+    'depth.png': await encodePNG(depthToImage(frame)),
+    'geom_segmentation.npy': encodeNpy(frame.geom, [height, width]),
+    'geom_segmentation.png': await encodePNG(segmentationToImage(frame.geom, width, height)),
+    'body_segmentation.npy': encodeNpy(frame.body, [height, width]),
+    'body_segmentation.png': await encodePNG(segmentationToImage(frame.body, width, height)),
+    'meta.json': strToU8(JSON.stringify(meta, null, 2))
+  });
+}
@@ -81,6 +81,7 @@ export class SceneManager {
     this.currentRobot = null;
     this.scenePath = null;
     this.customSpzData = null;  // Store custom SPZ data from user upload
+    this.customSpzName = null;  // File name of the uploaded SPZ
     this.customCollisionXml = null;  // Store custom collision XML content
   }
 
@@ -314,6 +315,18 @@ export class SceneManager {
    */
   clearCustomSpz() {
     this.customSpzData = null;
+    this.customSpzName = null;
+  }
+
+  /**
+   * Key identifying the current 3DGS scene, for settings stored per scene
+   * @returns {string|null} - Environment name, or 'custom_spz:<file name>' for an uploaded SPZ
+   */
+  getSpzKey() {
+    if (this.currentEnv === 'custom_spz') {
+      return this.customSpzName ? `custom_spz:${this.customSpzName}` : null;
+    }
+    return this.currentEnv;
   }
 
   /**
@@ -349,6 +362,35 @@ export class SceneManager {
     return this.customCollisionXml;
   }
 
+  /**
+   * Body and geom names defined by the current scene's files other than collision.xml
+   * @returns {{environment: Set<string>, robot: Set<string>}} - Names from the scene XML itself,
+   *   and from its robot and objects includes
+   */
+  getDefinedNames() {
+    const names = { environment: new Set(), robot: new Set() };
+    if (!this.scenePath) return names;
+    const sceneDir = `/working/${this.scenePath.slice(0, this.scenePath.lastIndexOf('/'))}`;
+    const parser = new DOMParser();
+    const collect = (file, set) => {
+      const doc = parser.parseFromString(this.mujoco.FS.readFile(`${sceneDir}/${file}`, { encoding: 'utf8' }), 'text/xml');
+      for (const element of doc.querySelectorAll('body[name], geom[name]')) {
+        set.add(element.getAttribute('name'));
+      }
+      return doc;
+    };
+    try {
+      const scene = collect('scene.xml', names.environment);
+      for (const include of scene.querySelectorAll('include')) {
+        const file = include.getAttribute('file');
+        if (file && file !== 'collision.xml') collect(file, names.robot);
+      }
+    } catch (e) {
+      console.warn('Could not read the scene files:', e);
+    }
+    return names;
+  }
+
   /**
    * Load a custom SPZ file with basic environment
    * @param {File} spzFile - The SPZ file to load
@@ -358,6 +400,7 @@ export class SceneManager {
   async loadCustomSpz(spzFile, robotName = null) {
     console.log(`Loading custom SPZ: ${spzFile.name}`);
     this.customSpzData = await spzFile.arrayBuffer();
+    this.customSpzName = spzFile.name;
     return this._setupCustomSpzScene(robotName);
   }
 
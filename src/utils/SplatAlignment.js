@@ -0,0 +1,231 @@
+/**
+ * Splat Alignment
+ *
+ * Places a 3DGS scene in the MuJoCo world. Exported splats are rarely metric
+ * or aligned with the simulation, so the SplatMesh gets an editable transform:
+ * position, roll / pitch / yaw and a uniform scale, all in MuJoCo's z-up frame,
+ * edited with TransformControls gizmos or numeric fields. The transform is
+ * saved in localStorage under the scene's key (SceneManager.getSpzKey()) and
+ * applied whenever that scene's splats are loaded again. An uploaded scene
+ * without a saved transform is leveled onto its fitted ground plane.
+ */
+
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import { collectSplatCenters, fitGroundPlane } from './SplatAnalysis.js';
+
+const STORAGE_PREFIX = 'splatAlignment:';
+
+export class SplatAlignment {
+  /**
+   * @param {THREE.Camera} camera - Viewer camera
+   * @param {HTMLElement} domElement - Canvas receiving the gizmo's pointer events
+   * @param {THREE.Scene} scene - Scene the gizmo is added to
+   * @param {OrbitControls} controls - Orbit controls, paused while a gizmo is dragged
+   */
+  constructor(camera, domElement, scene, controls) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.scene = scene;
+    this.controls = controls;
+    this.splatMesh = null;
+    this.key = null;
+    // MuJoCo frame: meters, and degrees for rotations about the world x, y and z axes (applied x, y, z)
+    this.x = 0; this.y = 0; this.z = 0;
+    this.roll = 0; this.pitch = 0; this.yaw = 0;
+    this.scale = 1;
+    // 'off', 'translate', 'rotate' or 'scale'
+    this.gizmo = 'off';
+    // Level uploaded scenes that have no saved transform (alignGround) when they load
+    this.autoAlign = true;
+    this.transformControls = new TransformControls(camera, domElement);
+    this.transformControls.addEventListener('dragging-changed', (event) => {
+      this.controls.enabled = !event.value;
+    });
+    this.transformControls.addEventListener('objectChange', () => this.readFromMesh());
+
+    this.tmpEuler = new THREE.Euler();
+    this.tmpQuat = new THREE.Quaternion();
+  }
+
+  /**
+   * @returns {boolean} - Whether the gizmo is hovered or dragged, so other pointer tools should stand back
+   */
+  isPointerCaptured() {
+    return this.gizmo !== 'off' && this.transformControls.axis !== null;
+  }
+
+  /**
+   * Edit a newly loaded SplatMesh, applying the transform saved for its scene
+   * @param {THREE.Object3D|null} splatMesh - null when the splats are removed
+   * @param {string|null} key - Scene key; null keeps the transform unsaved
+   */
+  setSplat(splatMesh, key) {
+    this.splatMesh = splatMesh;
+    this.key = key;
+    const saved = key ? JSON.parse(localStorage.getItem(STORAGE_PREFIX + key) ?? 'null') : null;
+    Object.assign(this, { x: 0, y: 0, z: 0, roll: 0, pitch: 0, yaw: 0, scale: 1 }, saved);
+    if (splatMesh) {
+      this.apply(false);
+    }
+    this.setGizmo(splatMesh ? this.gizmo : 'off');
+    if (splatMesh && !saved && this.autoAlign && key?.startsWith('custom_spz:')) {
+      this.alignGround().catch((err) => console.error('Failed to align the 3DGS ground:', err));
+    }
+  }
+
+  /**
+   * Write the fields to the SplatMesh
+   * @param {boolean} save - Also store them for the scene
+   */
+  apply(save = true) {
+    const mesh = this.splatMesh;
+    if (!mesh) return;
+    mesh.position.set(this.x, this.z, -this.y);
+    this.tmpEuler.set(
+      THREE.MathUtils.degToRad(this.roll), THREE.MathUtils.degToRad(this.pitch), THREE.MathUtils.degToRad(this.yaw), 'ZYX');
+    const q = this.tmpQuat.setFromEuler(this.tmpEuler);
+    // MuJoCo (x, y, z) -> three.js (x, z, -y), as in getQuaternion
+    mesh.quaternion.set(q.x, q.z, -q.y, q.w);
+    mesh.scale.setScalar(this.scale);
+    mesh.updateMatrixWorld();
+    if (save) this.save();
+  }
+
+  /**
+   * Read the fields back from the SplatMesh after a gizmo drag
+   */
+  readFromMesh() {
+    const mesh = this.splatMesh;
+    // Splats only scale uniformly; keep the axis the gizmo changed most
+    const ratios = mesh.scale.toArray().map((s) => s / this.scale);
+    const ratio = ratios.reduce((a, b) => Math.abs(Math.log(b)) > Math.abs(Math.log(a)) ? b : a);
+    this.scale = this.scale * ratio;
+    mesh.scale.setScalar(this.scale);
+
+    this.x = mesh.position.x; this.y = -mesh.position.z; this.z = mesh.position.y;
+    const q = mesh.quaternion;
+    this.tmpEuler.setFromQuaternion(this.tmpQuat.set(q.x, -q.z, q.y, q.w), 'ZYX');
+    this.roll = THREE.MathUtils.radToDeg(this.tmpEuler.x);
+    this.pitch = THREE.MathUtils.radToDeg(this.tmpEuler.y);
+    this.yaw = THREE.MathUtils.radToDeg(this.tmpEuler.z);
+    this.save();
+  }
+
+  save() {
+    if (!this.key) return;
+    const { x, y, z, roll, pitch, yaw, scale } = this;
+    localStorage.setItem(STORAGE_PREFIX + this.key, JSON.stringify({ x, y, z, roll, pitch, yaw, scale }));
+  }
+
+  /**
+   * Back to the identity transform, forgetting the saved one
+   */
+  reset() {
+    if (this.key) localStorage.removeItem(STORAGE_PREFIX + this.key);
+    Object.assign(this, { x: 0, y: 0, z: 0, roll: 0, pitch: 0, yaw: 0, scale: 1 });
+    this.apply(false);
+  }
+
+  /**
+   * @param {'off'|'translate'|'rotate'|'scale'} mode
+   */
+  setGizmo(mode) {
+    this.gizmo = mode;
+    const transformControls = this.transformControls;
+    if (mode !== 'off' && this.splatMesh) {
+      transformControls.setMode(mode);
+      // Rotate about the world axes, so the gizmo rings match roll / pitch / yaw
+      transformControls.setSpace(mode === 'scale' ? 'local' : 'world');
+      transformControls.attach(this.splatMesh);
+      this.scene.add(transformControls.getHelper());
+    } else {
+      transformControls.detach();
+      this.scene.remove(transformControls.getHelper());
+    }
+  }
+
+  /**
+   * The gizmo's scene object, e.g. to hide it from offscreen renders
+   * @returns {THREE.Object3D}
+   */
+  getHelper() {
+    return this.transformControls.getHelper();
+  }
+
+  /**
+   * Move the splats up or down so their floor lies at z = 0
+   * @returns {Promise<number|null>} - The floor height that was removed, or null if there are no splats
+   */
+  async snapFloor() {
+    const mesh = this.splatMesh;
+    if (!mesh) return null;
+    await mesh.initialized;
+    mesh.updateMatrixWorld();
+    const heights = [];
+    const world = new THREE.Vector3();
+    mesh.forEachSplat((index, center, scales, quaternion, opacity) => {
+      if (opacity < 0.5) return;
+      // three.js y is MuJoCo z
+      heights.push(world.copy(center).applyMatrix4(mesh.matrixWorld).y);
+    });
+    const floor = estimateFloorHeight(Float32Array.from(heights));
+    if (floor === null) return null;
+    this.z -= floor;
+    this.apply();
+    return floor;
+  }
+
+  /**
+   * Level the splats on their dominant ground plane (see fitGroundPlane) and move it to z = 0.
+   * The plane must already be within 45 degrees of horizontal; yaw is kept.
+   * @returns {Promise<GroundPlane|null>} - The plane before alignment, or null if none was found
+   */
+  async alignGround() {
+    const mesh = this.splatMesh;
+    if (!mesh) return null;
+    await mesh.initialized;
+    if (mesh !== this.splatMesh) return null;
+    const plane = fitGroundPlane(collectSplatCenters(mesh));
+    if (!plane) return null;
+    // Rotate the normal onto +z (three.js +y) about the origin, which takes the plane to
+    // height offset, then lower it by that much
+    const [nx, ny, nz] = plane.normal;
+    const rotation = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(nx, nz, -ny), new THREE.Vector3(0, 1, 0));
+    mesh.applyMatrix4(new THREE.Matrix4().makeRotationFromQuaternion(rotation).setPosition(0, -plane.offset, 0));
+    mesh.updateMatrixWorld();
+    this.readFromMesh();
+    return plane;
+  }
+}
+
+/**
+ * @typedef {import('./SplatAnalysis.js').GroundPlane} GroundPlane
+ */
+
+/**
+ * Height of the lowest dense horizontal layer of points, e.g. a floor under furniture: the
+ * peak of a height histogram over the lowest 30% of the range, ignoring the extreme 1%
+ * at both ends as floaters
+ * @param {Float32Array} heights - Point heights in meters
+ * @returns {number|null} - null for fewer than 100 points
+ */
+export function estimateFloorHeight(heights) {
+  if (heights.length < 100) return null;
+  const sorted = heights.slice().sort();
+  const low = sorted[Math.floor(sorted.length * 0.01)];
+  const high = sorted[Math.floor(sorted.length * 0.99)];
+  const top = low + 0.3 * (high - low);
+  const binSize = Math.max((high - low) / 300, 0.005);
+  const counts = new Uint32Array(Math.max(1, Math.ceil((top - low) / binSize)));
+  for (const h of sorted) {
+    if (h < low) continue;
+    if (h >= top) break;
+    counts[Math.min(counts.length - 1, Math.floor((h - low) / binSize))]++;
+  }
+  let peak = 0;
+  for (let i = 1; i < counts.length; i++) {
+    if (counts[i] > counts[peak]) peak = i;
+  }
+  return low + (peak + 0.5) * binSize;
+}
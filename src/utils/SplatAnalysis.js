@@ -0,0 +1,189 @@
+/**
+ * Splat Analysis
+ *
+ * Geometry estimated from the Gaussian centers of a 3DGS scene, so that a
+ * freshly uploaded .spz gets usable physics without hand-made collision:
+ * a RANSAC fit of the dominant ground plane (used to level the splats and put
+ * their floor at z = 0) and a coarse voxelization of the occupied space above
+ * the floor, merged into box colliders for the Collision Editor.
+ *
+ * Points are flat Float32Arrays of (x, y, z) in the MuJoCo world frame.
+ */
+
+import * as THREE from 'three';
+import { mulberry32 } from './math/random.js';
+
+/**
+ * Centers of the opaque splats in the MuJoCo world frame
+ * @param {THREE.Object3D} splatMesh - Initialized SplatMesh
+ * @param {object} options
+ * @param {number} options.minOpacity - Skip fainter splats, mostly floaters and haze
+ * @param {number} options.maxPoints - Keep about this many, taking every n-th splat
+ * @returns {Float32Array}
+ */
+export function collectSplatCenters(splatMesh, { minOpacity = 0.5, maxPoints = 300000 } = {}) {
+  splatMesh.updateMatrixWorld();
+  const numSplats = splatMesh.packedSplats?.numSplats ?? maxPoints;
+  const stride = Math.max(1, Math.ceil(numSplats / maxPoints));
+  const points = [];
+  const world = new THREE.Vector3();
+  splatMesh.forEachSplat((index, center, scales, quaternion, opacity) => {
+    if (index % stride !== 0 || opacity < minOpacity) return;
+    world.copy(center).applyMatrix4(splatMesh.matrixWorld);
+    // three.js (x, y, z) -> MuJoCo (x, -z, y)
+    points.push(world.x, -world.z, world.y);
+  });
+  return Float32Array.from(points);
+}
+
+/**
+ * @typedef {object} GroundPlane
+ * @property {number[]} normal - Unit normal, pointing up (positive z)
+ * @property {number} offset - normal · p = offset for points p on the plane
+ * @property {number} inliers - Points within the threshold of the fitted plane
+ */
+
+/**
+ * Fit the dominant, roughly horizontal plane with RANSAC, then refine it by least squares on its inliers
+ * @param {Float32Array} points - MuJoCo frame
+ * @param {object} options
+ * @param {number} options.threshold - Inlier distance in meters
+ * @param {number} options.iterations - RANSAC candidates
+ * @param {number} options.maxTilt - Largest angle between the plane's normal and +z, in degrees
+ * @param {number} options.sampleSize - Points each candidate is scored on
+ * @param {number} options.seed
+ * @returns {GroundPlane|null} - null if no candidate plane qualifies
+ */
+export function fitGroundPlane(points, { threshold = 0.02, iterations = 500, maxTilt = 45, sampleSize = 20000, seed = 1 } = {}) {
+  const count = points.length / 3;
+  if (count < 3) return null;
+  const random = mulberry32(seed);
+  const step = Math.max(1, Math.floor(count / sampleSize));
+  const minNormalZ = Math.cos(THREE.MathUtils.degToRad(maxTilt));
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3(), normal = new THREE.Vector3();
+  let best = null;
+  let bestScore = 0;
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    a.fromArray(points, 3 * Math.floor(random() * count));
+    b.fromArray(points, 3 * Math.floor(random() * count)).sub(a);
+    c.fromArray(points, 3 * Math.floor(random() * count)).sub(a);
+    normal.crossVectors(b, c);
+    const length = normal.length();
+    if (length < 1e-9) continue;
+    normal.divideScalar(length);
+    if (normal.z < 0) normal.negate();
+    if (normal.z < minNormalZ) continue;
+    const offset = normal.dot(a);
+    let score = 0;
+    for (let i = 0; i < count; i += step) {
+      const distance = normal.x * points[3 * i] + normal.y * points[3 * i + 1] + normal.z * points[3 * i + 2] - offset;
+      if (Math.abs(distance) < threshold) score++;
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      best = { normal: normal.clone(), offset };
+    }
+  }
+  if (!best) return null;
+
+  // Least squares z = p x + q y + r over all inliers (the normal is within maxTilt of +z)
+  let n = 0, sx = 0, sy = 0, sz = 0, sxx = 0, sxy = 0, syy = 0, sxz = 0, syz = 0;
+  for (let i = 0; i < count; i++) {
+    const x = points[3 * i], y = points[3 * i + 1], z = points[3 * i + 2];
+    if (Math.abs(best.normal.x * x + best.normal.y * y + best.normal.z * z - best.offset) >= threshold) continue;
+    n++; sx += x; sy += y; sz += z; sxx += x * x; sxy += x * y; syy += y * y; sxz += x * z; syz += y * z;
+  }
+  const system = new THREE.Matrix3().set(sxx, sxy, sx, sxy, syy, sy, sx, sy, n);
+  if (Math.abs(system.determinant()) < 1e-12) {
+    return { normal: best.normal.toArray(), offset: best.offset, inliers: n };
+  }
+  const [p, q, r] = new THREE.Vector3(sxz, syz, sz).applyMatrix3(system.invert()).toArray();
+  const length = Math.hypot(p, q, 1);
+  return { normal: [-p / length, -q / length, 1 / length], offset: r / length, inliers: n };
+}
+
+/**
+ * Box colliders covering the occupied space above the floor: splat centers are binned into
+ * voxels, voxels with enough centers are occupied, and runs of occupied voxels are merged
+ * greedily along x, then y, then z into boxes
+ * @param {Float32Array} points - MuJoCo frame, floor at floorHeight
+ * @param {object} options
+ * @param {number} options.voxelSize - Edge length in meters (grown if the grid would be huge)
+ * @param {number} options.minPoints - Centers needed to occupy a voxel
+ * @param {number} options.floorHeight - Floor z; centers within floorMargin above it belong to the floor
+ * @param {number} options.floorMargin - Meters
+ * @param {number} options.maxBoxes - Keep the largest boxes
+ * @returns {{pos: number[], size: number[]}[]} - Box centers and half extents (MJCF box size)
+ */
+export function voxelizeColliders(points, {
+  voxelSize = 0.1, minPoints = 8, floorHeight = 0, floorMargin = 0.03, maxBoxes = 200
+} = {}) {
+  const count = points.length / 3;
+  if (count === 0) return [];
+  // Bounds from the 0.5 / 99.5 percentiles per axis, leaving out floaters
+  const low = [], high = [];
+  const axis = new Float32Array(count);
+  for (let k = 0; k < 3; k++) {
+    for (let i = 0; i < count; i++) axis[i] = points[3 * i + k];
+    axis.sort();
+    low.push(axis[Math.floor(count * 0.005)]);
+    high.push(axis[Math.floor(count * 0.995)]);
+  }
+  low[2] = floorHeight;
+  if (high[2] <= low[2]) return [];
+
+  let size = voxelSize;
+  const dimensions = () => [0, 1, 2].map((k) => Math.max(1, Math.ceil((high[k] - low[k]) / size)));
+  let [nx, ny, nz] = dimensions();
+  while (nx * ny * nz > 8e6) {
+    size *= 1.25;
+    [nx, ny, nz] = dimensions();
+  }
+
+  const counts = new Uint16Array(nx * ny * nz);
+  for (let i = 0; i < count; i++) {
+    const x = points[3 * i], y = points[3 * i + 1], z = points[3 * i + 2];
+    if (z < floorHeight + floorMargin) continue;
+    const ix = Math.floor((x - low[0]) / size), iy = Math.floor((y - low[1]) / size), iz = Math.floor((z - low[2]) / size);
+    if (ix < 0 || iy < 0 || iz < 0 || ix >= nx || iy >= ny || iz >= nz) continue;
+    const cell = (iz * ny + iy) * nx + ix;
+    if (counts[cell] < 65535) counts[cell]++;
+  }
+  const open = new Uint8Array(counts.length);
+  for (let cell = 0; cell < counts.length; cell++) open[cell] = counts[cell] >= minPoints ? 1 : 0;
+  const isOpen = (x, y, z) => open[(z * ny + y) * nx + x] === 1;
+
+  const boxes = [];
+  for (let z = 0; z < nz; z++) {
+    for (let y = 0; y < ny; y++) {
+      for (let x = 0; x < nx; x++) {
+        if (!isOpen(x, y, z)) continue;
+        let x1 = x + 1;
+        while (x1 < nx && isOpen(x1, y, z)) x1++;
+        let y1 = y + 1;
+        const rowOpen = (yy, zz) => {
+          for (let xx = x; xx < x1; xx++) if (!isOpen(xx, yy, zz)) return false;
+          return true;
+        };
+        while (y1 < ny && rowOpen(y1, z)) y1++;
+        let z1 = z + 1;
+        const layerOpen = (zz) => {
+          for (let yy = y; yy < y1; yy++) if (!rowOpen(yy, zz)) return false;
+          return true;
+        };
+        while (z1 < nz && layerOpen(z1)) z1++;
+        for (let zz = z; zz < z1; zz++) {
+          for (let yy = y; yy < y1; yy++) {
+            for (let xx = x; xx < x1; xx++) open[(zz * ny + yy) * nx + xx] = 0;
+          }
+        }
+        boxes.push({
+          pos: [low[0] + (x + x1) * size / 2, low[1] + (y + y1) * size / 2, low[2] + (z + z1) * size / 2],
+          size: [(x1 - x) * size / 2, (y1 - y) * size / 2, (z1 - z) * size / 2]
+        });
+      }
+    }
+  }
+  const volume = (box) => box.size[0] * box.size[1] * box.size[2];
+  return boxes.sort((a, b) => volume(b) - volume(a)).slice(0, maxBoxes);
+}
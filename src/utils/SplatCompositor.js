@@ -0,0 +1,260 @@
+/**
+ * Splat Compositor
+ *
+ * Post-processing for the MuJoCo meshes when a 3DGS scene is shown. Rendering
+ * meshes and splats in one pass leaves no room for post effects, and running
+ * the splats through the composer would restyle the captured scene as well.
+ * Instead the meshes (the "robot layer") are rendered alone into a target with
+ * a depth texture. One full-screen pass then applies exposure, color grading
+ * and a depth-aware outline to that layer, draws it over the background and
+ * writes its depth into the screen's depth buffer. The splats are drawn last
+ * against that depth, so they are still occluded by the robot and occlude it
+ * where they are in front, exactly as in the single-pass render. Finally the
+ * shadow catchers, invisible collision geoms that only receive shadows, are
+ * drawn over the splats so the robot's shadow falls on the captured scene.
+ */
+
+import * as THREE from 'three';
+import { FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+
+// Exposure, contrast (around 18% gray) and saturation in linear color
+const gradeChunk = `
+  uniform float exposure;
+  uniform float contrast;
+  uniform float saturation;
+  vec3 grade(vec3 color) {
+    color *= exposure;
+    color = 0.18 * pow(max(color, 0.0) / 0.18, vec3(contrast));
+    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+    return max(mix(vec3(luma), color, saturation), 0.0);
+  }`;
+
+const fullScreenVertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }`;
+
+/**
+ * Color grading for EffectComposer (ShaderPass), matching the robot layer grading in 3DGS mode
+ */
+export const GradeShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    exposure: { value: 1.0 },
+    contrast: { value: 1.0 },
+    saturation: { value: 1.0 }
+  },
+  vertexShader: fullScreenVertexShader,
+  fragmentShader: `
+    uniform sampler2D tDiffuse;
+    varying vec2 vUv;
+    ${gradeChunk}
+    void main() {
+      vec4 color = texture2D(tDiffuse, vUv);
+      gl_FragColor = vec4(grade(color.rgb), color.a);
+    }`
+};
+
+const compositeFragmentShader = `
+  #include <packing>
+  uniform sampler2D tColor;
+  uniform sampler2D tDepth;
+  uniform vec2 resolution;
+  uniform float cameraNear;
+  uniform float cameraFar;
+  uniform float outline;
+  uniform vec3 outlineColor;
+  uniform float outlineThickness;
+  uniform float depthThreshold;
+  varying vec2 vUv;
+  ${gradeChunk}
+
+  float viewDepth(float depth) {
+    return -perspectiveDepthToViewZ(depth, cameraNear, cameraFar);
+  }
+
+  // Edges are the silhouette against the background and jumps in view depth within the layer
+  void neighbor(vec2 offset, float centerAlpha, float centerDepth, inout float edge, inout float nearest) {
+    vec2 uv = vUv + offset;
+    float alpha = texture2D(tColor, uv).a;
+    float depth = texture2D(tDepth, uv).x;
+    if ((alpha > 0.5) != (centerAlpha > 0.5)) {
+      edge = 1.0;
+    } else if (alpha > 0.5) {
+      float jump = abs(viewDepth(depth) - viewDepth(centerDepth)) / viewDepth(centerDepth);
+      edge = max(edge, smoothstep(depthThreshold, 2.0 * depthThreshold, jump));
+    }
+    nearest = min(nearest, depth);
+  }
+
+  void main() {
+    vec4 color = texture2D(tColor, vUv);
+    float depth = texture2D(tDepth, vUv).x;
+    vec2 texel = vec2(outlineThickness) / resolution;
+    float edge = 0.0;
+    float nearest = depth;
+    neighbor(vec2(texel.x, 0.0), color.a, depth, edge, nearest);
+    neighbor(vec2(-texel.x, 0.0), color.a, depth, edge, nearest);
+    neighbor(vec2(0.0, texel.y), color.a, depth, edge, nearest);
+    neighbor(vec2(0.0, -texel.y), color.a, depth, edge, nearest);
+    edge *= outline;
+
+    float alpha = max(color.a, edge);
+    if (alpha <= 0.0) discard;
+    // The layer is stored premultiplied; outline pixels just outside the silhouette take the robot's depth
+    vec3 rgb = color.a > 0.0 ? color.rgb / color.a : vec3(0.0);
+    gl_FragColor = vec4(mix(grade(rgb), outlineColor, edge), alpha);
+    gl_FragDepth = nearest;
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+    gl_FragColor.rgb *= gl_FragColor.a;
+  }`;
+
+export class SplatCompositor {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Viewer renderer
+   * @param {THREE.Scene} scene - Scene holding both the MuJoCo meshes and the splats
+   * @param {THREE.PerspectiveCamera} camera - Viewer camera
+   */
+  constructor(renderer, scene, camera) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    // Relative view depth change that counts as an edge
+    this.depthThreshold = 0.05;
+    this.outlineThickness = 1.0;
+    this.outlineColor = new THREE.Color(0x000000);
+
+    this.target = null;
+    this.size = new THREE.Vector2();
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        tColor: { value: null },
+        tDepth: { value: null },
+        resolution: { value: new THREE.Vector2() },
+        cameraNear: { value: camera.near },
+        cameraFar: { value: camera.far },
+        exposure: { value: 1.0 },
+        contrast: { value: 1.0 },
+        saturation: { value: 1.0 },
+        outline: { value: 1.0 },
+        outlineColor: { value: this.outlineColor },
+        outlineThickness: { value: this.outlineThickness },
+        depthThreshold: { value: this.depthThreshold }
+      },
+      vertexShader: fullScreenVertexShader,
+      fragmentShader: compositeFragmentShader,
+      premultipliedAlpha: true,
+      transparent: true,
+      // Depth writes need the depth test enabled; AlwaysDepth lets every fragment through
+      depthFunc: THREE.AlwaysDepth
+    });
+    this.quad = new FullScreenQuad(this.material);
+  }
+
+  /**
+   * Match the target to the renderer's drawing buffer
+   */
+  updateTarget() {
+    this.renderer.getDrawingBufferSize(this.size);
+    const { x: width, y: height } = this.size;
+    if (this.target && this.target.width === width && this.target.height === height) return;
+    this.target?.dispose();
+    this.target = new THREE.WebGLRenderTarget(width, height, {
+      type: THREE.HalfFloatType,
+      samples: 4,
+      depthTexture: new THREE.DepthTexture(width, height, THREE.FloatType)
+    });
+    this.material.uniforms.resolution.value.set(width, height);
+  }
+
+  /**
+   * Render the scene to the screen: graded robot layer, then the splats
+   * @param {THREE.Object3D} splatMesh - The scene's SplatMesh
+   * @param {object} options
+   * @param {boolean} options.outline - Draw the depth-aware outline
+   * @param {number} options.exposure - Linear exposure multiplier
+   * @param {number} options.contrast - Contrast around 18% gray, 1 = unchanged
+   * @param {number} options.saturation - 0 = grayscale, 1 = unchanged
+   * @param {number|null} options.shadowCatcherLayer - Layer of the shadow catchers to draw over the splats, null for none
+   */
+  render(splatMesh, { outline, exposure, contrast, saturation, shadowCatcherLayer }) {
+    const renderer = this.renderer, scene = this.scene, camera = this.camera;
+    // The SplatMesh only generates splats; the SparkRenderer Spark adds to the scene draws them
+    const splatObjects = scene.children.filter((object) =>
+      object === splatMesh || (object.defaultView && typeof object.newViewpoint === 'function'));
+    this.updateTarget();
+    const uniforms = this.material.uniforms;
+    uniforms.tColor.value = this.target.texture;
+    uniforms.tDepth.value = this.target.depthTexture;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.outline.value = outline ? 1.0 : 0.0;
+    uniforms.outlineThickness.value = this.outlineThickness;
+    uniforms.depthThreshold.value = this.depthThreshold;
+    uniforms.exposure.value = exposure;
+    uniforms.contrast.value = contrast;
+    uniforms.saturation.value = saturation;
+
+    const background = scene.background;
+    const autoClear = renderer.autoClear;
+    const previousColor = renderer.getClearColor(new THREE.Color());
+    const previousAlpha = renderer.getClearAlpha();
+    const splats = splatObjects.filter((object) => object.visible);
+    const others = scene.children.filter((object) => object.visible && !splatObjects.includes(object));
+    const shadowMapUpdate = renderer.shadowMap.autoUpdate;
+    const lights = [];
+    const cameraLayers = camera.layers.mask;
+    try {
+      // Robot layer on a transparent background
+      scene.background = null;
+      for (const object of splats) object.visible = false;
+      renderer.setRenderTarget(this.target);
+      renderer.setClearColor(0x000000, 0);
+      renderer.clear();
+      renderer.render(scene, camera);
+      for (const object of splats) object.visible = true;
+
+      // Background, then the graded layer with its depth
+      renderer.setRenderTarget(null);
+      renderer.setClearColor(background?.isColor ? background : 0x000000, background?.isColor ? 1 : 0);
+      renderer.clear();
+      this.quad.render(renderer);
+
+      // Splats, depth-tested against the layer; the shadow maps from the first pass are reused
+      renderer.autoClear = false;
+      renderer.shadowMap.autoUpdate = false;
+      for (const object of others) object.visible = false;
+      renderer.render(scene, camera);
+      for (const object of others) object.visible = true;
+
+      // Shadow catchers over the splats. Lights are filtered by layer too, so they join the catchers' layer.
+      if (shadowCatcherLayer !== null) {
+        for (const object of splats) object.visible = false;
+        scene.traverse((object) => {
+          if (object.isLight) lights.push([object, object.layers.mask]);
+        });
+        for (const [light] of lights) light.layers.enable(shadowCatcherLayer);
+        camera.layers.set(shadowCatcherLayer);
+        renderer.render(scene, camera);
+      }
+    } finally {
+      for (const object of splats) object.visible = true;
+      for (const object of others) object.visible = true;
+      for (const [light, mask] of lights) light.layers.mask = mask;
+      camera.layers.mask = cameraLayers;
+      renderer.shadowMap.autoUpdate = shadowMapUpdate;
+      scene.background = background;
+      renderer.autoClear = autoClear;
+      renderer.setClearColor(previousColor, previousAlpha);
+    }
+  }
+
+  dispose() {
+    this.target?.dispose();
+    this.material.dispose();
+    this.quad.dispose();
+  }
+}
@@ -46,6 +46,25 @@ export class BaseController {
     throw new Error('step() must be implemented by subclass');
   }
 
+  /**
+   * Capture internal state (IK targets, toggles) for snapshots.
+   * Subclasses with state outside this.state should extend this.
+   * @returns {object|null}
+   */
+  getState() {
+    return this.state ? structuredClone(this.state) : null;
+  }
+
+  /**
+   * Restore internal state captured by getState()
+   * @param {object|null} state
+   */
+  setState(state) {
+    if (state) {
+      this.state = structuredClone(state);
+    }
+  }
+
   /**
    * Get the list of keys this controller uses
    * @returns {string[]}
@@ -450,6 +450,33 @@ export class PandaController extends BaseController {
     console.log('Initial EE position:', this.state.targetPos);
   }
 
+  /**
+   * Capture IK targets plus the cached IK output, so a restored snapshot
+   * doesn't wait for the next IK frame
+   * @returns {object|null}
+   */
+  getState() {
+    if (!this.state) return null;
+    return {
+      ...super.getState(),
+      frameCounter: this.frameCounter,
+      cachedCtrl: this.cachedCtrl.slice(),
+      prevQpos: this.prevQpos ? this.prevQpos.slice() : null
+    };
+  }
+
+  /**
+   * @param {object|null} state - State from getState()
+   */
+  setState(state) {
+    if (!state) return;
+    const { frameCounter, cachedCtrl, prevQpos, ...rest } = state;
+    super.setState(rest);
+    this.frameCounter = frameCounter;
+    this.cachedCtrl = cachedCtrl.slice();
+    this.prevQpos = prevQpos ? prevQpos.slice() : null;
+  }
+
   /**
    * Reset to initial state
    */
@@ -0,0 +1,31 @@
+/**
+ * Random Number Utilities
+ */
+
+/**
+ * Create a seeded uniform PRNG (mulberry32). Same seed, same sequence.
+ * The generator state is exposed as random.state so it can be saved and restored.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+export function mulberry32(seed) {
+  const random = function() {
+    random.state = (random.state + 0x6D2B79F5) >>> 0;
+    let t = random.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.state = seed >>> 0;
+  return random;
+}
+
+/**
+ * Standard normal random number generator using Box-Muller transform
+ * @param {Function} random - Uniform source in [0, 1) (defaults to Math.random)
+ * @returns {number} - Sample from N(0, 1)
+ */
+export function standardNormal(random = Math.random) {
+  return Math.sqrt(-2.0 * Math.log(1.0 - random())) *
+         Math.cos ( 2.0 * Math.PI * random());
+}